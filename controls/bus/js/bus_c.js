@@ -0,0 +1,140 @@
+/*
+ * Breach: [bus] bus_c.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu  Creation
+ */
+'use strict';
+
+//
+// ### BusCtrl
+// Controller to display the live module bus traffic. `rpc_call` messages are
+// paired with their `rpc_reply` (by `oid`) to display latency and errors.
+//
+function BusCtrl($scope, $location, $rootScope, $window, $timeout,
+                 _bind, _socket) {
+
+  var MAX_ROWS = 500;
+
+  /* Rows of pending `rpc_call`s by `src + ':' + mid`. */
+  var pending = {};
+
+  $scope.rows = [];
+  $scope.paused = false;
+  $scope.filter = {
+    module: '',
+    procedure: '',
+    events: true
+  };
+
+  /****************************************************************************/
+  /* INITIALIZATION                                                           */
+  /****************************************************************************/
+  /* Handhsaking */
+  _socket.emit('handshake', 'bus');
+
+  _socket.on('bus', function(state) {
+    $scope.modules = state.modules;
+  });
+
+  _socket.on('message', function(msg) {
+    switch(msg.typ) {
+      case 'rpc_reply': {
+        /* Replies are paired with their call even when paused. */
+        var row = pending[msg.dst + ':' + msg.oid];
+        if(row) {
+          delete pending[msg.dst + ':' + msg.oid];
+          row.status = msg.err ? 'error' : 'ok';
+          row.err = msg.err;
+          row.latency = msg.ts - row.ts;
+          row.res_size = msg.size;
+        }
+        break;
+      }
+      case 'cancel': {
+        var row = pending[msg.src + ':' + msg.oid];
+        if(row) {
+          delete pending[msg.src + ':' + msg.oid];
+          row.status = 'cancelled';
+          row.latency = msg.ts - row.ts;
+        }
+        break;
+      }
+      case 'rpc_call': {
+        if($scope.paused) {
+          break;
+        }
+        var row = {
+          ts: msg.ts,
+          typ: msg.typ,
+          src: msg.src,
+          dst: msg.dst,
+          name: msg.prc,
+          mid: msg.mid,
+          status: 'pending',
+          err: null,
+          latency: null,
+          arg_size: msg.size
+        };
+        pending[msg.src + ':' + msg.mid] = row;
+        $scope.rows.unshift(row);
+        break;
+      }
+      case 'event': {
+        if($scope.paused) {
+          break;
+        }
+        $scope.rows.unshift({
+          ts: msg.ts,
+          typ: msg.typ,
+          src: msg.src,
+          dst: null,
+          name: msg.evt,
+          mid: msg.mid,
+          status: 'event',
+          arg_size: msg.size
+        });
+        break;
+      }
+    }
+    while($scope.rows.length > MAX_ROWS) {
+      var row = $scope.rows.pop();
+      delete pending[row.src + ':' + row.mid];
+    }
+  });
+
+  /****************************************************************************/
+  /* FILTERING                                                                */
+  /****************************************************************************/
+  $scope.visible = function(row) {
+    if(!$scope.filter.events && row.typ === 'event') {
+      return false;
+    }
+    if($scope.filter.module &&
+       row.src !== $scope.filter.module &&
+       row.dst !== $scope.filter.module) {
+      return false;
+    }
+    if($scope.filter.procedure &&
+       (row.name || '').indexOf($scope.filter.procedure) === -1) {
+      return false;
+    }
+    return true;
+  };
+
+  /****************************************************************************/
+  /* COMMANDS                                                                 */
+  /****************************************************************************/
+  $scope.toggle_pause = function() {
+    $scope.paused = !$scope.paused;
+  };
+
+  $scope.clear = function() {
+    $scope.rows = [];
+    pending = {};
+  };
+};
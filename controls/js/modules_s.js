@@ -36,6 +36,33 @@ angular.module('breach.services').
       },
       kill: function(path) {
         return _req.post('/modules/kill', { path: path });
+      },
+      hot_reload: function(path, enabled) {
+        return _req.post('/modules/hot_reload', { 
+          path: path, 
+          enabled: enabled 
+        });
+      },
+      grant: function(path) {
+        return _req.post('/modules/grant', { path: path });
+      },
+      confirm_key: function(fingerprint) {
+        return _req.post('/modules/confirm_key', { fingerprint: fingerprint });
+      },
+      dismiss_key: function(fingerprint) {
+        return _req.post('/modules/dismiss_key', { fingerprint: fingerprint });
+      },
+      outdated: function() {
+        return _req.get('/modules/outdated');
+      },
+      settings: function(name) {
+        return _req.get('/modules/settings/' + name);
+      },
+      set_setting: function(name, key, value) {
+        return _req.post('/modules/settings/' + name, { 
+          key: key, 
+          value: value 
+        });
       }
     };
 
@@ -6,6 +6,7 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu  Module settings routing
  * - 2014-06-17 spolu  Modules/Out/Config routing
  * - 2014-06-06 spolu  Enhanced modules output
  * - 2014-06-02 spolu  Fix install/restart action
@@ -30,6 +31,9 @@ angular.module('breach', ['ngRoute',
       when('/out/:name',
            { templateUrl: '/modules/partials/out.html',
              controller: OutCtrl }).
+      when('/settings/:name',
+           { templateUrl: '/modules/partials/settings.html',
+             controller: SettingsCtrl }).
       /*
       when('/:name/config',
            { templateUrl: '/modules/partials/config.html',
@@ -28,6 +28,21 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
     $scope.modules = state;
   });
 
+  /* Handhsaking [stats] */
+  _socket.on('stats', function(state) {
+    ($scope.modules || []).forEach(function(m) {
+      if(state[m.name]) {
+        m.stats = state[m.name].stats;
+        m.limits = state[m.name].limits;
+      }
+    });
+  });
+
+  /* Handhsaking [signature] */
+  _socket.on('signature', function(state) {
+    $scope.signature = state;
+  });
+
   /* Handhsaking [about] */
   _socket.on('about', function(state) {
     //console.log('========================================');
@@ -36,7 +51,14 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
     $scope.about = state;
   });
 
+  /* Modules whose interface is displayed (kept across state pushes). */
+  $scope.interface_shown = {};
+  /* Last update dry-run report by module path. */
+  $scope.outdated = null;
+
   _socket.emit('handshake', 'modules');
+  _socket.emit('handshake', 'stats');
+  _socket.emit('handshake', 'signature');
   _socket.emit('handshake', 'about');
 
   $window.document.title = 'Breach::Modules';
@@ -53,6 +75,25 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
           return cb_(null, data.module);
         });
       },
+      /* The permissions requested by the module are shown to the user     */
+      /* and granted before it gets installed. If refused, the module is    */
+      /* removed.                                                           */
+      function(module, cb_) {
+        if(!module.requested_permissions) {
+          return cb_(null, module);
+        }
+        if($window.confirm('Module `' + module.name + '` requests the ' +
+                           'following permissions:\n\n  ' +
+                           module.requested_permissions.join('\n  ') + 
+                           '\n\nProceed with the installation?')) {
+          return _modules.grant(module.path).then(function(data) {
+            return cb_(null, module);
+          });
+        }
+        _modules.remove(module.path).then(function(data) {
+          return cb_(new Error('Permissions refused'));
+        });
+      },
       function(module, cb_) {
         _modules.install(module.path).then(function(data) {
           return cb_(null, data.module);
@@ -74,6 +115,18 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
 
   $scope.modules_update = function(path) {
     _modules.update(path).then(function(data) {
+      if($scope.outdated) {
+        delete $scope.outdated[path];
+      }
+    });
+  };
+
+  $scope.modules_outdated = function() {
+    _modules.outdated().then(function(data) {
+      $scope.outdated = {};
+      data.outdated.forEach(function(o) {
+        $scope.outdated[o.path] = o;
+      });
     });
   };
 
@@ -86,6 +139,38 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
     });
   };
 
+  $scope.modules_hot_reload = function(path, enabled) {
+    _modules.hot_reload(path, enabled).then(function(data) {
+    });
+  };
+
+  /* Keys submitted by modules are only trusted once the user confirmed   */
+  /* them.                                                                 */
+  $scope.modules_confirm_key = function(key) {
+    if($window.confirm('Trust the following key to sign modules?\n\n  ' +
+                       key.user + '\n  ' + key.fingerprint)) {
+      _modules.confirm_key(key.fingerprint).then(function(data) {
+      });
+    }
+  };
+
+  $scope.modules_dismiss_key = function(key) {
+    _modules.dismiss_key(key.fingerprint).then(function(data) {
+    });
+  };
+
+  /* Permissions requested by an updated module are granted once the user */
+  /* confirmed them.                                                       */
+  $scope.modules_grant = function(module) {
+    if($window.confirm('Module `' + module.name + '` requests the ' +
+                       'following permissions:\n\n  ' +
+                       module.requested_permissions.join('\n  ') + '\n\n' +
+                       'Grant these permissions?')) {
+      _modules.grant(module.path).then(function(data) {
+      });
+    }
+  };
+
   $scope.modules_restart = function(path) {
     async.series([
       function(cb_) {
@@ -102,6 +187,10 @@ function ModulesCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
     });
   };
 
+  $scope.toggle_interface = function(name) {
+    $scope.interface_shown[name] = !$scope.interface_shown[name];
+  };
+
   $scope.about_install = function() {
     _req.post('/about/install', {}).then(function(data) {
     });
@@ -0,0 +1,71 @@
+/*
+ * Breach: [modules] settings_c.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu  Creation
+ */
+'use strict';
+
+//
+// ### SettingsCtrl
+// Controller to edit the settings declared by a module (form generated from
+// its settings schema)
+//
+function SettingsCtrl($scope, $location, $rootScope, $window, $timeout, 
+                      $routeParams, _bind, _modules, _req, _socket) {
+
+  /****************************************************************************/
+  /* INITIALIZATION                                                           */
+  /****************************************************************************/
+  $scope.name = $routeParams.name;
+  $scope.schema = null;
+  $scope.values = {};
+  /* Values as last retrieved, to only save the settings that changed. */
+  $scope.saved = {};
+  /* Errors by setting key. */
+  $scope.errors = {};
+
+  $window.document.title = 'settings::' + $scope.name;
+
+  var load = function() {
+    _modules.settings($scope.name).then(function(data) {
+      $scope.schema = data.settings.schema;
+      $scope.values = angular.copy(data.settings.values);
+      $scope.saved = data.settings.values;
+    });
+  };
+  load();
+
+  /****************************************************************************/
+  /* COMMANDS                                                                  */
+  /****************************************************************************/
+  $scope.changed = function() {
+    return Object.keys($scope.values).filter(function(key) {
+      return !angular.equals($scope.values[key], $scope.saved[key]);
+    });
+  };
+
+  $scope.save = function() {
+    $scope.errors = {};
+    async.eachSeries($scope.changed(), function(key, cb_) {
+      _modules.set_setting($scope.name, key, $scope.values[key])
+        .then(function(data) {
+          return cb_();
+        }, function(err) {
+          $scope.errors[key] = err;
+          return cb_();
+        });
+    }, function(err) {
+      load();
+    });
+  };
+
+  $scope.reset = function() {
+    $scope.errors = {};
+    $scope.values = angular.copy($scope.saved);
+  };
+};
@@ -6,6 +6,7 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu  Grant module permissions
  * - 2014-06-19 spolu  Creation
  */
 'use strict';
@@ -73,6 +74,23 @@ function OnBoardingCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
           }, function(reason) { return cb_(reason); });
         }, cb_);
       },
+      /* Permissions requested by the modules are granted once confirmed. */
+      function(cb_) {
+        async.eachSeries(to_install, function(m, cb_) {
+          if(!module[m].requested_permissions) {
+            return cb_();
+          }
+          if(!$window.confirm('Module `' + m + '` requests the following ' +
+                              'permissions:\n\n  ' +
+                              module[m].requested_permissions.join('\n  ') +
+                              '\n\nGrant these permissions?')) {
+            return cb_('Permissions refused for `' + m + '`');
+          }
+          _modules.grant(module[m].path).then(function(data) {
+            return cb_();
+          }, function(reason) { return cb_(reason); });
+        }, cb_);
+      },
       function(cb_) {
         $scope.step1_add_done = true;
         async.each(to_install, function(m, cb_) {
@@ -6,6 +6,7 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu  Restore previous session
  * - 2014-06-19 spolu  Creation
  */
 'use strict';
@@ -45,5 +46,18 @@ function SplashCtrl($scope, $location, $rootScope, $window, $timeout, $sce,
     }
   });
 
+  /****************************************************************************/
+  /* COMMANDS                                                                  */
+  /****************************************************************************/
+  $scope.restore = function() {
+    _req.post('/tabs/restore', {}).then(function(data) {
+    });
+  };
+
+  $scope.dismiss = function() {
+    _req.post('/tabs/dismiss', {}).then(function(data) {
+    });
+  };
+
 };
 
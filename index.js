@@ -28,6 +28,22 @@ var async = require('async');
 /* TODO(spolu): find a better solution */
 process.nextTick = setTimeout
 
+// ### arg_value
+//
+// Returns the value of a `--name=value` command line argument or null
+// ```
+// @name {string} the argument name (with leading dashes)
+// ```
+var arg_value = function(name) {
+  var value = null;
+  process.argv.forEach(function(a) {
+    if(a.indexOf(name + '=') === 0) {
+      value = a.substr(name.length + 1);
+    }
+  });
+  return value;
+};
+
 /******************************************************************************/
 /* MAIN RUN MODES */
 /******************************************************************************/
@@ -51,6 +67,23 @@ var breach_start = function() {
     }
   });
 
+  if(arg_value('--msg-trace')) {
+    try {
+      common.msg_trace = require('./lib/bus_trace.js').bus_trace({
+        path: arg_value('--msg-trace'),
+        filter: arg_value('--msg-filter')
+      });
+    }
+    catch(err) {
+      common.fatal(err);
+    }
+    common.msg_trace.init(function(err) {
+      if(err) {
+        common.fatal(err);
+      }
+    });
+  }
+
   /* TODO(spolu): Useful for debugging on OSX. Maybe integrate it in */
   /* module_manager.                                                 */
   /*
@@ -64,6 +97,15 @@ var breach_start = function() {
   };
   */
 
+  /* Local mirror of module sources used by module managers. */
+  var mirror = arg_value('--modules-mirror') || 
+    process.env['BREACH_MODULES_MIRROR'];
+  if(mirror) {
+    common.modules_mirror = require('./lib/module_mirror.js').module_mirror({
+      path: mirror
+    });
+  }
+
   common.auto_updater = require('./lib/auto_updater.js').auto_updater({});
   common.auto_updater.init();
 
@@ -90,12 +132,115 @@ var breach_start = function() {
   });
 };
 
+// ### breach_module
+//
+// Command-line module management: `--module {cmd} [{path|ref}]` (see
+// `control_server.module_command`). The command is sent to the running
+// instance through its control socket or, if Breach is not running, executed
+// directly on the first session. The result is written to stdout as JSON:
+// `{ ok: true, res: {result} }` or `{ ok: false, err: { msg, nme } }`.
+var breach_module = function() {
+  /* Logs go to stderr so that stdout only carries the result. */
+  common.LOG_STDERR = true;
+
+  var i = process.argv.indexOf('--module');
+  var cmd = process.argv[i + 1] || null;
+  var arg = process.argv[i + 2] || null;
+  var args = { path: arg, ref: arg };
+  var control = require('./lib/control_server.js');
+
+  var done = function(err, res) {
+    var out = err ? 
+      { ok: false, err: { msg: err.message, nme: err.name } } :
+      { ok: true, res: typeof res === 'undefined' ? null : res };
+    process.stdout.write(JSON.stringify(out, null, 2) + '\n', function() {
+      common.exit(err ? 1 : 0);
+    });
+  };
+
+  control.control_call(cmd, args, function(err, res) {
+    if(!err || (err.code !== 'ENOENT' && err.code !== 'ECONNREFUSED')) {
+      return done(err, res);
+    }
+    /* No running instance, we operate on the session gig store directly. */
+    common.session_manager = 
+      require('./lib/session_manager.js').session_manager({
+        off_the_record: false
+      });
+    async.waterfall([
+      common.session_manager.init,
+      common.session_manager.list_sessions,
+      function(sessions, cb_) {
+        if(Object.keys(sessions).length === 0) {
+          return cb_(common.err('No session found',
+                                'index:no_session'));
+        }
+        common.session_manager.load_session(Object.keys(sessions)[0], cb_);
+      },
+      function(session, cb_) {
+        control.module_command(session.module_manager(), cmd, args, {
+          direct: true
+        }, cb_);
+      }
+    ], done);
+  });
+};
+
+
+
+// ### breach_replay
+//
+// Replays a trace recorded with `--msg-trace` into a module run in isolation:
+// `--msg-replay=<trace> --msg-module=<path> [--msg-filter=<expr>]
+// [--msg-replay-speed=<n>]`
+var breach_replay = function() {
+  process.argv.forEach(function(a) {
+    if(a === '--debug') {
+      common.DEBUG = true;
+    }
+    if(a === '--msg-dump') {
+      common.MSG_DUMP = true;
+    }
+  });
+  if(!arg_value('--msg-module')) {
+    common.fatal(common.err('Missing `--msg-module` argument',
+                            'index:missing_module'));
+  }
+
+  var speed = parseFloat(arg_value('--msg-replay-speed') || '1');
+  var replay = null;
+  try {
+    replay = require('./lib/bus_replay.js').bus_replay({
+      trace: arg_value('--msg-replay'),
+      path: arg_value('--msg-module'),
+      filter: arg_value('--msg-filter'),
+      speed: isNaN(speed) ? 1 : speed
+    });
+  }
+  catch(err) {
+    common.fatal(err);
+  }
+  replay.run(function(err) {
+    if(err) {
+      common.fatal(err);
+    }
+    common.exit(0);
+  });
+};
 
 
 /******************************************************************************/
 /* INITIALIZATION */
 /******************************************************************************/
-breach_start();
+if(process.argv.indexOf('--module') !== -1) {
+  breach_module();
+}
+else if(arg_value('--msg-replay')) {
+  breach_replay();
+}
+else {
+  breach_start();
+}
 
 
 // SAFETY NET (kills the process and the spawns)
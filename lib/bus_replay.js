@@ -0,0 +1,329 @@
+/*
+ * Breach: bus_replay.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var child_process = require('child_process');
+
+var common = require('./common.js');
+
+// ## bus_replay
+//
+// Replay harness feeding a trace recorded by `bus_trace` into a module run in
+// isolation. The harness acts as a minimal core for the module:
+// - `rpc_call` and `cancel` messages recorded with the module as destination
+//   are sent to it, respecting the recorded timing (scaled by `speed`, `0`
+//   meaning no delay)
+// - recorded events are sent to it if they match the registrations made by
+//   the module during the replay (payload filters and `once` are honored,
+//   rates are not as the recorded timing is replayed)
+// - `rpc_call`s emitted by the module are answered with the next recorded
+//   `rpc_reply` for the same procedure (or a `replay_missing_reply` error)
+//
+// Messages exchanged with the module are logged. The replay starts once the
+// module is ready and the module is killed `GRACE_PERIOD` ms after the last
+// message was sent.
+//
+// ```
+// @spec { trace, path, [filter], [speed] }
+// ```
+var bus_replay = function(spec, my) {
+  var _super = {};
+  my = my || {};
+  spec = spec || {};
+
+  my.GRACE_PERIOD = 1000 * 2;
+
+  my.trace = spec.trace;
+  my.path = path.resolve(spec.path);
+  my.filter = spec.filter ?
+    require('./bus_trace.js').parse_filter(spec.filter) : null;
+  my.speed = typeof spec.speed === 'number' ? spec.speed : 1;
+
+  my.name = null;
+  my.process = null;
+  my.message_id = 0;
+  /* Recorded messages to send to the module. */
+  my.inbound = [];
+  /* Recorded `rpc_reply`s to the module by procedure name. */
+  my.replies = {};
+  my.registrations = [];
+
+  //
+  // _public_
+  //
+  var run;      /* run(cb_); */
+
+  //
+  // _private_
+  //
+  var load;     /* load(cb_); */
+  var handle;   /* handle(msg); */
+  var deliver;  /* deliver(msg); */
+  var feed;     /* feed(cb_); */
+
+  //
+  // #### _that_
+  //
+  var that = {};
+
+  /****************************************************************************/
+  /* PRIVATE HELPERS */
+  /****************************************************************************/
+  // ### load
+  //
+  // Reads the module name and the trace file and prepares the messages to
+  // send and the replies to serve.
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  load = function(cb_) {
+    async.series([
+      function(cb_) {
+        fs.readFile(path.join(my.path, 'package.json'), 'utf8',
+                    function(err, data) {
+          if(err) {
+            return cb_(err);
+          }
+          try {
+            my.name = JSON.parse(data).name;
+          }
+          catch(err) {
+            return cb_(err);
+          }
+          if(!my.name) {
+            return cb_(common.err('Invalid module name for module: ' +
+                                  my.path,
+                                  'bus_replay:invalid_name'));
+          }
+          return cb_();
+        });
+      },
+      function(cb_) {
+        fs.readFile(my.trace, 'utf8', function(err, data) {
+          if(err) {
+            return cb_(err);
+          }
+          var lines = data.split('\n');
+          for(var i = 0; i < lines.length; i ++) {
+            if(lines[i].trim().length === 0) {
+              continue;
+            }
+            var entry = null;
+            try {
+              entry = JSON.parse(lines[i]);
+            }
+            catch(err) {
+              return cb_(common.err('Invalid trace entry at line ' + (i + 1),
+                                    'bus_replay:invalid_trace'));
+            }
+            if(!entry.msg || !entry.msg.hdr ||
+               (my.filter && !my.filter(entry))) {
+              continue;
+            }
+            if(entry.dst === my.name &&
+               (entry.typ === 'rpc_call' || entry.typ === 'cancel')) {
+              my.inbound.push(entry);
+            }
+            else if(entry.typ === 'event' && entry.src !== my.name) {
+              my.inbound.push(entry);
+            }
+            else if(entry.typ === 'rpc_reply' && entry.dst === my.name) {
+              my.replies[entry.prc] = my.replies[entry.prc] || [];
+              my.replies[entry.prc].push(entry.msg);
+            }
+          }
+          common.log.out('[bus_replay] Loaded ' + my.inbound.length +
+                         ' messages for `' + my.name + '` from: ' + my.trace);
+          return cb_();
+        });
+      }
+    ], function(err) {
+      return cb_(err);
+    });
+  };
+
+  // ### deliver
+  //
+  // Sends a message to the module
+  // ```
+  // @msg {object} the message to send
+  // ```
+  deliver = function(msg) {
+    if(!my.process) {
+      return;
+    }
+    common.log.out('[bus_replay] > ' + msg.hdr.typ + ' ' +
+                   '(' + msg.hdr.src + ') ' +
+                   (typeof msg.prc === 'string' ? msg.prc : (msg.typ || '')) +
+                   (typeof msg.oid === 'number' ? ' oid:' + msg.oid : '') +
+                   ' [' + msg.hdr.mid + ']');
+    try {
+      my.process.send(msg);
+    }
+    catch(err) {
+      common.log.error(err);
+    }
+  };
+
+  // ### handle
+  //
+  // Handles a message sent by the module
+  // ```
+  // @msg {object} the message received
+  // ```
+  handle = function(msg) {
+    if(!msg || !msg.hdr || typeof msg.hdr.typ !== 'string') {
+      return;
+    }
+    msg.hdr.src = my.name;
+    common.log.out('[bus_replay] < ' + msg.hdr.typ + ' ' +
+                   (msg.dst ? '(' + msg.dst + ') ' : '') +
+                   (typeof msg.prc === 'string' ? msg.prc : (msg.typ || '')) +
+                   (typeof msg.oid === 'number' ? ' oid:' + msg.oid : '') +
+                   ' [' + msg.hdr.mid + ']');
+    if(common.MSG_DUMP) {
+      common.log.out(JSON.stringify(msg, null, 2));
+    }
+
+    switch(msg.hdr.typ) {
+      case 'register': {
+        if(typeof msg.src === 'string' && typeof msg.typ === 'string') {
+          my.registrations.push({
+            source: new RegExp(msg.src),
+            type: new RegExp(msg.typ),
+            registration_id: msg.hdr.mid,
+            filter: common.valid_filter(msg.flt) ? msg.flt : null,
+            once: msg.onc === true
+          });
+        }
+        break;
+      }
+      case 'unregister': {
+        my.registrations = my.registrations.filter(function(r) {
+          return r.registration_id !== msg.rid;
+        });
+        break;
+      }
+      case 'rpc_call': {
+        var reply = null;
+        if(my.replies[msg.prc] && my.replies[msg.prc].length > 0) {
+          reply = my.replies[msg.prc].shift();
+        }
+        else {
+          reply = {
+            hdr: { typ: 'rpc_reply', src: msg.dst, ver: msg.hdr.ver },
+            dst: my.name,
+            prc: msg.prc,
+            err: {
+              msg: 'No recorded reply for: `' + msg.prc + '`',
+              nme: 'replay_missing_reply'
+            }
+          };
+        }
+        reply.hdr.mid = ++my.message_id;
+        reply.oid = msg.hdr.mid;
+        setTimeout(function() {
+          deliver(reply);
+        });
+        break;
+      }
+    }
+  };
+
+  // ### feed
+  //
+  // Sends the recorded messages to the module
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  feed = function(cb_) {
+    var last = null;
+    async.eachSeries(my.inbound, function(entry, cb_) {
+      var delay = (last !== null && my.speed > 0) ?
+        Math.max(0, (entry.ts - last) / my.speed) : 0;
+      last = entry.ts;
+      setTimeout(function() {
+        if(entry.typ === 'event') {
+          var matched = my.registrations.filter(function(r) {
+            return r.source.test(entry.src) && r.type.test(entry.evt) &&
+              (!r.filter || common.match_filter(r.filter, entry.msg.evt));
+          });
+          if(matched.length === 0) {
+            return cb_();
+          }
+          my.registrations = my.registrations.filter(function(r) {
+            return !r.once || matched.indexOf(r) === -1;
+          });
+        }
+        deliver(entry.msg);
+        return cb_();
+      }, delay);
+    }, cb_);
+  };
+
+  /****************************************************************************/
+  /* PUBLIC METHODS */
+  /****************************************************************************/
+  // ### run
+  //
+  // Runs the module and replays the trace. Fails if the module exits before
+  // the end of the replay.
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  run = function(cb_) {
+    cb_ = common.once(cb_);
+    load(function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      common.log.out('[bus_replay] Running: ' + my.path);
+      my.process = child_process.fork(my.path, ['--no-chrome']);
+
+      my.process.on('exit', function(code, signal) {
+        my.process = null;
+        return cb_(common.err('Module exited: `' + my.name + '` [' +
+                              code + ', ' + signal + ']',
+                              'bus_replay:module_exited'));
+      });
+      my.process.on('message', function(msg) {
+        if(msg && msg.hdr &&
+           msg.hdr.typ === 'event' &&
+           msg.typ === 'internal:ready') {
+          common.log.out('[bus_replay] Module ready: ' + my.name);
+          feed(function(err) {
+            setTimeout(function() {
+              common.log.out('[bus_replay] Replay complete');
+              if(my.process) {
+                my.process.removeAllListeners();
+                my.process.kill();
+                my.process = null;
+              }
+              return cb_(err);
+            }, my.GRACE_PERIOD);
+          });
+        }
+        else {
+          handle(msg);
+        }
+      });
+    });
+  };
+
+  common.method(that, 'run', run, _super);
+
+  return that;
+};
+
+exports.bus_replay = bus_replay;
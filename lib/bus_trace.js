@@ -0,0 +1,268 @@
+/*
+ * Breach: bus_trace.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var fs = require('fs');
+
+var common = require('./common.js');
+
+// ## bus_trace
+//
+// Structured recorder of the messages dispatched on the module bus. Each
+// message is written as a newline-delimited JSON entry:
+// ```
+// {
+//   ts: {date},
+//   src: {string},
+//   dst: {string},
+//   typ: {string},  /* message type (`hdr.typ`)                         */
+//   mid: {number},
+//   oid: {number},  /* `rpc_reply` and `cancel` only                    */
+//   prc: {string},  /* `rpc_call` and `rpc_reply` only                  */
+//   evt: {string},  /* event type for `event` and `register` only       */
+//   size: {number}, /* size of the serialized message                   */
+//   lat: {number},  /* `rpc_reply` only: latency since the `rpc_call`   */
+//   msg: {object}   /* the message itself                               */
+// }
+// ```
+//
+// An optional filter expression restricts the recorded messages. It is a
+// comma separated list of terms that must all match, each term being of the
+// form `field=value` (equality) or `field~regexp` (regular expression),
+// optionally negated with `!` (`field!=value`, `field!~regexp`). Fields are
+// the ones of the trace entry (`src`, `dst`, `typ`, `prc`, `evt`, ...). As
+// an example: `typ~^rpc_,prc!=ping`.
+//
+// Traces can be fed back into a module in isolation with the `bus_replay`
+// harness.
+//
+// ```
+// @spec { path, [filter] }
+// ```
+var bus_trace = function(spec, my) {
+  var _super = {};
+  my = my || {};
+  spec = spec || {};
+
+  /* `rpc_call`s not replied within that time are forgotten. */
+  my.PENDING_EXPIRY = 1000 * 60 * 5;
+
+  my.path = spec.path;
+  my.filter = spec.filter ? parse_filter(spec.filter) : null;
+  my.stream = null;
+
+  /* Timestamp of in-flight `rpc_call`s by `src + ':' + mid`. */
+  my.pending = {};
+  my.expire_itv = null;
+
+  //
+  // _private_
+  //
+  var expire;   /* expire(); */
+
+  //
+  // _public_
+  //
+  var record;   /* record(msg); */
+
+  var init;     /* init(cb_); */
+  var kill;     /* kill(cb_); */
+
+  //
+  // #### _that_
+  //
+  var that = {};
+
+  /****************************************************************************/
+  /* PRIVATE HELPERS */
+  /****************************************************************************/
+  // ### expire
+  //
+  // Periodically triggered to forget about `rpc_call`s that never received a
+  // reply (calls without timeout, modules killed).
+  expire = function() {
+    var date = Date.now();
+    Object.keys(my.pending).forEach(function(key) {
+      if(date - my.pending[key] > my.PENDING_EXPIRY) {
+        delete my.pending[key];
+      }
+    });
+  };
+
+  /****************************************************************************/
+  /* PUBLIC METHODS */
+  /****************************************************************************/
+  // ### record
+  //
+  // Records a message about to be dispatched. The message is serialized right
+  // away as `dispatch` recycles messages (`rpc_call` into `rpc_reply`). Entries
+  // are buffered by the trace file stream and flushed on `kill`.
+  // ```
+  // @msg {object} the message being dispatched
+  // ```
+  record = function(msg) {
+    if(my.stream === null) {
+      return;
+    }
+    var date = Date.now();
+    var str = JSON.stringify(msg);
+    var entry = {
+      ts: date,
+      src: msg.hdr.src,
+      dst: msg.dst || null,
+      typ: msg.hdr.typ,
+      mid: msg.hdr.mid
+    };
+    switch(msg.hdr.typ) {
+      case 'rpc_call': {
+        entry.prc = msg.prc;
+        my.pending[msg.hdr.src + ':' + msg.hdr.mid] = date;
+        break;
+      }
+      case 'rpc_reply': {
+        entry.oid = msg.oid;
+        entry.prc = msg.prc;
+        var key = msg.dst + ':' + msg.oid;
+        if(my.pending[key]) {
+          entry.lat = date - my.pending[key];
+          delete my.pending[key];
+        }
+        break;
+      }
+      case 'cancel': {
+        entry.oid = msg.oid;
+        delete my.pending[msg.hdr.src + ':' + msg.oid];
+        break;
+      }
+      case 'event':
+      case 'register': {
+        entry.evt = msg.typ;
+        break;
+      }
+    }
+    entry.size = Buffer.byteLength(str);
+
+    if(my.filter && !my.filter(entry)) {
+      return;
+    }
+    /* The message is spliced in already serialized. */
+    var line = JSON.stringify(entry);
+    line = line.substr(0, line.length - 1) + ',"msg":' + str + '}\n';
+    my.stream.write(line);
+  };
+
+  /****************************************************************************/
+  /* INIT / KILL */
+  /****************************************************************************/
+  // ### init
+  //
+  // Opens the trace file (truncated)
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  init = function(cb_) {
+    var stream = fs.createWriteStream(my.path, { flags: 'w' });
+    var opened = false;
+    stream.on('error', function(err) {
+      if(!opened) {
+        my.stream = null;
+        return cb_(err);
+      }
+      common.log.error(err);
+    });
+    stream.on('open', function() {
+      opened = true;
+      common.log.out('[bus_trace] Recording to: ' + my.path);
+      my.expire_itv = setInterval(expire, my.PENDING_EXPIRY);
+      return cb_();
+    });
+    /* Messages recorded before the file is opened are buffered. */
+    my.stream = stream;
+  };
+
+  // ### kill
+  //
+  // Flushes and closes the trace file
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  kill = function(cb_) {
+    clearInterval(my.expire_itv);
+    my.pending = {};
+    if(my.stream === null) {
+      return cb_();
+    }
+    var stream = my.stream;
+    my.stream = null;
+    stream.end(function() {
+      return cb_();
+    });
+  };
+
+  common.method(that, 'record', record, _super);
+
+  common.method(that, 'init', init, _super);
+  common.method(that, 'kill', kill, _super);
+
+  return that;
+};
+
+// ### parse_filter
+//
+// Compiles a filter expression into a predicate on trace entries. Throws a
+// `bus_trace:invalid_filter` error if the expression is invalid.
+// ```
+// @expr    {string} the filter expression
+// @returns {function(entry)} the predicate
+// ```
+var parse_filter = function(expr) {
+  var terms = expr.split(',').filter(function(t) {
+    return t.trim().length > 0;
+  }).map(function(t) {
+    var m = /^\s*([a-z_]+)\s*(!?)([=~])(.*)$/.exec(t);
+    if(!m) {
+      throw common.err('Invalid filter term: `' + t + '`',
+                       'bus_trace:invalid_filter');
+    }
+    var test = null;
+    if(m[3] === '~') {
+      var re = null;
+      try {
+        re = new RegExp(m[4]);
+      }
+      catch(err) {
+        throw common.err('Invalid filter regexp: `' + m[4] + '`',
+                         'bus_trace:invalid_filter');
+      }
+      test = function(v) {
+        return re.test(v === null || typeof v === 'undefined' ? '' :
+                       String(v));
+      };
+    }
+    else {
+      test = function(v) {
+        return String(v) === m[4];
+      };
+    }
+    var negate = (m[2] === '!');
+    return function(entry) {
+      return test(entry[m[1]]) !== negate;
+    };
+  });
+  return function(entry) {
+    return terms.every(function(t) {
+      return t(entry);
+    });
+  };
+};
+
+exports.bus_trace = bus_trace;
+exports.parse_filter = parse_filter;
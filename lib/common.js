@@ -6,6 +6,7 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu   Added `state_delta` method
  * - 2014-05-16 spolu   Added `exit` method
  * - 2014-01-14 spolu   Added `hash` method
  * - 2013-12-15 spolu   Creation
@@ -23,6 +24,8 @@ var crypto = require('crypto');
 exports.DEBUG = false;
 exports.MSG_LOGGING = false;
 exports.MSG_DUMP = false;
+/* Set by command line modes whose stdout carries their result. */
+exports.LOG_STDERR = false;
 
 /******************************************************************************/
 /* CROCKFORD */
@@ -112,7 +115,7 @@ exports.once = function(fn) {
   var done = false;
   return function() {    
     if(!done) {
-      args = Array.prototype.slice.call(arguments);
+      var args = Array.prototype.slice.call(arguments);
       done = true;
       fn.apply(null, args);
     }
@@ -222,6 +225,102 @@ exports.hash = function(strings, encoding) {
   return hash.digest(encoding);
 };
 
+// ### match_filter
+//
+// Tests an object against a list of predicates on dot separated paths. All
+// predicates must match: `{ pth, eq }` tests equality of the value at `pth`
+// (deep equality for objects), `{ pth, ex }` tests the existence of a value
+// at `pth` if `ex` is true (absence otherwise).
+// ```
+// @filter {array} the list of predicates
+// @obj    {object} the object to test
+// @return {boolean} whether the object matches
+// ```
+exports.match_filter = function(filter, obj) {
+  return filter.every(function(p) {
+    var v = obj;
+    var keys = p.pth.split('.');
+    for(var i = 0; i < keys.length && typeof v !== 'undefined'; i ++) {
+      v = (v !== null && typeof v === 'object') ? v[keys[i]] : undefined;
+    }
+    if(typeof p.ex === 'boolean') {
+      return (typeof v !== 'undefined') === p.ex;
+    }
+    if(p.eq !== null && typeof p.eq === 'object') {
+      return JSON.stringify(v) === JSON.stringify(p.eq);
+    }
+    return v === p.eq;
+  });
+};
+
+// ### valid_filter
+//
+// Tests whether a filter is a valid list of predicates for `match_filter`
+// ```
+// @filter {array} the filter to validate
+// @return {boolean} whether the filter is valid
+// ```
+exports.valid_filter = function(filter) {
+  return Array.isArray(filter) && filter.every(function(p) {
+    return p !== null && typeof p === 'object' &&
+      typeof p.pth === 'string' && p.pth.length > 0 &&
+      (typeof p.ex === 'boolean' || typeof p.eq !== 'undefined');
+  });
+};
+
+// ### state_delta
+//
+// Computes the JSON patch ops (RFC 6902 `add`, `remove` and `replace`)
+// transforming a (serializable) value into another one. Array elements are
+// compared by index.
+// ```
+// @from   {any} the previous value
+// @to     {any} the new value
+// @path   {string} the JSON pointer of the values
+// @ops    {array} the ops to append to
+// @return {array} the ops
+// ```
+exports.state_delta = function(from, to, path, ops) {
+  var child = function(key) {
+    return path + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  };
+  var is_object = function(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  };
+  if(Array.isArray(from) && Array.isArray(to)) {
+    var n = Math.min(from.length, to.length);
+    for(var i = 0; i < n; i ++) {
+      exports.state_delta(from[i], to[i], child(i), ops);
+    }
+    for(var i = n; i < to.length; i ++) {
+      ops.push({ op: 'add', path: child(i), value: to[i] });
+    }
+    /* Removed from the end so that indices stay valid. */
+    for(var i = from.length - 1; i >= n; i --) {
+      ops.push({ op: 'remove', path: child(i) });
+    }
+  }
+  else if(is_object(from) && is_object(to)) {
+    Object.keys(from).forEach(function(k) {
+      if(!to.hasOwnProperty(k)) {
+        ops.push({ op: 'remove', path: child(k) });
+      }
+    });
+    Object.keys(to).forEach(function(k) {
+      if(!from.hasOwnProperty(k)) {
+        ops.push({ op: 'add', path: child(k), value: to[k] });
+      }
+      else {
+        exports.state_delta(from[k], to[k], child(k), ops);
+      }
+    });
+  }
+  else if(from !== to) {
+    ops.push({ op: 'replace', path: path, value: to });
+  }
+  return ops;
+};
+
 
 /******************************************************************************/
 /* LOGGING AND ERROR REPORTING */
@@ -232,7 +331,7 @@ var log = function(str, debug, error) {
   //pre += (my.name ? '{' + my.name.toUpperCase() + '} ' : '');
   pre += (debug ? 'DEBUG: ' : '');
   str.toString().split('\n').forEach(function(line) {
-    if(error)
+    if(error || exports.LOG_STDERR)
       console.error(pre + line)
     else if(debug)
       console.log(pre + line);
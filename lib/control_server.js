@@ -0,0 +1,566 @@
+/*
+ * Breach: control_server.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var net = require('net');
+var fs = require('fs');
+var crypto = require('crypto');
+var async = require('async');
+
+var api = require('exo_browser');
+
+var common = require('./common.js');
+
+// ## control_server
+//
+// Local control socket of a running Breach instance used by the command line
+// (`breach --module {cmd} [{ref}]`) to manage the modules of the running
+// session and by external tools (tests, scripts) to automate the browser.
+// The socket is a Unix domain socket (`socket_path`) only accessible to the
+// user running Breach.
+//
+// Requests are authenticated with a token generated each time Breach starts
+// and written next to the socket (`token_path`, only readable by the user).
+//
+// The protocol is newline-delimited JSON. Each request is answered by exactly
+// one reply:
+// ```
+// > { id: {number}, tok: {token}, cmd: {string}, args: {object} }
+// < { id: {number}, res: {object} } | { id: {number}, err: { msg, nme } }
+// ```
+// Commands are the ones implemented by `module_command` and:
+// ```
+// call {dst} {prc} {arg} [{timeout}]  calls a procedure of the `core` module
+//                                     (default `dst`) or of a running module
+// describe [{name}]                   interfaces of the running modules
+// subscribe {src} {typ} [{flt}]       registers for events (see the `register`
+//                                     message in `module_manager`), replies
+//                                     with a registration id `{ rid }`
+// unsubscribe {rid}                   removes a registration
+// ```
+// Calls are made on behalf of the `core` module and so are not restricted by
+// capabilities. Events matching a registration of a connection are written
+// to it as they are dispatched:
+// ```
+// < { rid: {number}, src: {string}, typ: {string}, evt: {object} }
+// ```
+//
+// ```
+// @spec { session }
+// ```
+var control_server = function(spec, my) {
+  var _super = {};
+  my = my || {};
+  spec = spec || {};
+
+  my.session = spec.session;
+  my.path = socket_path();
+  my.token_path = token_path();
+  my.token = null;
+  my.server = null;
+  my.sockets = [];
+
+  my.registration_id = 0;
+  my.registrations = [];
+
+  //
+  // _public_
+  //
+  var init;       /* init(cb_); */
+  var kill;       /* kill(cb_); */
+  var registered; /* registered(src, type); */
+
+  //
+  // _private_
+  //
+  var handle;   /* handle(socket, req); */
+  var listen;   /* listen(cb_); */
+  var message;  /* message(msg); */
+
+  //
+  // #### _that_
+  //
+  var that = {};
+
+  /****************************************************************************/
+  /* PRIVATE HELPERS */
+  /****************************************************************************/
+  // ### handle
+  //
+  // Executes a request received on a socket and writes its reply
+  // ```
+  // @socket {net.Socket} the client socket
+  // @req    {object} the request
+  // ```
+  handle = function(socket, req) {
+    var reply = function(err, res) {
+      var msg = { id: req.id };
+      if(err) {
+        msg.err = {
+          msg: err.message,
+          nme: err.name
+        };
+      }
+      else {
+        msg.res = typeof res === 'undefined' ? null : res;
+      }
+      if(socket.writable) {
+        socket.write(JSON.stringify(msg) + '\n');
+      }
+    };
+    if(!my.token || req.tok !== my.token) {
+      return reply(common.err('Invalid control token',
+                              'control_server:unauthorized'));
+    }
+    var args = req.args || {};
+    common.log.out('[control_server] `' + req.cmd + '` ' +
+                   JSON.stringify(args));
+    var module_manager = my.session.module_manager();
+    switch(req.cmd) {
+      case 'call': {
+        if(typeof args.prc !== 'string') {
+          return reply(common.err('Missing `prc` argument',
+                                  'control_server:missing_procedure'));
+        }
+        var options = {};
+        if(typeof args.timeout === 'number') {
+          options.timeout = args.timeout;
+        }
+        return module_manager.core_call(args.dst || 'core', args.prc,
+                                        args.arg || null, options, reply);
+      }
+      case 'describe': {
+        return module_manager.describe(args.name || null, reply);
+      }
+      case 'subscribe': {
+        var r = null;
+        try {
+          r = {
+            socket: socket,
+            registration_id: ++my.registration_id,
+            source: new RegExp(args.src || '.*'),
+            type: new RegExp(args.typ || '.*'),
+            filter: args.flt || null
+          };
+        }
+        catch(err) {
+          return reply(common.err('Invalid registration: ' + err.message,
+                                  'control_server:invalid_registration'));
+        }
+        if(r.filter && !common.valid_filter(r.filter)) {
+          return reply(common.err('Invalid registration filter',
+                                  'control_server:invalid_registration'));
+        }
+        my.registrations.push(r);
+        return reply(null, { rid: r.registration_id });
+      }
+      case 'unsubscribe': {
+        my.registrations = my.registrations.filter(function(r) {
+          return !(r.socket === socket && r.registration_id === args.rid);
+        });
+        return reply();
+      }
+      default: {
+        return module_command(module_manager, req.cmd, args, {}, reply);
+      }
+    }
+  };
+
+  // ### message
+  //
+  // Listener on the messages dispatched by the module manager. Events are
+  // written to the connections with a matching registration.
+  // ```
+  // @msg {object} the dispatched message
+  // ```
+  message = function(msg) {
+    if(msg.hdr.typ !== 'event' || my.registrations.length === 0) {
+      return;
+    }
+    /* The message is recycled after dispatch so it is serialized here. */
+    my.registrations.forEach(function(r) {
+      if(r.source.test(msg.hdr.src) && r.type.test(msg.typ) &&
+         (!r.filter || common.match_filter(r.filter, msg.evt)) &&
+         r.socket.writable) {
+        r.socket.write(JSON.stringify({
+          rid: r.registration_id,
+          src: msg.hdr.src,
+          typ: msg.typ,
+          evt: msg.evt
+        }) + '\n');
+      }
+    });
+  };
+
+  // ### listen
+  //
+  // Listens on the control socket. A socket file left over by an instance
+  // that did not exit properly is removed. Another running instance is
+  // detected if it accepts connections.
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  listen = function(cb_) {
+    var retried = false;
+    var on_listening = function() {
+      my.server.removeListener('error', on_error);
+      fs.chmod(my.path, parseInt('600', 8), cb_);
+    };
+    var on_error = function(err) {
+      if(err.code !== 'EADDRINUSE' || retried) {
+        my.server.removeListener('listening', on_listening);
+        my.server.removeListener('error', on_error);
+        return cb_(err);
+      }
+      retried = true;
+      var probe = net.connect(my.path);
+      probe.on('connect', function() {
+        probe.end();
+        my.server.removeListener('listening', on_listening);
+        my.server.removeListener('error', on_error);
+        return cb_(common.err('Control socket in use: ' + my.path,
+                              'control_server:socket_in_use'));
+      });
+      probe.on('error', function() {
+        fs.unlink(my.path, function() {
+          my.server.listen(my.path);
+        });
+      });
+    };
+    my.server.on('error', on_error);
+    my.server.once('listening', on_listening);
+    my.server.listen(my.path);
+  };
+
+  /****************************************************************************/
+  /* PUBLIC METHODS */
+  /****************************************************************************/
+  // ### init
+  //
+  // Starts listening on the control socket
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  init = function(cb_) {
+    my.server = net.createServer(function(socket) {
+      my.sockets.push(socket);
+      var buffer = '';
+      socket.setEncoding('utf8');
+      socket.on('data', function(data) {
+        buffer += data;
+        var lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(function(line) {
+          if(line.trim().length === 0) {
+            return;
+          }
+          var req = null;
+          try {
+            req = JSON.parse(line);
+          }
+          catch(err) {
+            socket.write(JSON.stringify({
+              id: null,
+              err: { msg: 'Invalid request', nme: 'control_server:invalid' }
+            }) + '\n');
+            return;
+          }
+          handle(socket, req);
+        });
+      });
+      socket.on('error', function(err) {
+        common.log.error(err);
+      });
+      socket.on('close', function() {
+        common.remove(my.sockets, socket);
+        my.registrations = my.registrations.filter(function(r) {
+          return r.socket !== socket;
+        });
+      });
+    });
+    my.token = crypto.randomBytes(32).toString('hex');
+    async.series([
+      listen,
+      /* The token is written once listening so that the token of another */
+      /* running instance is not overwritten.                             */
+      function(cb_) {
+        fs.writeFile(my.token_path, my.token, {
+          mode: parseInt('600', 8)
+        }, function(err) {
+          if(err) {
+            my.server.close();
+          }
+          return cb_(err);
+        });
+      }
+    ], function(err) {
+      if(err) {
+        my.server = null;
+        return cb_(err);
+      }
+      my.session.module_manager().on('message', message);
+      common.log.out('[control_server] Listening on: ' + my.path);
+      return cb_();
+    });
+  };
+
+  // ### registered
+  //
+  // Tests whether a connection is registered for an event
+  // ```
+  // @src    {string} the event source
+  // @type   {string} the event type
+  // @return {boolean} whether a connection is registered
+  // ```
+  registered = function(src, type) {
+    return my.registrations.some(function(r) {
+      return r.source.test(src) && r.type.test(type);
+    });
+  };
+
+  // ### kill
+  //
+  // Closes the control socket
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  kill = function(cb_) {
+    if(!my.server) {
+      return cb_();
+    }
+    my.session.module_manager().removeListener('message', message);
+    my.registrations = [];
+    my.sockets.forEach(function(s) {
+      s.destroy();
+    });
+    my.server.close(function() {
+      my.server = null;
+      fs.unlink(my.token_path, function() {
+        return cb_();
+      });
+    });
+  };
+
+  common.method(that, 'init', init, _super);
+  common.method(that, 'kill', kill, _super);
+  common.method(that, 'registered', registered, _super);
+
+  common.getter(that, 'session', my, 'session');
+
+  return that;
+};
+
+// ### socket_path
+//
+// Returns the path of the control socket
+var socket_path = function() {
+  return require('path').join(api.data_path('breach'), 'control.sock');
+};
+
+// ### token_path
+//
+// Returns the path of the file containing the control token
+var token_path = function() {
+  return require('path').join(api.data_path('breach'), 'control.token');
+};
+
+// ### find_module
+//
+// Finds a module of the session by reference: its exact path, its name or its
+// path without tag (`github:breach/mod_test`).
+// ```
+// @module_manager {object} the session module manager
+// @ref            {string} the module reference
+// @cb_            {function(err, module)} the `list` entry of the module
+// ```
+var find_module = function(module_manager, ref, cb_) {
+  if(typeof ref !== 'string' || ref.length === 0) {
+    return cb_(common.err('Missing module reference',
+                          'control_server:missing_module'));
+  }
+  module_manager.list(function(err, modules) {
+    if(err) {
+      return cb_(err);
+    }
+    var base = function(path) {
+      path = path.split('#')[0];
+      return /^npm\:/.test(path) ? path.replace(/@[^@\/]*$/, '') : path;
+    };
+    var found = modules.filter(function(m) {
+      return m.path === ref;
+    })[0] || modules.filter(function(m) {
+      return m.name === ref || base(m.path) === ref;
+    })[0];
+    if(!found) {
+      return cb_(common.err('Module not found: ' + ref,
+                            'control_server:module_not_found'));
+    }
+    return cb_(null, found);
+  });
+};
+
+// ### module_command
+//
+// Executes a module management command on a module manager. Commands are:
+// ```
+// install {path}   adds and installs a module (its requested permissions
+//                  are only granted with `grant`)
+// grant {ref}      grants the permissions requested by a module
+// remove {ref}     removes a module
+// list             lists the modules
+// info {ref}       the `list` entry of a module
+// update {ref}     updates a module
+// run {ref}        runs a module (running instance only)
+// kill {ref}       kills a module (running instance only)
+// output {ref}     the output of a module
+// ```
+// Commands taking a `{ref}` accept a module exact path, name or path without
+// tag.
+// ```
+// @module_manager {object} the session module manager
+// @cmd            {string} the command
+// @args           {object} { [path], [ref] }
+// @options        {object} { direct } the module manager is not running
+// @cb_            {function(err, res)}
+// ```
+var module_command = function(module_manager, cmd, args, options, cb_) {
+  var with_module = function(fun) {
+    find_module(module_manager, args.ref, function(err, m) {
+      if(err) {
+        return cb_(err);
+      }
+      return fun(m);
+    });
+  };
+  switch(cmd) {
+    case 'install': {
+      if(!args.path) {
+        return cb_(common.err('Missing `path` argument',
+                              'control_server:missing_path'));
+      }
+      return async.waterfall([
+        function(cb_) {
+          module_manager.add(args.path, false, cb_);
+        },
+        function(module, cb_) {
+          module_manager.install(module.path, cb_);
+        }
+      ], cb_);
+    }
+    case 'grant': {
+      return with_module(function(m) {
+        module_manager.grant_permissions(m.path, cb_);
+      });
+    }
+    case 'remove': {
+      return with_module(function(m) {
+        module_manager.remove(m.path, cb_);
+      });
+    }
+    case 'list': {
+      return module_manager.list(cb_);
+    }
+    case 'info': {
+      return with_module(function(m) {
+        return cb_(null, m);
+      });
+    }
+    case 'update': {
+      return with_module(function(m) {
+        module_manager.update(m.path, cb_);
+      });
+    }
+    case 'run':
+    case 'kill': {
+      if(options.direct) {
+        return cb_(common.err('Breach must be running to ' + cmd +
+                              ' modules',
+                              'control_server:not_running'));
+      }
+      return with_module(function(m) {
+        if(cmd === 'run') {
+          module_manager.run_module(m.path, cb_);
+        }
+        else {
+          module_manager.kill_module(m.path, cb_);
+        }
+      });
+    }
+    case 'output': {
+      return with_module(function(m) {
+        module_manager.output(m.path, cb_);
+      });
+    }
+    default: {
+      return cb_(common.err('Unknown command: ' + cmd,
+                            'control_server:unknown_command'));
+    }
+  }
+};
+
+// ### control_call
+//
+// Sends a command to the running instance through the control socket. The
+// error has code `ENOENT` or `ECONNREFUSED` if no instance is running.
+// ```
+// @cmd  {string} the command
+// @args {object} the command arguments
+// @cb_  {function(err, res)}
+// ```
+var control_call = function(cmd, args, cb_) {
+  cb_ = common.once(cb_);
+  fs.readFile(token_path(), 'utf8', function(err, token) {
+    if(err) {
+      return cb_(err);
+    }
+    var socket = net.connect(socket_path());
+    var buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('connect', function() {
+      socket.write(JSON.stringify({
+        id: 0,
+        tok: token.trim(),
+        cmd: cmd,
+        args: args
+      }) + '\n');
+    });
+    socket.on('data', function(data) {
+      buffer += data;
+      var i = buffer.indexOf('\n');
+      if(i === -1) {
+        return;
+      }
+      socket.end();
+      var reply = null;
+      try {
+        reply = JSON.parse(buffer.substr(0, i));
+      }
+      catch(err) {
+        return cb_(err);
+      }
+      if(reply.err) {
+        return cb_(common.err(reply.err.msg, reply.err.nme));
+      }
+      return cb_(null, reply.res);
+    });
+    socket.on('error', cb_);
+    socket.on('close', function() {
+      return cb_(common.err('Control socket closed',
+                            'control_server:closed'));
+    });
+  });
+};
+
+exports.control_server = control_server;
+exports.socket_path = socket_path;
+exports.token_path = token_path;
+exports.module_command = module_command;
+exports.control_call = control_call;
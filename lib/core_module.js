@@ -38,6 +38,7 @@ var core_module = function(spec, my) {
 
   my.core_tabs = null;
   my.core_controls = null;
+  my.core_settings = null;
   my.core_ui = null;
 
   my.exo_browser = null;
@@ -74,6 +75,20 @@ var core_module = function(spec, my) {
   var modules_run;                /* modules_run(src, args, cb_); */
   var modules_kill;               /* modules_kill(src, args, cb_); */
   var modules_list;               /* modules_list(src, args, cb_); */
+  var modules_describe;           /* modules_describe(src, args, cb_); */
+  var modules_health;             /* modules_health(src, args, cb_); */
+  var modules_stats;              /* modules_stats(src, args, cb_); */
+  var modules_outdated;           /* modules_outdated(src, args, cb_); */
+  var modules_populate_mirror;    /* modules_populate_mirror(src, args, cb_); */
+  var lock_path;                  /* lock_path(file); */
+  var modules_export_lock;        /* modules_export_lock(src, args, cb_); */
+  var modules_import_lock;        /* modules_import_lock(src, args, cb_); */
+  var modules_restart_policy;     /* modules_restart_policy(src, args, cb_); */
+  var modules_hot_reload;         /* modules_hot_reload(src, args, cb_); */
+  var modules_signature_config;   /* modules_signature_config(src, args, cb_); */
+  var modules_signature_policy;   /* modules_signature_policy(src, args, cb_); */
+  var modules_trust_key;          /* modules_trust_key(src, args, cb_); */
+  var modules_untrust_key;        /* modules_untrust_key(src, args, cb_); */
   
   var set_title;                  /* set_title(src, args, cb_); */
   
@@ -401,6 +416,230 @@ var core_module = function(spec, my) {
     my.session.module_manager().list(cb_);
   };
 
+  // ### modules_describe
+  //
+  // Describes the procedures and events advertised by running modules
+  // ```
+  // @src  {string} source module
+  // @args {object} { [name] }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_describe = function(src, args, cb_) {
+    my.session.module_manager().describe((args || {}).name, cb_);
+  };
+
+  // ### modules_health
+  //
+  // Retrieves the health check data of running modules
+  // ```
+  // @src  {string} source module
+  // @args {object} { [name] }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_health = function(src, args, cb_) {
+    my.session.module_manager().health((args || {}).name, cb_);
+  };
+
+  // ### modules_stats
+  //
+  // Retrieves the resource usage, limits and message counters of running
+  // modules
+  // ```
+  // @src  {string} source module
+  // @args {object} { [name] }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_stats = function(src, args, cb_) {
+    my.session.module_manager().stats((args || {}).name, cb_);
+  };
+
+  // ### modules_outdated
+  //
+  // Reports what an update would do for each module (dry-run)
+  // ```
+  // @src  {string} source module
+  // @args {object} { }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_outdated = function(src, args, cb_) {
+    my.session.module_manager().outdated(cb_);
+  };
+
+  // ### modules_populate_mirror
+  //
+  // Populates the module mirror with the modules specified by paths
+  // ```
+  // @src  {string} source module
+  // @args {object} { paths }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_populate_mirror = function(src, args, cb_) {
+    if(!args || !Array.isArray(args.paths)) {
+      return cb_(common.err('Missing `paths` argument',
+                            'core_module:missing_paths'));
+    }
+    my.session.module_manager().populate_mirror(args.paths, cb_);
+  };
+
+  // ### lock_path
+  //
+  // Resolves a lockfile path relative to the session data directory. Modules
+  // can only read and write lockfiles within that directory (`null` is
+  // returned otherwise, or if the session is `off_the_record`).
+  // ```
+  // @file {string} the lockfile path
+  // ```
+  lock_path = function(file) {
+    var data_path = my.session.data_path();
+    if(!data_path || typeof file !== 'string') {
+      return null;
+    }
+    var p = require('path').resolve(data_path, file);
+    var rel = require('path').relative(data_path, p);
+    if(rel === '' || rel.split(require('path').sep)[0] === '..') {
+      return null;
+    }
+    return p;
+  };
+
+  // ### modules_export_lock
+  //
+  // Exports the session modules (exact paths, versions and content hashes) to
+  // a lockfile within the session data directory. The lock is returned as
+  // well.
+  // ```
+  // @src  {string} source module
+  // @args {object} { [file] }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_export_lock = function(src, args, cb_) {
+    var file = null;
+    if(args && args.file) {
+      file = lock_path(args.file);
+      if(!file) {
+        return cb_(common.err('Invalid `file` argument: ' + args.file,
+                              'core_module:invalid_file'));
+      }
+    }
+    my.session.module_manager().export_lock(file, cb_);
+  };
+
+  // ### modules_import_lock
+  //
+  // Adds, installs and verifies the modules of a lockfile within the session
+  // data directory
+  // ```
+  // @src  {string} source module
+  // @args {object} { file }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_import_lock = function(src, args, cb_) {
+    if(!args || !args.file) {
+      return cb_(common.err('Missing `file` argument',
+                            'core_module:missing_file'));
+    }
+    var file = lock_path(args.file);
+    if(!file) {
+      return cb_(common.err('Invalid `file` argument: ' + args.file,
+                            'core_module:invalid_file'));
+    }
+    my.session.module_manager().import_lock(file, cb_);
+  };
+
+  // ### modules_restart_policy
+  //
+  // Sets the restart policy of the module specified by path
+  // ```
+  // @src  {string} source module
+  // @args {object} { path, policy }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_restart_policy = function(src, args, cb_) {
+    if(!args || !args.path) {
+      return cb_(common.err('Missing `path` argument',
+                            'core_module:missing_path'));
+    }
+    my.session.module_manager().set_restart_policy(args.path, args.policy, cb_);
+  };
+
+  // ### modules_hot_reload
+  //
+  // Enables or disables hot reload for the `local:` module specified by path
+  // ```
+  // @src  {string} source module
+  // @args {object} { path, enabled }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_hot_reload = function(src, args, cb_) {
+    if(!args || !args.path) {
+      return cb_(common.err('Missing `path` argument',
+                            'core_module:missing_path'));
+    }
+    my.session.module_manager().set_hot_reload(args.path, 
+                                               args.enabled !== false, cb_);
+  };
+
+  // ### modules_signature_config
+  //
+  // Retrieves the module signature policy and the trusted keys of the session
+  // ```
+  // @src  {string} source module
+  // @args {object} { }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_signature_config = function(src, args, cb_) {
+    my.session.module_manager().signature_config(cb_);
+  };
+
+  // ### modules_signature_policy
+  //
+  // Sets the module signature policy of the session
+  // ```
+  // @src  {string} source module
+  // @args {object} { policy }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_signature_policy = function(src, args, cb_) {
+    if(!args || !args.policy) {
+      return cb_(common.err('Missing `policy` argument',
+                            'core_module:missing_policy'));
+    }
+    my.session.module_manager().set_signature_policy(args.policy, cb_);
+  };
+
+  // ### modules_trust_key
+  //
+  // Submits an armored public key to the keyring trusted to sign modules. The
+  // key is only trusted once the user confirmed it from the modules page.
+  // ```
+  // @src  {string} source module
+  // @args {object} { key }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_trust_key = function(src, args, cb_) {
+    if(!args || !args.key) {
+      return cb_(common.err('Missing `key` argument',
+                            'core_module:missing_key'));
+    }
+    my.session.module_manager().trust_key(args.key, cb_);
+  };
+
+  // ### modules_untrust_key
+  //
+  // Removes a key from the keyring trusted to sign modules
+  // ```
+  // @src  {string} source module
+  // @args {object} { fingerprint }
+  // @cb_  {function(err, res)}
+  // ```
+  modules_untrust_key = function(src, args, cb_) {
+    if(!args || !args.fingerprint) {
+      return cb_(common.err('Missing `fingerprint` argument',
+                            'core_module:missing_fingerprint'));
+    }
+    my.session.module_manager().untrust_key(args.fingerprint, cb_);
+  };
+
   // ### set_title
   //
   // Set the ExoBrowser window title
@@ -434,6 +673,11 @@ var core_module = function(spec, my) {
       core_module: that,
       session: my.session
     });
+    /* Core Settings. */
+    my.core_settings = require('./core_settings.js').core_settings({
+      core_module: that,
+      session: my.session
+    });
     /* Core UI. */
     my.core_ui = require('./core_ui.js').core_ui({
       core_module: that,
@@ -483,31 +727,46 @@ var core_module = function(spec, my) {
     my.exo_browser.on('frame_keyboard', frame_keyboard);
 
     /* Tabs API. */
-    my.session.module_manager().core_expose('tabs_new', my.core_tabs.tabs_new);
-    my.session.module_manager().core_expose('tabs_close', my.core_tabs.tabs_close);
-    my.session.module_manager().core_expose('tabs_show', my.core_tabs.tabs_show);
-    my.session.module_manager().core_expose('tabs_focus', my.core_tabs.tabs_focus);
-    my.session.module_manager().core_expose('tabs_get', my.core_tabs.tabs_get);
-    my.session.module_manager().core_expose('tabs_load_url', my.core_tabs.tabs_load_url);
-    my.session.module_manager().core_expose('tabs_back_or_forward', my.core_tabs.tabs_back_or_forward);
-    my.session.module_manager().core_expose('tabs_reload', my.core_tabs.tabs_reload);
-    my.session.module_manager().core_expose('tabs_find_next', my.core_tabs.tabs_find_next);
-    my.session.module_manager().core_expose('tabs_find_stop', my.core_tabs.tabs_find_stop);
-    my.session.module_manager().core_expose('tabs_devtools', my.core_tabs.tabs_devtools);
-    my.session.module_manager().core_expose('tabs_set_context_menu_builder', my.core_tabs.tabs_set_context_menu_builder);
-    my.session.module_manager().core_expose('tabs_new_tab_url', my.core_tabs.tabs_new_tab_url);
-    my.session.module_manager().core_expose('tabs_state', my.core_tabs.tabs_state);
+    my.session.module_manager().core_expose('tabs_new', my.core_tabs.tabs_new, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_close', my.core_tabs.tabs_close, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_show', my.core_tabs.tabs_show, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_focus', my.core_tabs.tabs_focus, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_get', my.core_tabs.tabs_get, 'tabs:read');
+    my.session.module_manager().core_expose('tabs_load_url', my.core_tabs.tabs_load_url, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_back_or_forward', my.core_tabs.tabs_back_or_forward, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_reload', my.core_tabs.tabs_reload, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_find_next', my.core_tabs.tabs_find_next, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_find_stop', my.core_tabs.tabs_find_stop, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_devtools', my.core_tabs.tabs_devtools, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_set_context_menu_builder', my.core_tabs.tabs_set_context_menu_builder, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_new_tab_url', my.core_tabs.tabs_new_tab_url, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_state', my.core_tabs.tabs_state, 'tabs:read');
+    my.session.module_manager().core_expose('tabs_recently_closed', my.core_tabs.tabs_recently_closed, 'tabs:read');
+    my.session.module_manager().core_expose('tabs_restore', my.core_tabs.tabs_restore, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_discard', my.core_tabs.tabs_discard, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_set_pinned', my.core_tabs.tabs_set_pinned, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_set_max_live', my.core_tabs.tabs_set_max_live, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_move', my.core_tabs.tabs_move, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_group_create', my.core_tabs.tabs_group_create, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_group_update', my.core_tabs.tabs_group_update, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_group_add', my.core_tabs.tabs_group_add, 'tabs:write');
+    my.session.module_manager().core_expose('tabs_group_remove', my.core_tabs.tabs_group_remove, 'tabs:write');
 
     /* Controls API. */
-    my.session.module_manager().core_expose('controls_set', my.core_controls.controls_set);
-    my.session.module_manager().core_expose('controls_unset', my.core_controls.controls_unset);
-    my.session.module_manager().core_expose('controls_dimension', my.core_controls.controls_dimension);
-    my.session.module_manager().core_expose('controls_focus', my.core_controls.controls_focus);
+    my.session.module_manager().core_expose('controls_set', my.core_controls.controls_set, 'controls:write');
+    my.session.module_manager().core_expose('controls_unset', my.core_controls.controls_unset, 'controls:write');
+    my.session.module_manager().core_expose('controls_dimension', my.core_controls.controls_dimension, 'controls:write');
+    my.session.module_manager().core_expose('controls_focus', my.core_controls.controls_focus, 'controls:write');
 
     /* Store API. */
-    my.session.module_manager().core_expose('store_register', my.core_store.store_register);
-    my.session.module_manager().core_expose('store_get', my.core_store.store_get);
-    my.session.module_manager().core_expose('store_push', my.core_store.store_push);
+    my.session.module_manager().core_expose('store_register', my.core_store.store_register, 'store:access');
+    my.session.module_manager().core_expose('store_get', my.core_store.store_get, 'store:access');
+    my.session.module_manager().core_expose('store_push', my.core_store.store_push, 'store:access');
+
+    /* Settings API. */
+    my.session.module_manager().core_expose('settings_declare', my.core_settings.settings_declare, 'settings:access');
+    my.session.module_manager().core_expose('settings_get', my.core_settings.settings_get, 'settings:access');
+    my.session.module_manager().core_expose('settings_set', my.core_settings.settings_set, 'settings:access');
 
     /* Session API. */
     my.session.module_manager().core_expose('session_kill', function(src, args, cb_) {
@@ -515,11 +774,11 @@ var core_module = function(spec, my) {
         my.session.kill(function() {});
       });
       return cb_();
-    });
+    }, 'session:manage');
 
     /* Auto-Update API. */
-    my.session.module_manager().core_expose('auto_update_state', auto_update_state);
-    my.session.module_manager().core_expose('auto_update_install_breach', auto_update_install_breach);
+    my.session.module_manager().core_expose('auto_update_state', auto_update_state, 'auto_update:read');
+    my.session.module_manager().core_expose('auto_update_install_breach', auto_update_install_breach, 'auto_update:install');
 
     if(common.auto_updater) {
       common.auto_updater.on('update_available', function(update) {
@@ -534,13 +793,26 @@ var core_module = function(spec, my) {
     });
 
     /* Module Management API. */
-    my.session.module_manager().core_expose('modules_add', modules_add);
-    my.session.module_manager().core_expose('modules_install', modules_install);
-    my.session.module_manager().core_expose('modules_remove', modules_remove);
-    my.session.module_manager().core_expose('modules_update', modules_update);
-    my.session.module_manager().core_expose('modules_run', modules_run);
-    my.session.module_manager().core_expose('modules_kill', modules_kill);
-    my.session.module_manager().core_expose('modules_list', modules_list);
+    my.session.module_manager().core_expose('modules_add', modules_add, 'modules:manage');
+    my.session.module_manager().core_expose('modules_install', modules_install, 'modules:manage');
+    my.session.module_manager().core_expose('modules_remove', modules_remove, 'modules:manage');
+    my.session.module_manager().core_expose('modules_update', modules_update, 'modules:manage');
+    my.session.module_manager().core_expose('modules_run', modules_run, 'modules:manage');
+    my.session.module_manager().core_expose('modules_kill', modules_kill, 'modules:manage');
+    my.session.module_manager().core_expose('modules_list', modules_list, 'modules:read');
+    my.session.module_manager().core_expose('modules_describe', modules_describe, 'modules:read');
+    my.session.module_manager().core_expose('modules_health', modules_health, 'modules:read');
+    my.session.module_manager().core_expose('modules_stats', modules_stats, 'modules:read');
+    my.session.module_manager().core_expose('modules_outdated', modules_outdated, 'modules:read');
+    my.session.module_manager().core_expose('modules_populate_mirror', modules_populate_mirror, 'modules:manage');
+    my.session.module_manager().core_expose('modules_export_lock', modules_export_lock, 'modules:manage');
+    my.session.module_manager().core_expose('modules_import_lock', modules_import_lock, 'modules:manage');
+    my.session.module_manager().core_expose('modules_restart_policy', modules_restart_policy, 'modules:manage');
+    my.session.module_manager().core_expose('modules_hot_reload', modules_hot_reload, 'modules:manage');
+    my.session.module_manager().core_expose('modules_signature_config', modules_signature_config, 'modules:read');
+    my.session.module_manager().core_expose('modules_signature_policy', modules_signature_policy, 'modules:manage');
+    my.session.module_manager().core_expose('modules_trust_key', modules_trust_key, 'modules:manage');
+    my.session.module_manager().core_expose('modules_untrust_key', modules_untrust_key, 'modules:manage');
     my.session.module_manager().on('state_change', function(module) {
       my.session.module_manager().core_emit('modules:state_change', module);
     });
@@ -551,12 +823,13 @@ var core_module = function(spec, my) {
     });
 
     /* ExoBrowser Title. */
-    my.session.module_manager().core_expose('set_title', set_title);
+    my.session.module_manager().core_expose('set_title', set_title, 'browser:title');
 
 
     var inits = [
       my.core_tabs,
       my.core_controls,
+      my.core_settings,
       my.core_ui,
       my.core_store,
       my.core_cookies,
@@ -578,6 +851,7 @@ var core_module = function(spec, my) {
     var kills = [
       my.core_tabs,
       my.core_controls,
+      my.core_settings,
       my.core_ui,
       my.core_store,
     ];
@@ -625,6 +899,7 @@ var core_module = function(spec, my) {
 
   common.getter(that, 'core_tabs', my, 'core_tabs');
   common.getter(that, 'core_controls', my, 'core_controls');
+  common.getter(that, 'core_settings', my, 'core_settings');
   common.getter(that, 'core_ui', my, 'core_ui');
 
   common.method(that, 'init', init, _super);
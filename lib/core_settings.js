@@ -0,0 +1,369 @@
+/*
+ * Breach: core_settings.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var common = require('./common.js');
+var async = require('async');
+var events = require('events');
+
+// ### check_value
+//
+// Checks a value against a schema property. Returns an error message if it
+// does not conform, null otherwise. Numbers must be finite.
+// ```
+// @property {object} the schema property
+// @value    {any} the value to check
+// ```
+var check_value = function(property, value) {
+  switch(property.type) {
+    case 'number': {
+      if(typeof value !== 'number' || !isFinite(value)) {
+        return 'Expected a number';
+      }
+      break;
+    }
+    case 'integer': {
+      if(typeof value !== 'number' || !isFinite(value) ||
+         Math.floor(value) !== value) {
+        return 'Expected an integer';
+      }
+      break;
+    }
+    default: {
+      if(typeof value !== property.type) {
+        return 'Expected a ' + property.type;
+      }
+      break;
+    }
+  }
+  if(Array.isArray(property.enum) && property.enum.indexOf(value) === -1) {
+    return 'Expected one of: ' + property.enum.join(', ');
+  }
+  if(typeof property.minimum === 'number' && value < property.minimum) {
+    return 'Expected at least ' + property.minimum;
+  }
+  if(typeof property.maximum === 'number' && value > property.maximum) {
+    return 'Expected at most ' + property.maximum;
+  }
+  return null;
+};
+
+// ## core_settings
+//
+// Breach `core` module settings implementation.
+//
+// The `core_settings` object lets modules expose user-editable settings. A
+// module declares its settings with a JSON schema (`settings_declare`) and
+// reads their values with `settings_get`. Values are edited by the user from
+// the settings page of the module (`controls/modules`) or by the module itself
+// (`settings_set`), each change emitting a `settings:change` event:
+// ```
+// { module: {name}, key: {key} }
+// ```
+// The event does not carry the value as it is broadcast to all modules
+// registered for it; the owner module retrieves it with `settings_get`.
+// Schemas and values are stored on the session gig store (`core` channel,
+// `settings` type).
+//
+// Schemas are objects whose properties are scalars:
+// ```
+// {
+//   type: 'object',
+//   properties: {
+//     {key}: {
+//       type: 'string'|'number'|'integer'|'boolean',
+//       title: {string},
+//       description: {string},
+//       default: {value},
+//       enum: [{value}],
+//       minimum: {number},
+//       maximum: {number}
+//     }
+//   }
+// }
+// ```
+//
+// ```
+// @spec { core_module, session }
+// @inherits {}
+// @emits `change`
+// ```
+var core_settings = function(spec, my) {
+  var _super = {};
+  my = my || {};
+  spec = spec || {};
+
+  my.TYPES = ['string', 'number', 'integer', 'boolean'];
+
+  my.core_module = spec.core_module;
+  my.session = spec.session;
+
+  /* The `gig_path` is the path at which settings are stored on gig. */
+  my.gig_path = '/sessions/' + my.session.session_id() + '/settings';
+
+  //
+  // #### _public_
+  //
+  var init;                      /* init(cb_); */
+  var kill;                      /* kill(cb_); */
+
+  var settings_declare;          /* settings_declare(src, args, cb_); */
+  var settings_get;              /* settings_get(src, args, cb_); */
+  var settings_set;              /* settings_set(src, args, cb_); */
+
+  //
+  // #### _private_
+  //
+  var gig_settings_reducer;      /* gig_settings_reducer(oplog); */
+  var check_schema;              /* check_schema(schema); */
+
+  //
+  // #### _that_
+  //
+  var that = new events.EventEmitter();
+
+  /****************************************************************************/
+  /* PRIVATE HELPERS */
+  /****************************************************************************/
+  // ### gig_settings_reducer
+  //
+  // Reducer used with gig to store the settings of the session modules
+  // ```
+  // @oplog {array} the array of ops to reduce
+  // ```
+  gig_settings_reducer = function(oplog) {
+    /* Returns a dictionary of module `name` to `{ schema, values }`. */
+    var value = {};
+    oplog.forEach(function(op) {
+      if(typeof op.value !== 'undefined') {
+        value = op.value || {};
+      }
+      else if(op.payload) {
+        var m = op.payload.module;
+        value[m] = value[m] || { schema: null, values: {} };
+        switch(op.payload.type) {
+          case 'declare': {
+            value[m].schema = op.payload.schema;
+            break;
+          }
+          case 'set': {
+            value[m].values[op.payload.key] = op.payload.value;
+            break;
+          }
+          default: {
+            break;
+          }
+        }
+      }
+    });
+    return value;
+  };
+
+  // ### check_schema
+  //
+  // Checks that a settings schema is supported. Returns an error message if
+  // it is not, null otherwise.
+  // ```
+  // @schema {object} the settings schema
+  // ```
+  check_schema = function(schema) {
+    if(!schema || typeof schema !== 'object' || schema.type !== 'object' ||
+       !schema.properties || typeof schema.properties !== 'object') {
+      return 'Schema must be of type `object` with `properties`';
+    }
+    var error = null;
+    Object.keys(schema.properties).forEach(function(key) {
+      var p = schema.properties[key];
+      if(error) {
+        return;
+      }
+      if(!p || my.TYPES.indexOf(p.type) === -1) {
+        error = 'Unsupported type for `' + key + '`';
+      }
+      else if(typeof p.enum !== 'undefined' && !Array.isArray(p.enum)) {
+        error = 'Invalid `enum` for `' + key + '`';
+      }
+      else if(typeof p.default !== 'undefined' &&
+              check_value(p, p.default)) {
+        error = 'Invalid `default` for `' + key + '`';
+      }
+    });
+    return error;
+  };
+
+  /****************************************************************************/
+  /* EXPOSED PROCEDURES */
+  /****************************************************************************/
+  // ### settings_declare
+  //
+  // Declares the settings of the calling module. Values already set for keys
+  // that are still declared are kept.
+  // ```
+  // @src  {string} the source module
+  // @args {object} { schema } the settings schema
+  // @cb_  {function(err, res)}
+  // ```
+  settings_declare = function(src, args, cb_) {
+    var error = check_schema(args && args.schema);
+    if(error) {
+      return cb_(common.err('Invalid `schema`: ' + error,
+                            'core_settings:invalid_schema'));
+    }
+    my.session.gig().get('core', 'settings', my.gig_path, function(err, all) {
+      if(err) {
+        return cb_(err);
+      }
+      /* Modules declare their settings each time they run. */
+      if(all[src] &&
+         JSON.stringify(all[src].schema) === JSON.stringify(args.schema)) {
+        return cb_();
+      }
+      my.session.gig().push('core', 'settings', my.gig_path, {
+        type: 'declare',
+        module: src,
+        schema: args.schema
+      }, function(err) {
+        if(err) {
+          return cb_(err);
+        }
+        that.emit('change', src);
+        return cb_();
+      });
+    });
+  };
+
+  // ### settings_get
+  //
+  // Retrieves the settings of the calling module: its schema and the value of
+  // each declared key (defaulting to the schema `default`).
+  // ```
+  // @src  {string} the source module
+  // @args {object} {}
+  // @cb_  {function(err, res)} res is `{ schema, values }`
+  // ```
+  settings_get = function(src, args, cb_) {
+    my.session.gig().get('core', 'settings', my.gig_path, function(err, all) {
+      if(err) {
+        return cb_(err);
+      }
+      var settings = all[src] || { schema: null, values: {} };
+      var values = {};
+      if(settings.schema) {
+        Object.keys(settings.schema.properties).forEach(function(key) {
+          var p = settings.schema.properties[key];
+          if(settings.values.hasOwnProperty(key) &&
+             !check_value(p, settings.values[key])) {
+            values[key] = settings.values[key];
+          }
+          else {
+            values[key] = typeof p.default !== 'undefined' ? p.default : null;
+          }
+        });
+      }
+      return cb_(null, {
+        schema: settings.schema,
+        values: values
+      });
+    });
+  };
+
+  // ### settings_set
+  //
+  // Sets the value of a setting of the calling module. The value is checked
+  // against the declared schema.
+  // ```
+  // @src  {string} the source module
+  // @args {object} { key, value }
+  // @cb_  {function(err, res)}
+  // ```
+  settings_set = function(src, args, cb_) {
+    args = args || {};
+    async.series([
+      function(cb_) {
+        my.session.gig().get('core', 'settings', my.gig_path,
+                             function(err, all) {
+          if(err) {
+            return cb_(err);
+          }
+          /* Inherited keys (`constructor`, `__proto__`) are not settings. */
+          if(!all[src] || !all[src].schema ||
+             typeof args.key !== 'string' ||
+             !all[src].schema.properties.hasOwnProperty(args.key)) {
+            return cb_(common.err('Unknown setting: `' + args.key + '`',
+                                  'core_settings:unknown_key'));
+          }
+          var error = check_value(all[src].schema.properties[args.key],
+                                  args.value);
+          if(error) {
+            return cb_(common.err('Invalid value for `' + args.key + '`: ' +
+                                  error,
+                                  'core_settings:invalid_value'));
+          }
+          return cb_();
+        });
+      },
+      function(cb_) {
+        my.session.gig().push('core', 'settings', my.gig_path, {
+          type: 'set',
+          module: src,
+          key: args.key,
+          value: args.value
+        }, cb_);
+      }
+    ], function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      my.session.module_manager().core_emit('settings:change', {
+        module: src,
+        key: args.key
+      });
+      that.emit('change', src);
+      return cb_();
+    });
+  };
+
+  /****************************************************************************/
+  /* INITIALIZATION */
+  /****************************************************************************/
+  // ### init
+  //
+  // Initialializes the core settings module
+  // ```
+  // @cb_ {function(err)} asynchronous callback
+  // ```
+  init = function(cb_) {
+    my.session.gig().register('settings', gig_settings_reducer);
+    return cb_();
+  };
+
+  // ### kill
+  //
+  // Kills the core settings module
+  // ```
+  // @cb_ {function(err)} asynchronous callback
+  // ```
+  kill = function(cb_) {
+    return cb_();
+  };
+
+  common.method(that, 'init', init, _super);
+  common.method(that, 'kill', kill, _super);
+
+  common.method(that, 'settings_declare', settings_declare, _super);
+  common.method(that, 'settings_get', settings_get, _super);
+  common.method(that, 'settings_set', settings_set, _super);
+
+  return that;
+};
+
+exports.core_settings = core_settings;
+exports.check_value = check_value;
@@ -6,6 +6,11 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu  Tab order and groups
+ * - 2026-10-19 spolu  Tab discarding and pinned tabs
+ * - 2026-10-19 spolu  Versioned state and `tabs:state_delta`
+ * - 2026-10-19 spolu  Tab lifecycle events
+ * - 2026-10-19 spolu  Persistent tab sessions and recently closed tabs
  * - 2014-06-19 spolu  Add concept of `new_tab` to core_tabs
  * - 2014-06-16 spolu  Better favicon caching and handling
  * - 2014-06-10 spolu  Remove state update filter by entry id
@@ -17,6 +22,208 @@ var common = require('./common.js');
 var async = require('async');
 var api = require('exo_browser');
 
+// ### tabs_reducer
+//
+// Reduces the ops stored for the tabs of a session. Recently closed tabs are
+// kept most recent first, up to `closed_size`.
+// ```
+// @oplog       {array} the array of ops to reduce
+// @closed_size {number} the maximum number of closed tabs kept
+// ```
+var tabs_reducer = function(oplog, closed_size) {
+  /* Returns `{ tabs, visible, groups, clean, closed, max_live }`. `clean` */
+  /* is set when the session was killed properly.                          */
+  var empty = function() {
+    return {
+      tabs: [], visible: null, groups: {}, clean: true, closed: [],
+      max_live: null
+    };
+  };
+  var value = empty();
+  oplog.forEach(function(op) {
+    if(typeof op.value !== 'undefined') {
+      value = op.value || empty();
+    }
+    else if(op.payload) {
+      switch(op.payload.type) {
+        case 'session': {
+          value.tabs = op.payload.tabs;
+          value.visible = op.payload.visible;
+          value.groups = op.payload.groups || {};
+          value.clean = false;
+          break;
+        }
+        case 'clean': {
+          value.clean = true;
+          break;
+        }
+        case 'closed': {
+          value.closed = value.closed.filter(function(t) {
+            return t.id !== op.payload.tab.id;
+          });
+          value.closed.unshift(op.payload.tab);
+          value.closed = value.closed.slice(0, closed_size);
+          break;
+        }
+        case 'restored': {
+          value.closed = value.closed.filter(function(t) {
+            return t.id !== op.payload.id;
+          });
+          break;
+        }
+        case 'max_live': {
+          value.max_live = op.payload.max_live;
+          break;
+        }
+        default: {
+          break;
+        }
+      }
+    }
+  });
+  return value;
+};
+
+// ### navigation_events
+//
+// Computes the lifecycle events of a tab whose visible navigation entry
+// changed (`tabs:navigated`, `tabs:title_changed`, `tabs:favicon_changed`)
+// ```
+// @id     {string} the tab id
+// @from   {object} the previous visible entry (null if none)
+// @to     {object} the new visible entry (null if none)
+// @return {array} [{ type, evt }]
+// ```
+var navigation_events = function(id, from, to) {
+  var events = [];
+  if(!to) {
+    return events;
+  }
+  if(!from || from.url.href !== to.url.href) {
+    events.push({
+      type: 'tabs:navigated',
+      evt: { id: id, from: from ? from.url.href : null, to: to.url.href }
+    });
+  }
+  if(!from || from.title !== to.title) {
+    events.push({
+      type: 'tabs:title_changed',
+      evt: { id: id, title: to.title }
+    });
+  }
+  if(to.favicon && (!from || from.favicon !== to.favicon)) {
+    events.push({
+      type: 'tabs:favicon_changed',
+      evt: { id: id, favicon: to.favicon }
+    });
+  }
+  return events;
+};
+
+// ### lru_tabs
+//
+// Computes the tabs to discard so that the number of live frames is within
+// `max_live`, least recently visible first. The visible tab, pinned tabs and
+// tabs being revived are kept.
+// ```
+// @tabs     {object} the tabs by id
+// @ids      {array} the ids of the tabs that can be discarded
+// @visible  {string} the visible tab id
+// @max_live {number} the maximum number of live frames
+// @return   {array} the ids of the tabs to discard
+// ```
+var lru_tabs = function(tabs, ids, visible, max_live) {
+  var live = ids.filter(function(id) {
+    return !tabs[id].discarded;
+  });
+  return live.filter(function(id) {
+    return id !== visible && !tabs[id].pinned && !tabs[id].reviving;
+  }).sort(function(a, b) {
+    return tabs[a].last_active - tabs[b].last_active;
+  }).slice(0, Math.max(0, live.length - max_live));
+};
+
+// ### move_id
+//
+// Moves an id to the specified position in an order
+// ```
+// @order {array} the ordered ids
+// @id    {string} the id to move
+// @index {number} the new position of the id (clamped)
+// ```
+var move_id = function(order, id, index) {
+  common.remove(order, id, true);
+  order.splice(common.clamp(index, 0, order.length), 0, id);
+};
+
+// ### group_order
+//
+// Adds tabs to a group and moves the tabs of the group next to its first
+// tab so that they are contiguous
+// ```
+// @order {array} the ordered tab ids
+// @tabs  {object} the tabs by id
+// @group {string} the group id
+// @ids   {array} the ids of the tabs to add
+// ```
+var group_order = function(order, tabs, group, ids) {
+  ids.forEach(function(id) {
+    tabs[id].group = group;
+  });
+  var members = order.filter(function(id) {
+    return tabs[id].group === group;
+  });
+  var index = order.indexOf(members[0]);
+  members.forEach(function(id, i) {
+    move_id(order, id, index + i);
+  });
+};
+
+// ### moved_group
+//
+// Computes the group of a tab once moved: a tab moved inside a group joins
+// it and a tab moved away from its group leaves it
+// ```
+// @order  {array} the ordered tab ids
+// @tabs   {object} the tabs by id
+// @id     {string} the id of the moved tab
+// @return {string} the group id (null if none)
+// ```
+var moved_group = function(order, tabs, id) {
+  var i = order.indexOf(id);
+  var group = tabs[id].group || null;
+  var prev = tabs[order[i - 1]] || {};
+  var next = tabs[order[i + 1]] || {};
+  if(prev.group && prev.group === next.group) {
+    return prev.group;
+  }
+  if(group && prev.group !== group && next.group !== group) {
+    return null;
+  }
+  return group;
+};
+
+// ### unused_groups
+//
+// Computes the groups that have no tab left
+// ```
+// @order  {array} the ordered tab ids
+// @tabs   {object} the tabs by id
+// @groups {object} the groups by id
+// @return {array} the ids of the unused groups
+// ```
+var unused_groups = function(order, tabs, groups) {
+  var used = {};
+  order.forEach(function(id) {
+    if(tabs[id].group) {
+      used[tabs[id].group] = true;
+    }
+  });
+  return Object.keys(groups).filter(function(g) {
+    return !used[g];
+  });
+};
+
 // ## core_tabs
 //
 // Breach `core` module tabs implementation.
@@ -24,6 +231,60 @@ var api = require('exo_browser');
 // The `core_tabs` object is in charge of tracking tabs state and exposing the 
 // `tabs` API to other modules.
 //
+// Along with the `tabs:state` snapshot of all tabs pushed on every change,
+// fine-grained events are emitted (before the snapshot) so that modules do
+// not have to diff it:
+// ```
+// tabs:opened           { id, url }
+// tabs:closed           { id, url }
+// tabs:activated        { id, previous }
+// tabs:navigated        { id, from, to }
+// tabs:load_start       { id }
+// tabs:load_stop        { id }
+// tabs:title_changed    { id, title }
+// tabs:favicon_changed  { id, favicon }
+// tabs:discarded        { id }
+// ```
+// URLs, titles and favicons are the ones of the visible navigation entry.
+//
+// State pushes are coalesced (`STATE_DELAY`). Each push that changes the state
+// increments its version and emits a `tabs:state_delta` event with the JSON
+// patch (RFC 6902 `add`, `remove` and `replace` ops, see `common.state_delta`)
+// from the previous version:
+// ```
+// { version: {version}, ops: [{ op, path, [value] }] }
+// ```
+// Modules apply deltas on top of the snapshot returned by `tabs_state` with
+// `{ versioned: true }` and retrieve it again if they miss a version. The full
+// `tabs:state` snapshot is still emitted for modules that do not use deltas.
+// Neither is computed while no module is registered for it.
+//
+// Inactive tabs can be discarded (`tabs_discard`) to save memory: their frame
+// is killed while their state is kept (`discarded` is set in the tab state).
+// A discarded tab is transparently reloaded on its visible entry URL (its
+// navigation history is lost) as soon as it is shown or acted upon. When a
+// maximum number of live frames is set (`tabs_set_max_live`), the least
+// recently visible tabs are discarded to respect it and restored tabs are
+// opened discarded (except the tab made visible). The visible tab, the new tab
+// and pinned tabs (`tabs_set_pinned`) are never discarded.
+//
+// Tabs are ordered (`index` in the tab state, `tabs_move`) and can be part of a
+// named group (`group` in the tab state: `{ id, name, color, collapsed }`).
+// Groups are created with at least one tab (`tabs_group_create`) and deleted
+// once they have no tab left. The tabs of a group are kept contiguous: tabs
+// added to a group are moved next to it, a tab moved inside a group joins it
+// and a tab moved away from its group leaves it. Order and groups are
+// persisted with the session.
+//
+// Open tabs (id, navigation entries and visible tab, in order) are persisted
+// to the session gig store (`core` channel, `tabs` type) each time the state
+// is pushed. If Breach did not exit properly the previous session is restored
+// once modules are ready, otherwise restoring it is offered on the splash
+// page (`restore_session`, `dismiss_session`). Until then, it is persisted
+// along with the open tabs so that it is not lost. Closed tabs are kept (up
+// to `CLOSED_SIZE`) to be restored with `tabs_restore`. Only the visible
+// entry of a restored tab is loaded: its navigation history is not restored.
+//
 // ```
 // @spec { core_module, session }
 // @inherits {}
@@ -40,15 +301,39 @@ var core_tabs = function(spec, my) {
   /*         id,              */
   /*         state,           */
   /*         loading,         */
+  /*         discarded,       */
+  /*         pinned,          */
+  /*         last_active,     */
+  /*         group,           */
+  /*         reviving,        */
   /*         context_menu } } */
   my.tabs = {};
   my.favicons = {};
   my.visible = null;
   my.frame_cnt = 0;
+  /* Tab ids in order and `{ id: { name, color, collapsed } }` groups. */
+  my.order = [];
+  my.groups = {};
 
   my.NEW_TAB_ID = '__NEW_TAB_ID__';
   my.new_tab_url = 'breach://splash';
 
+  my.CLOSED_SIZE = 20;
+  my.STATE_DELAY = 16;
+  /* The `gig_path` is the path at which the tabs are stored on gig. */
+  my.gig_path = '/sessions/' + my.session.session_id() + '/tabs';
+  /* Tabs stored when the session started (until restored) and last */
+  /* persisted tabs (serialized).                                    */
+  my.previous = null;
+  my.persisted = null;
+  my.loaded = false;
+  /* Maximum number of live frames (null if not limited). */
+  my.max_live = null;
+  /* Last pushed state (serializable copy) and its version. */
+  my.state = {};
+  my.version = 0;
+  my.state_itv = null;
+
   //
   // #### _public_
   //
@@ -69,6 +354,20 @@ var core_tabs = function(spec, my) {
   var tabs_set_context_menu_builder; /* tabs_set_context_menu_builder(args, cb_); */
   var tabs_new_tab_url;              /* tabs_new_tab_url(args, cb_); */
   var tabs_state;                    /* tabs_state(args, cb_); */
+  var tabs_recently_closed;          /* tabs_recently_closed(args, cb_); */
+  var tabs_restore;                  /* tabs_restore(args, cb_); */
+  var tabs_discard;                  /* tabs_discard(args, cb_); */
+  var tabs_set_pinned;               /* tabs_set_pinned(args, cb_); */
+  var tabs_set_max_live;             /* tabs_set_max_live(args, cb_); */
+  var tabs_move;                     /* tabs_move(args, cb_); */
+  var tabs_group_create;             /* tabs_group_create(args, cb_); */
+  var tabs_group_update;             /* tabs_group_update(args, cb_); */
+  var tabs_group_add;                /* tabs_group_add(args, cb_); */
+  var tabs_group_remove;             /* tabs_group_remove(args, cb_); */
+
+  var previous_session;              /* previous_session(); */
+  var restore_session;               /* restore_session(cb_); */
+  var dismiss_session;               /* dismiss_session(cb_); */
 
   //
   // #### _private_
@@ -76,10 +375,28 @@ var core_tabs = function(spec, my) {
   var next_id;                       /* next_id(); */
   var tab_for_frame;                 /* tab_for_frame(frame); */
   var visible_tab;                   /* visible_tab(); */
+  var visible_entry;                 /* visible_entry(t); */
   var show_tab;                      /* show_tab(id, focus, cb_); */
   var push_state;                    /* push_state(); */
+  var flush_state;                   /* flush_state(); */
+  var build_state;                   /* build_state(); */
+  var next_version;                  /* next_version(state); */
   var install_context_menu;          /* install_context_menu(); */
 
+  var gig_tabs_reducer;              /* gig_tabs_reducer(oplog); */
+  var tab_record;                    /* tab_record(t); */
+  var persist;                       /* persist(); */
+  var restore_tab;                   /* restore_tab(record, visible, cb_); */
+
+  var discard_tab;                   /* discard_tab(id, cb_); */
+  var revive_tab;                    /* revive_tab(id, url, cb_); */
+  var discard_lru;                   /* discard_lru(); */
+
+  var group_tabs;                    /* group_tabs(group, ids); */
+  var clean_groups;                  /* clean_groups(); */
+  var check_ids;                     /* check_ids(ids); */
+  var group_state;                   /* group_state(id); */
+
   var translate_url;                 /* translate_url(url); */
   
   var frame_navigation_state;        /* frame_navigation_state(frame, state); */
@@ -101,6 +418,326 @@ var core_tabs = function(spec, my) {
   /****************************************************************************/
   /* PRIVATE HELPERS */
   /****************************************************************************/
+  // ### gig_tabs_reducer
+  //
+  // Reducer used with gig to store the tabs of the session
+  // ```
+  // @oplog {array} the array of ops to reduce
+  // ```
+  gig_tabs_reducer = function(oplog) {
+    return tabs_reducer(oplog, my.CLOSED_SIZE);
+  };
+
+  // ### tab_record
+  //
+  // Computes the record persisted for a tab. Returns null for the new tab
+  // and tabs that did not navigate yet.
+  // ```
+  // @t {object} the tab
+  // ```
+  tab_record = function(t) {
+    if(t.id === my.NEW_TAB_ID || t.state.entries.length === 0) {
+      return null;
+    }
+    return {
+      id: t.id,
+      pinned: !!t.pinned,
+      group: t.group || null,
+      entries: t.state.entries.map(function(n) {
+        return {
+          url: n.url.href,
+          title: n.title || '',
+          favicon: n.favicon || null,
+          visible: !!n.visible
+        };
+      })
+    };
+  };
+
+  // ### persist
+  //
+  // Persists the open tabs to the session gig store if they changed since
+  // they were last persisted. The tabs of the previous session are persisted
+  // first until it is restored or dismissed.
+  persist = function() {
+    if(!my.loaded) {
+      return;
+    }
+    var tabs = [];
+    var groups = {};
+    my.order.forEach(function(id) {
+      var r = tab_record(my.tabs[id]);
+      if(r) {
+        tabs.push(r);
+        if(r.group) {
+          groups[r.group] = my.groups[r.group];
+        }
+      }
+    });
+    var visible = tabs.filter(function(r) {
+      return r.id === my.visible;
+    }).length > 0 ? my.visible : null;
+    if(my.previous) {
+      var open = tabs.map(function(r) {
+        return r.id;
+      });
+      tabs = my.previous.tabs.filter(function(r) {
+        return open.indexOf(r.id) === -1;
+      }).concat(tabs);
+      Object.keys(my.previous.groups || {}).forEach(function(g) {
+        groups[g] = groups[g] || my.previous.groups[g];
+      });
+      visible = visible || my.previous.visible;
+    }
+    var data = JSON.stringify({
+      tabs: tabs,
+      visible: visible,
+      groups: groups
+    });
+    if(data === my.persisted) {
+      return;
+    }
+    my.persisted = data;
+    my.session.gig().push('core', 'tabs', my.gig_path, {
+      type: 'session',
+      tabs: tabs,
+      visible: visible,
+      groups: groups
+    }, function(err) {
+      if(err) {
+        common.log.error(err);
+      }
+    });
+  };
+
+  // ### restore_tab
+  //
+  // Opens a new tab (not visible) on the visible entry of a tab record. The
+  // record id is kept unless a tab with the same id is already open. If the
+  // number of live frames is limited, the tab is opened discarded unless it
+  // is pinned or about to be made visible.
+  // ```
+  // @record  {object} the tab record
+  // @visible {boolean} whether the tab is about to be made visible
+  // @cb_     {function(err, id)}
+  // ```
+  restore_tab = function(record, visible, cb_) {
+    var entry = record.entries.filter(function(n) {
+      return n.visible;
+    })[0] || record.entries[record.entries.length - 1];
+    if(!entry) {
+      return cb_(common.err('Invalid tab record: ' + record.id,
+                            'core_tabs:invalid_record'));
+    }
+    if(my.max_live && !visible && !record.pinned) {
+      var t = {
+        frame: null,
+        id: my.tabs[record.id] ? next_id() : record.id,
+        state: {
+          entries: [{
+            url: require('url').parse(entry.url),
+            title: entry.title,
+            favicon: entry.favicon,
+            visible: true
+          }],
+          can_go_back: false,
+          can_go_forward: false
+        },
+        loading: false,
+        discarded: true,
+        pinned: false,
+        last_active: 0,
+        group: null,
+        context_menu: {}
+      };
+      my.tabs[t.id] = t;
+      my.order.push(t.id);
+      my.session.module_manager().core_emit('tabs:opened', {
+        id: t.id,
+        url: entry.url
+      });
+      if(record.group && my.groups[record.group]) {
+        group_tabs(record.group, [t.id]);
+      }
+      push_state();
+      return cb_(null, t.id);
+    }
+    tabs_new('core', {
+      id: my.tabs[record.id] ? null : record.id,
+      url: entry.url,
+      visible: false
+    }, function(err, res) {
+      if(err) {
+        return cb_(err);
+      }
+      my.tabs[res.id].pinned = !!record.pinned;
+      if(record.group && my.groups[record.group]) {
+        group_tabs(record.group, [res.id]);
+      }
+      return cb_(null, res.id);
+    });
+  };
+
+  // ### discard_tab
+  //
+  // Discards a tab: its frame is killed but its state is kept
+  // ```
+  // @id  {string} the tab id
+  // @cb_ {function(err)}
+  // ```
+  discard_tab = function(id, cb_) {
+    var t = my.tabs[id];
+    if(!t || id === my.NEW_TAB_ID) {
+      return cb_(common.err('Invalid tab `id`: ' + id,
+                            'core_tabs:invalid_tab'));
+    }
+    if(id === my.visible) {
+      return cb_(common.err('Cannot discard the visible tab: ' + id,
+                            'core_tabs:tab_visible'));
+    }
+    if(t.pinned) {
+      return cb_(common.err('Cannot discard a pinned tab: ' + id,
+                            'core_tabs:tab_pinned'));
+    }
+    if(t.discarded) {
+      return cb_();
+    }
+    var frame = t.frame;
+    t.frame = null;
+    t.discarded = true;
+    t.loading = false;
+    t.find_reply = null;
+    my.session.module_manager().core_emit('tabs:discarded', {
+      id: id
+    });
+    push_state();
+    my.core_module.exo_browser().remove_page(frame, function(err) {
+      return frame.kill(cb_);
+    });
+  };
+
+  // ### revive_tab
+  //
+  // Reloads a discarded tab in a new frame (does nothing if the tab is not
+  // discarded). Callers arriving while the frame is being added are called
+  // back once it is added (the URL they specified is then loaded).
+  // ```
+  // @id  {string} the tab id
+  // @url {string} the URL to load (defaults to the visible entry URL)
+  // @cb_ {function(err)}
+  // ```
+  revive_tab = function(id, url, cb_) {
+    var t = my.tabs[id];
+    if(t.reviving) {
+      t.reviving.push({ url: url, cb_: cb_ });
+      return;
+    }
+    if(!t.discarded) {
+      return cb_();
+    }
+    var entry = visible_entry(t);
+    t.frame = api.exo_frame({
+      url: translate_url(url || (entry ? entry.url.href : my.new_tab_url)),
+      session: my.core_module.exo_session()
+    });
+    t.discarded = false;
+    t.last_active = Date.now();
+    t.reviving = [];
+    install_context_menu(id);
+    my.core_module.exo_browser().add_page(t.frame, function(err) {
+      var queued = t.reviving;
+      t.reviving = null;
+      discard_lru();
+      push_state();
+      queued.forEach(function(q) {
+        if(!err && q.url && t.frame) {
+          return t.frame.load_url(translate_url(q.url), q.cb_);
+        }
+        return q.cb_(err);
+      });
+      return cb_(err);
+    });
+  };
+
+  // ### discard_lru
+  //
+  // Discards the least recently visible tabs until the number of live frames
+  // is within `max_live`. Pinned tabs and tabs being revived are kept.
+  discard_lru = function() {
+    if(!my.max_live) {
+      return;
+    }
+    var ids = Object.keys(my.tabs).filter(function(id) {
+      return id !== my.NEW_TAB_ID;
+    });
+    lru_tabs(my.tabs, ids, my.visible, my.max_live).forEach(function(id) {
+      discard_tab(id, function(err) {
+        if(err) {
+          common.log.error(err);
+        }
+      });
+    });
+  };
+
+  // ### group_tabs
+  //
+  // Adds tabs to a group (see `group_order`)
+  // ```
+  // @group {string} the group id
+  // @ids   {array} the tab ids
+  // ```
+  group_tabs = function(group, ids) {
+    group_order(my.order, my.tabs, group, ids);
+  };
+
+  // ### clean_groups
+  //
+  // Deletes the groups that have no tab left
+  clean_groups = function() {
+    unused_groups(my.order, my.tabs, my.groups).forEach(function(g) {
+      delete my.groups[g];
+    });
+  };
+
+  // ### check_ids
+  //
+  // Checks that an array of tab ids is valid. Returns an error if it is not,
+  // null otherwise.
+  // ```
+  // @ids {array} the tab ids
+  // ```
+  check_ids = function(ids) {
+    if(!Array.isArray(ids) || ids.length === 0) {
+      return common.err('Invalid `ids`: ' + ids,
+                        'core_tabs:invalid_tab');
+    }
+    for(var i = 0; i < ids.length; i ++) {
+      if(!my.tabs[ids[i]]) {
+        return common.err('Invalid tab `id`: ' + ids[i],
+                          'core_tabs:invalid_tab');
+      }
+    }
+    return null;
+  };
+
+  // ### group_state
+  //
+  // Computes the state of a group as exposed in the tabs state
+  // ```
+  // @id {string} the group id
+  // ```
+  group_state = function(id) {
+    if(!id || !my.groups[id]) {
+      return null;
+    }
+    return {
+      id: id,
+      name: my.groups[id].name,
+      color: my.groups[id].color,
+      collapsed: my.groups[id].collapsed
+    };
+  };
+
   // next_id
   //
   // Computes a new unique id
@@ -116,7 +753,7 @@ var core_tabs = function(spec, my) {
   // ```
   tab_for_frame = function(frame) {
     for(var id in my.tabs) {
-      if(my.tabs.hasOwnProperty(id) &&
+      if(my.tabs.hasOwnProperty(id) && frame &&
          my.tabs[id].frame === frame) {
         return my.tabs[id];
       }
@@ -131,6 +768,18 @@ var core_tabs = function(spec, my) {
     return (my.tabs[my.visible] || null);
   };
 
+  // ### visible_entry
+  //
+  // Returns the visible navigation entry of a tab
+  // ```
+  // @t {object} the tab
+  // ```
+  visible_entry = function(t) {
+    return t.state.entries.filter(function(n) {
+      return n.visible;
+    })[0] || null;
+  };
+
   // ### show_tab
   //
   // Makes a specified tab visible
@@ -144,32 +793,107 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
+    if(my.visible !== id) {
+      my.session.module_manager().core_emit('tabs:activated', {
+        id: id,
+        previous: my.visible
+      });
+    }
     my.visible = id;
-    my.core_module.exo_browser().show_page(my.tabs[id].frame, function(err) {
+    my.tabs[id].last_active = Date.now();
+    revive_tab(id, null, function(err) {
       if(err) {
         return cb_(err);
       }
-      else if(focus && my.tabs[id]) {
-        my.tabs[id].frame.focus(cb_);
-      }
-      else {
+      discard_lru();
+      if(!my.tabs[id]) {
         return cb_();
       }
+      my.core_module.exo_browser().show_page(my.tabs[id].frame, function(err) {
+        if(err) {
+          return cb_(err);
+        }
+        else if(focus && my.tabs[id]) {
+          my.tabs[id].frame.focus(cb_);
+        }
+        else {
+          return cb_();
+        }
+      });
     });
   };
 
   // ### push_state
   //
-  // Pushes the state by emitting a `tabs:state` event
+  // Schedules a state push. Pushes requested within `STATE_DELAY` are
+  // coalesced into one.
   push_state = function() {
+    if(my.state_itv) {
+      return;
+    }
+    my.state_itv = setTimeout(flush_state, my.STATE_DELAY);
+  };
+
+  // ### build_state
+  //
+  // Computes the state of all tabs
+  build_state = function() {
     var state = {}
     Object.keys(my.tabs).forEach(function(id) {
       state[id] = my.tabs[id].state;
       state[id].loading = my.tabs[id].loading;
       state[id].visible = (my.visible === id);
       state[id].find_reply = my.tabs[id].find_reply;
+      state[id].discarded = my.tabs[id].discarded;
+      state[id].pinned = my.tabs[id].pinned;
+      state[id].index = my.order.indexOf(id);
+      state[id].group = group_state(my.tabs[id].group);
     });
-    my.session.module_manager().core_emit('tabs:state', state);
+    return state;
+  };
+
+  // ### next_version
+  //
+  // Increments the version of the state and emits a `tabs:state_delta` event
+  // if it changed since the last version
+  // ```
+  // @state {object} the current state
+  // ```
+  next_version = function(state) {
+    /* The copy is what modules receive once serialized. */
+    var copy = JSON.parse(JSON.stringify(state));
+    var ops = common.state_delta(my.state, copy, '', []);
+    if(ops.length > 0) {
+      my.state = copy;
+      my.version++;
+      my.session.module_manager().core_emit('tabs:state_delta', {
+        version: my.version,
+        ops: ops
+      });
+    }
+  };
+
+  // ### flush_state
+  //
+  // Pushes the state by emitting a `tabs:state` event and, if it changed since
+  // the last push, a `tabs:state_delta` event with the next version. Events
+  // no module is registered for are not computed.
+  flush_state = function() {
+    clearTimeout(my.state_itv);
+    my.state_itv = null;
+
+    var snapshot = my.session.module_manager().registered('tabs:state');
+    var delta = my.session.module_manager().registered('tabs:state_delta');
+    if(snapshot || delta) {
+      var state = build_state();
+      if(snapshot) {
+        my.session.module_manager().core_emit('tabs:state', state);
+      }
+      if(delta) {
+        next_version(state);
+      }
+    }
+    persist();
   };
 
   // ### install_context_menu
@@ -185,11 +909,12 @@ var core_tabs = function(spec, my) {
     var items = {};
     my.tabs[id].frame.set_context_menu_handler(function(params, cb_) {
       async.each(Object.keys(my.tabs[id].context_menu), function(src, cb_) {
+        /* A short timeout is used as the menu waits for all modules. */
         my.session.module_manager()
           .core_call(src, my.tabs[id].context_menu[src], {
           id: id,
           params: params
-        }, function(err, res) {
+        }, { timeout: 2 * 1000 }, function(err, res) {
           if(err) {
             /* If error, we ignore that source. */
             return cb_();
@@ -301,6 +1026,7 @@ var core_tabs = function(spec, my) {
         }
       });
       
+      var from = visible_entry(t);
       t.state = state;
       t.state.entries.forEach(function(n) {
         if(n.visible) {
@@ -312,6 +1038,10 @@ var core_tabs = function(spec, my) {
       // var entry = t.state.entries[t.state.entries.length - 1];
       // console.log('ENTRY [' + entry.id + ']: ' + entry.url.href);
 
+      navigation_events(t.id, from, visible_entry(t)).forEach(function(e) {
+        my.session.module_manager().core_emit(e.type, e.evt);
+      });
+
       push_state();
     }
   };
@@ -333,6 +1063,12 @@ var core_tabs = function(spec, my) {
         if(n.visible) {
           my.favicons[t.id] = my.favicons[t.id] || {};
           my.favicons[t.id][n.url.host] = favicons[0];
+          if(n.favicon !== favicons[0]) {
+            my.session.module_manager().core_emit('tabs:favicon_changed', {
+              id: t.id,
+              favicon: favicons[0]
+            });
+          }
           n.favicon = favicons[0];
         }
       });
@@ -351,6 +1087,9 @@ var core_tabs = function(spec, my) {
     var t = tab_for_frame(frame);
     if(t) {
       t.loading = true;
+      my.session.module_manager().core_emit('tabs:load_start', {
+        id: t.id
+      });
       push_state();
     }
   }; 
@@ -366,6 +1105,9 @@ var core_tabs = function(spec, my) {
     var t = tab_for_frame(frame);
     if(t) {
       t.loading = false;
+      my.session.module_manager().core_emit('tabs:load_stop', {
+        id: t.id
+      });
       push_state();
     }
   }; 
@@ -438,10 +1180,15 @@ var core_tabs = function(spec, my) {
         can_go_forward: false
       },
       loading: false,
+      discarded: false,
+      pinned: false,
+      last_active: Date.now(),
+      group: null,
       context_menu: {}
     };
 
     my.tabs[t.id] = t;
+    my.order.push(t.id);
     install_context_menu(t.id);
 
     my.core_module.exo_browser().add_page(t.frame, function(err) {
@@ -451,6 +1198,12 @@ var core_tabs = function(spec, my) {
         disposition: disposition,
         id: t.id
       });
+      /* The URL is not known before the first navigation of the frame. */
+      my.session.module_manager().core_emit('tabs:opened', {
+        id: t.id,
+        url: null
+      });
+      discard_lru();
       push_state();
     });
   };
@@ -489,10 +1242,15 @@ var core_tabs = function(spec, my) {
         can_go_forward: false
       },
       loading: false,
+      discarded: false,
+      pinned: false,
+      last_active: Date.now(),
+      group: null,
       context_menu: {}
     };
 
     my.tabs[t.id] = t;
+    my.order.push(t.id);
     install_context_menu(t.id);
 
     my.core_module.exo_browser().add_page(t.frame, function(err) {
@@ -502,6 +1260,11 @@ var core_tabs = function(spec, my) {
         disposition: disposition,
         id: t.id
       });
+      my.session.module_manager().core_emit('tabs:opened', {
+        id: t.id,
+        url: url
+      });
+      discard_lru();
       push_state();
     });
   };
@@ -537,15 +1300,24 @@ var core_tabs = function(spec, my) {
         can_go_forward: false
       },
       loading: false,
+      discarded: false,
+      pinned: false,
+      last_active: Date.now(),
+      group: null,
       context_menu: {}
     };
 
     my.tabs[t.id] = t;
+    my.order.push(t.id);
     install_context_menu(t.id);
 
     async.series([
       function(cb_) {
         my.core_module.exo_browser().add_page(t.frame, function(err) {
+          my.session.module_manager().core_emit('tabs:opened', {
+            id: t.id,
+            url: target_url
+          });
           if(args.visible) {
             show_tab(t.id, args.focus, cb_);
           }
@@ -555,6 +1327,7 @@ var core_tabs = function(spec, my) {
         });
       },
       function(cb_) {
+        discard_lru();
         push_state();
         return cb_();
       }
@@ -577,10 +1350,28 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
+    var record = tab_record(t);
+    var entry = visible_entry(t);
     async.series([
+      function(cb_) {
+        if(!record) {
+          return cb_();
+        }
+        record.closed_at = Date.now();
+        my.session.gig().push('core', 'tabs', my.gig_path, {
+          type: 'closed',
+          tab: record
+        }, cb_);
+      },
       function(cb_) {
         delete my.tabs[args.id];
         delete my.favicons[args.id];
+        common.remove(my.order, args.id, true);
+        clean_groups();
+        my.session.module_manager().core_emit('tabs:closed', {
+          id: t.id,
+          url: entry ? entry.url.href : null
+        });
         if(args.next && my.tabs[args.next]) {
           show_tab(args.next, args.focus, cb_);
         }
@@ -597,6 +1388,9 @@ var core_tabs = function(spec, my) {
         }
       }, 
       function(cb_) {
+        if(t.discarded) {
+          return cb_();
+        }
         my.core_module.exo_browser().remove_page(t.frame, function(err) {
           return t.frame.kill(cb_);
         });
@@ -712,6 +1506,9 @@ var core_tabs = function(spec, my) {
     }
     var target_url = args.url;
 
+    if(t.discarded) {
+      return revive_tab(t.id, target_url, cb_);
+    }
     t.frame.load_url(translate_url(target_url), cb_);
   };
 
@@ -729,7 +1526,13 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
-    t.frame.go_back_or_forward(args.offset, cb_);
+    /* The navigation history of a discarded tab is lost. */
+    revive_tab(t.id, null, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      t.frame.go_back_or_forward(args.offset, cb_);
+    });
   };
 
   // ### tabs_reload
@@ -746,6 +1549,9 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
+    if(t.discarded) {
+      return revive_tab(t.id, null, cb_);
+    }
     t.frame.reload(cb_);
   };
 
@@ -763,9 +1569,14 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
-    t.frame.find(args.text || '', 
-                 (typeof args.forward === 'undefined') ? true : args.forward, 
-                 args.case || false, args.next || false, cb_);
+    revive_tab(t.id, null, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      t.frame.find(args.text || '', 
+                   (typeof args.forward === 'undefined') ? true : args.forward, 
+                   args.case || false, args.next || false, cb_);
+    });
   };
 
   // ### tabs_find_stop
@@ -783,8 +1594,11 @@ var core_tabs = function(spec, my) {
                             'core_tabs:invalid_tab'));
     }
     t.find_reply = null;
-    t.frame.find_stop(args.action || 'clear', cb_);
     push_state();
+    if(t.discarded) {
+      return cb_();
+    }
+    t.frame.find_stop(args.action || 'clear', cb_);
   };
 
   // ### tabs_devtools
@@ -801,27 +1615,33 @@ var core_tabs = function(spec, my) {
       return cb_(common.err('Invalid tab `id`: ' + args.id,
                             'core_tabs:invalid_tab'));
     }
-    async.parallel({
-      url: function(cb_) {
-        my.core_module.exo_session().get_dev_tools_url(function(url) {
-          return cb_(null, url);
-        });
-      },
-      id: function(cb_) {
-        t.frame.dev_tools_get_id(function(id) {
-          return cb_(null, id);
-        });
-      },
-      element_at: function(cb_) {
-        if(args.element_at) {
-          t.frame.dev_tools_inspect_element_at(args.element_at.x,
-                                               args.element_at.y, cb_);
-        }
-        else {
-          return cb_();
-        }
+    /* DevTools need a live frame. */
+    revive_tab(t.id, null, function(err) {
+      if(err) {
+        return cb_(err);
       }
-    }, cb_);
+      async.parallel({
+        url: function(cb_) {
+          my.core_module.exo_session().get_dev_tools_url(function(url) {
+            return cb_(null, url);
+          });
+        },
+        id: function(cb_) {
+          t.frame.dev_tools_get_id(function(id) {
+            return cb_(null, id);
+          });
+        },
+        element_at: function(cb_) {
+          if(args.element_at) {
+            t.frame.dev_tools_inspect_element_at(args.element_at.x,
+                                                 args.element_at.y, cb_);
+          }
+          else {
+            return cb_();
+          }
+        }
+      }, cb_);
+    });
   };
 
   // ### tabs_set_context_menu_builder
@@ -875,20 +1695,359 @@ var core_tabs = function(spec, my) {
 
   // ### tabs_state
   //
-  // Retrieves the current tabs state (normlaly sent through push_state)
+  // Retrieves the current tabs state (normlaly sent through push_state). If
+  // `versioned` is set, the last pushed state is returned along with its
+  // version (pending pushes are flushed first).
+  // ```
+  // @src  {string} source module
+  // @args {object} { [versioned] }
+  // @cb_  {function(err, res)} the state or `{ version, state }`
+  // ```
+  tabs_state = function(src, args, cb_) {
+    if(args && args.versioned) {
+      if(my.state_itv) {
+        flush_state();
+      }
+      /* The versioned state is not maintained while no module is */
+      /* registered for `tabs:state_delta`.                       */
+      next_version(build_state());
+      return cb_(null, {
+        version: my.version,
+        state: my.state
+      });
+    }
+    return cb_(null, build_state());
+  };
+
+  // ### tabs_recently_closed
+  //
+  // Retrieves the recently closed tabs (most recent first)
   // ```
   // @src  {string} source module
   // @args {object} { }
+  // @cb_  {function(err, res)} array of `{ id, entries, closed_at }`
+  // ```
+  tabs_recently_closed = function(src, args, cb_) {
+    my.session.gig().get('core', 'tabs', my.gig_path, function(err, value) {
+      if(err) {
+        return cb_(err);
+      }
+      return cb_(null, value.closed);
+    });
+  };
+
+  // ### tabs_restore
+  //
+  // Reopens a recently closed tab (the most recent one if no id is specified)
+  // ```
+  // @src  {string} source module
+  // @args {object} { [id], [visible], [focus] }
   // @cb_  {function(err, res)}
   // ```
-  tabs_state = function(src, args, cb_) {
-    var state = {}
-    Object.keys(my.tabs).forEach(function(id) {
-      state[id] = my.tabs[id].state;
-      state[id].loading = my.tabs[id].loading;
-      state[id].visible = (my.visible === id);
+  tabs_restore = function(src, args, cb_) {
+    args = args || {};
+    var id = null;
+    async.series([
+      function(cb_) {
+        my.session.gig().get('core', 'tabs', my.gig_path, function(err, value) {
+          if(err) {
+            return cb_(err);
+          }
+          var record = value.closed.filter(function(t) {
+            return !args.id || t.id === args.id;
+          })[0];
+          if(!record) {
+            return cb_(common.err('No closed tab to restore' + 
+                                  (args.id ? ': ' + args.id : ''),
+                                  'core_tabs:invalid_closed_tab'));
+          }
+          restore_tab(record, !!args.visible, function(err, restored) {
+            if(err) {
+              return cb_(err);
+            }
+            id = restored;
+            my.session.gig().push('core', 'tabs', my.gig_path, {
+              type: 'restored',
+              id: record.id
+            }, cb_);
+          });
+        });
+      },
+      function(cb_) {
+        if(args.visible) {
+          return show_tab(id, args.focus, cb_);
+        }
+        return cb_();
+      },
+      function(cb_) {
+        push_state();
+        return cb_();
+      }
+    ], function(err) {
+      return cb_(err, { id: id });
     });
-    return cb_(null, state);
+  };
+
+  // ### tabs_discard
+  //
+  // Discards a tab to save memory. The tab is reloaded as soon as it is shown.
+  // ```
+  // @src  {string} source module
+  // @args {object} { id }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_discard = function(src, args, cb_) {
+    discard_tab(args.id, cb_);
+  };
+
+  // ### tabs_set_pinned
+  //
+  // Pins or unpins a tab. Pinned tabs are never discarded.
+  // ```
+  // @src  {string} source module
+  // @args {object} { id, pinned }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_set_pinned = function(src, args, cb_) {
+    var t = my.tabs[args.id];
+    if(!t) {
+      return cb_(common.err('Invalid tab `id`: ' + args.id,
+                            'core_tabs:invalid_tab'));
+    }
+    t.pinned = !!args.pinned;
+    discard_lru();
+    push_state();
+    return cb_();
+  };
+
+  // ### tabs_set_max_live
+  //
+  // Sets the maximum number of live frames (null or 0 to not limit it). The
+  // least recently visible tabs are discarded to respect it.
+  // ```
+  // @src  {string} source module
+  // @args {object} { max }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_set_max_live = function(src, args, cb_) {
+    var max = args.max || null;
+    if(max !== null &&
+       (typeof max !== 'number' || max < 1 || Math.floor(max) !== max)) {
+      return cb_(common.err('Invalid `max`: ' + args.max,
+                            'core_tabs:invalid_max_live'));
+    }
+    my.session.gig().push('core', 'tabs', my.gig_path, {
+      type: 'max_live',
+      max_live: max
+    }, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      my.max_live = max;
+      discard_lru();
+      return cb_();
+    });
+  };
+
+  // ### tabs_move
+  //
+  // Moves a tab to the specified position. A tab moved inside a group joins
+  // it and a tab moved away from its group leaves it.
+  // ```
+  // @src  {string} source module
+  // @args {object} { id, index }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_move = function(src, args, cb_) {
+    var t = my.tabs[args.id];
+    if(!t) {
+      return cb_(common.err('Invalid tab `id`: ' + args.id,
+                            'core_tabs:invalid_tab'));
+    }
+    if(typeof args.index !== 'number' ||
+       Math.floor(args.index) !== args.index) {
+      return cb_(common.err('Invalid `index`: ' + args.index,
+                            'core_tabs:invalid_index'));
+    }
+    move_id(my.order, t.id, args.index);
+    t.group = moved_group(my.order, my.tabs, t.id);
+    /* The tab may still be the only one of its group. */
+    clean_groups();
+    push_state();
+    return cb_();
+  };
+
+  // ### tabs_group_create
+  //
+  // Creates a group with the specified tabs (removed from their group)
+  // ```
+  // @src  {string} source module
+  // @args {object} { ids, [name], [color], [collapsed] }
+  // @cb_  {function(err, res)} res is `{ id }` the group id
+  // ```
+  tabs_group_create = function(src, args, cb_) {
+    var err = check_ids(args.ids);
+    if(err) {
+      return cb_(err);
+    }
+    var id = next_id();
+    my.groups[id] = {
+      name: typeof args.name === 'string' ? args.name : '',
+      color: typeof args.color === 'string' ? args.color : 'grey',
+      collapsed: !!args.collapsed
+    };
+    group_tabs(id, args.ids);
+    clean_groups();
+    push_state();
+    return cb_(null, { id: id });
+  };
+
+  // ### tabs_group_update
+  //
+  // Updates the name, color or collapsed state of a group
+  // ```
+  // @src  {string} source module
+  // @args {object} { group, [name], [color], [collapsed] }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_group_update = function(src, args, cb_) {
+    var g = my.groups[args.group];
+    if(!g) {
+      return cb_(common.err('Invalid `group`: ' + args.group,
+                            'core_tabs:invalid_group'));
+    }
+    if(typeof args.name === 'string') {
+      g.name = args.name;
+    }
+    if(typeof args.color === 'string') {
+      g.color = args.color;
+    }
+    if(typeof args.collapsed !== 'undefined') {
+      g.collapsed = !!args.collapsed;
+    }
+    push_state();
+    return cb_();
+  };
+
+  // ### tabs_group_add
+  //
+  // Adds tabs to a group (removing them from their group)
+  // ```
+  // @src  {string} source module
+  // @args {object} { group, ids }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_group_add = function(src, args, cb_) {
+    if(!my.groups[args.group]) {
+      return cb_(common.err('Invalid `group`: ' + args.group,
+                            'core_tabs:invalid_group'));
+    }
+    var err = check_ids(args.ids);
+    if(err) {
+      return cb_(err);
+    }
+    group_tabs(args.group, args.ids);
+    clean_groups();
+    push_state();
+    return cb_();
+  };
+
+  // ### tabs_group_remove
+  //
+  // Removes tabs from their group. Groups with no tab left are deleted.
+  // ```
+  // @src  {string} source module
+  // @args {object} { ids }
+  // @cb_  {function(err, res)}
+  // ```
+  tabs_group_remove = function(src, args, cb_) {
+    var err = check_ids(args.ids);
+    if(err) {
+      return cb_(err);
+    }
+    args.ids.forEach(function(id) {
+      my.tabs[id].group = null;
+    });
+    clean_groups();
+    push_state();
+    return cb_();
+  };
+
+  /****************************************************************************/
+  /* PUBLIC METHODS */
+  /****************************************************************************/
+  // ### previous_session
+  //
+  // Returns a summary of the tabs of the previous session if they can be
+  // restored (null otherwise)
+  previous_session = function() {
+    if(!my.previous || my.previous.tabs.length === 0) {
+      return null;
+    }
+    return {
+      tabs: my.previous.tabs.length,
+      clean: my.previous.clean
+    };
+  };
+
+  // ### restore_session
+  //
+  // Reopens the tabs of the previous session and shows the tab that was
+  // visible. The previous session can only be restored once.
+  // ```
+  // @cb_ {function(err, res)} res is `{ ids }` the restored tab ids
+  // ```
+  restore_session = function(cb_) {
+    var previous = my.previous;
+    var ids = {};
+    my.previous = null;
+    if(!previous) {
+      return cb_(null, { ids: [] });
+    }
+    common.log.out('[core_tabs] Restoring ' + previous.tabs.length + ' tabs');
+    Object.keys(previous.groups || {}).forEach(function(g) {
+      my.groups[g] = my.groups[g] || previous.groups[g];
+    });
+    async.eachSeries(previous.tabs, function(record, cb_) {
+      restore_tab(record, record.id === previous.visible, function(err, id) {
+        if(err) {
+          common.log.error(err);
+        }
+        else {
+          ids[record.id] = id;
+        }
+        return cb_();
+      });
+    }, function(err) {
+      clean_groups();
+      var done = function(err) {
+        push_state();
+        return cb_(err, { ids: Object.keys(ids).map(function(r) {
+          return ids[r];
+        }) });
+      };
+      if(previous.visible && ids[previous.visible]) {
+        return show_tab(ids[previous.visible], true, done);
+      }
+      return done();
+    });
+  };
+
+  // ### dismiss_session
+  //
+  // Dismisses the previous session: it is not offered to be restored anymore
+  // and only the open tabs are persisted from now on.
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  dismiss_session = function(cb_) {
+    if(my.previous) {
+      common.log.out('[core_tabs] Dismissing ' + my.previous.tabs.length + 
+                     ' tabs');
+    }
+    my.previous = null;
+    persist();
+    return cb_();
   };
 
   /****************************************************************************/
@@ -918,37 +2077,92 @@ var core_tabs = function(spec, my) {
     my.core_module.exo_browser().on('frame_find_reply', 
                                     frame_find_reply);
 
-    /* The new tab page is opened in core_ui as soon as the server is ready. */
-    return cb_();
+    /* After a crash, the previous session is restored once modules are  */
+    /* ready to manage the restored tabs.                                 */
+    my.session.on('ready', function() {
+      if(my.previous && !my.previous.clean) {
+        restore_session(function(err) {
+          if(err) {
+            common.log.error(err);
+          }
+        });
+      }
+    });
+
+    my.session.gig().register('tabs', gig_tabs_reducer);
+    my.session.gig().get('core', 'tabs', my.gig_path, function(err, value) {
+      if(err) {
+        return cb_(err);
+      }
+      my.previous = {
+        tabs: value.tabs,
+        visible: value.visible,
+        groups: value.groups,
+        clean: value.clean
+      };
+      my.max_live = value.max_live;
+      my.loaded = true;
+      /* The new tab page is opened in core_ui as soon as the server is */
+      /* ready.                                                         */
+      return cb_();
+    });
   };
 
   // ### kill
   //
-  // Kills the core tabs module and all associated tabs
+  // Kills the core tabs module and all associated tabs. The session is marked
+  // as killed properly before the callback is called.
   // ```
   // @cb_ {function(err)} asynchronous callback
   // ```
   kill = function(cb_) {
-    async.each(Object.keys(my.tabs), function(id, cb_) {
-      var t = my.tabs[id];
-      my.core_module.exo_browser().remove_page(t.frame, function(err) {
-        if(err) {
-          /* We ignore the error as the browser may have already been */
-          /* killed when we get here.                                 */
-          common.log.error(err);
-        }
-        delete my.tabs[id];
-        delete my.favicons[id];
-        return t.frame.kill(function(err) {
+    if(my.state_itv) {
+      flush_state();
+    }
+    /* Tabs are not persisted anymore as they get removed. */
+    my.loaded = false;
+    async.series([
+      function(cb_) {
+        my.session.gig().push('core', 'tabs', my.gig_path, {
+          type: 'clean'
+        }, function(err) {
           if(err) {
-            /* We ignore the error as the frames may have already been */
-            /* killed when we get here.                                */
             common.log.error(err);
           }
           return cb_();
         });
-      });
-    }, function(err) {
+      },
+      function(cb_) {
+        async.each(Object.keys(my.tabs), function(id, cb_) {
+          var t = my.tabs[id];
+          if(t.discarded) {
+            delete my.tabs[id];
+            delete my.favicons[id];
+            common.remove(my.order, id, true);
+            return cb_();
+          }
+          my.core_module.exo_browser().remove_page(t.frame, function(err) {
+            if(err) {
+              /* We ignore the error as the browser may have already been */
+              /* killed when we get here.                                 */
+              common.log.error(err);
+            }
+            delete my.tabs[id];
+            delete my.favicons[id];
+            common.remove(my.order, id, true);
+            return t.frame.kill(function(err) {
+              if(err) {
+                /* We ignore the error as the frames may have already been */
+                /* killed when we get here.                                */
+                common.log.error(err);
+              }
+              return cb_();
+            });
+          });
+        }, cb_);
+      }
+    ], function(err) {
+      my.groups = {};
       if(global.gc) global.gc();
       return cb_(err);
     });
@@ -971,8 +2185,29 @@ var core_tabs = function(spec, my) {
   common.method(that, 'tabs_set_context_menu_builder', tabs_set_context_menu_builder, _super);
   common.method(that, 'tabs_new_tab_url', tabs_new_tab_url, _super);
   common.method(that, 'tabs_state', tabs_state, _super);
+  common.method(that, 'tabs_recently_closed', tabs_recently_closed, _super);
+  common.method(that, 'tabs_restore', tabs_restore, _super);
+  common.method(that, 'tabs_discard', tabs_discard, _super);
+  common.method(that, 'tabs_set_pinned', tabs_set_pinned, _super);
+  common.method(that, 'tabs_set_max_live', tabs_set_max_live, _super);
+  common.method(that, 'tabs_move', tabs_move, _super);
+  common.method(that, 'tabs_group_create', tabs_group_create, _super);
+  common.method(that, 'tabs_group_update', tabs_group_update, _super);
+  common.method(that, 'tabs_group_add', tabs_group_add, _super);
+  common.method(that, 'tabs_group_remove', tabs_group_remove, _super);
+
+  common.method(that, 'previous_session', previous_session, _super);
+  common.method(that, 'restore_session', restore_session, _super);
+  common.method(that, 'dismiss_session', dismiss_session, _super);
 
   return that;
 };
 
 exports.core_tabs = core_tabs;
+exports.tabs_reducer = tabs_reducer;
+exports.navigation_events = navigation_events;
+exports.lru_tabs = lru_tabs;
+exports.move_id = move_id;
+exports.group_order = group_order;
+exports.moved_group = moved_group;
+exports.unused_groups = unused_groups;
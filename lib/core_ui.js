@@ -34,6 +34,8 @@ var api = require('exo_browser');
 // This includes:
 // - A splash page displayed at startup (loading feedback)
 // - A module management page
+// - A settings page for each module (see `core_settings`)
+// - A bus page displaying live module bus traffic
 //
 // ```
 // @spec { core_module, session }
@@ -67,10 +69,16 @@ var core_ui = function(spec, my) {
   var socket_push;               /* socket_push(); */
   var handshake;                 /* handshake(type, socket); */
   var tail;                      /* tail(module, socket); */
+  var bus_push;                  /* bus_push(msg); */
 
   var post_about_install;        /* post_about_install(req, res, next); */
+  var post_tabs_restore;         /* post_tabs_restore(req, res, next); */
+  var post_tabs_dismiss;         /* post_tabs_dismiss(req, res, next); */
 
   var post_modules_cmd;          /* post_modules_cmd(req, res, next); */
+  var get_modules_outdated;      /* get_modules_outdated(req, res, next); */
+  var get_modules_settings;      /* get_modules_settings(req, res, next); */
+  var post_modules_settings;     /* post_modules_settings(req, res, next); */
 
   //
   // #### _that_
@@ -92,7 +100,8 @@ var core_ui = function(spec, my) {
       function(cb_) {
         if(type === 'splash') {
           state = { 
-            ready: my.is_ready 
+            ready: my.is_ready,
+            restore: my.core_module.core_tabs().previous_session()
           };
           return cb_();
         }
@@ -114,6 +123,44 @@ var core_ui = function(spec, my) {
             return cb_();
           });
         }
+        /* Stats are pushed on their own as they are sampled periodically. */
+        else if(type === 'stats') {
+          my.session.module_manager().stats(null, function(err, stats) {
+            if(err) {
+              return cb_(err);
+            }
+            state = stats;
+            return cb_();
+          });
+        }
+        else if(type === 'signature') {
+          my.session.module_manager().signature_config(function(err, config) {
+            if(err) {
+              return cb_(err);
+            }
+            state = config;
+            return cb_();
+          });
+        }
+        else if(type === 'bus') {
+          my.session.module_manager().list(function(err, list) {
+            if(err) {
+              return cb_(err);
+            }
+            state = {
+              modules: list.filter(function(m) {
+                return m.running;
+              }).map(function(m) {
+                return m.name;
+              })
+            };
+            return cb_();
+          });
+        }
+        else {
+          return cb_(common.err('Invalid socket type: ' + type,
+                                'core_ui:invalid_socket_type'));
+        }
       }
     ], function(err) {
       if(err) {
@@ -199,6 +246,34 @@ var core_ui = function(spec, my) {
     });
   };
 
+  // ### bus_push
+  //
+  // Pushes a summary of a message dispatched on the module bus to the `bus`
+  // sockets. Payloads are not sent, only their size.
+  // ```
+  // @msg {object} the message being dispatched
+  // ```
+  bus_push = function(msg) {
+    if(!my.sockets['bus'] || my.sockets['bus'].length === 0) {
+      return;
+    }
+    var summary = {
+      ts: Date.now(),
+      typ: msg.hdr.typ,
+      src: msg.hdr.src,
+      mid: msg.hdr.mid,
+      dst: msg.dst || null,
+      oid: typeof msg.oid === 'number' ? msg.oid : null,
+      prc: typeof msg.prc === 'string' ? msg.prc : null,
+      evt: (msg.hdr.typ === 'event' || msg.hdr.typ === 'register') ?
+        msg.typ : null,
+      err: msg.err || null,
+      size: JSON.stringify(msg.arg || msg.res || msg.evt || null).length
+    };
+    my.sockets['bus'].forEach(function(s) {
+      s.emit('message', summary);
+    });
+  };
 
   // ### post_about_install
   //
@@ -220,6 +295,43 @@ var core_ui = function(spec, my) {
     });
   };
 
+  // ### post_tabs_restore
+  //
+  // Express route to restore the tabs of the previous session
+  // ```
+  // POST /tabs/restore
+  // ```
+  post_tabs_restore = function(req, res, next) {
+    my.core_module.core_tabs().restore_session(function(err, restored) {
+      socket_push('splash');
+      if(err) {
+        return next(err);
+      }
+      return res.json({
+        ok: true,
+        ids: restored.ids
+      });
+    });
+  };
+
+  // ### post_tabs_dismiss
+  //
+  // Express route to dismiss the tabs of the previous session
+  // ```
+  // POST /tabs/dismiss
+  // ```
+  post_tabs_dismiss = function(req, res, next) {
+    my.core_module.core_tabs().dismiss_session(function(err) {
+      socket_push('splash');
+      if(err) {
+        return next(err);
+      }
+      return res.json({
+        ok: true
+      });
+    });
+  };
+
   // ### post_modules_cmd
   //
   // Express route to operate on a module
@@ -256,6 +368,33 @@ var core_ui = function(spec, my) {
             my.session.module_manager().kill_module(path, cb_);
             break;
           }
+          case 'hot_reload': {
+            var enabled = String(req.param('enabled')) === 'true';
+            my.session.module_manager().set_hot_reload(path, enabled, cb_);
+            break;
+          }
+          /* Only available from the modules page (not exposed to modules) */
+          /* as the user confirms the permissions there.                   */
+          case 'grant': {
+            my.session.module_manager().grant_permissions(path, cb_);
+            break;
+          }
+          /* Keys submitted by modules are trusted once the user confirmed  */
+          /* them from the modules page.                                    */
+          case 'confirm_key': {
+            my.session.module_manager().confirm_key(req.param('fingerprint'), 
+                                                    function(err) {
+              return cb_(err, null);
+            });
+            break;
+          }
+          case 'dismiss_key': {
+            my.session.module_manager().dismiss_key(req.param('fingerprint'), 
+                                                    function(err) {
+              return cb_(err, null);
+            });
+            break;
+          }
           default: {
             next(common.err('Invalid module `cmd`: ' + cmd,
                             'core_ui:invalid_module_cmd'));
@@ -276,6 +415,63 @@ var core_ui = function(spec, my) {
     });
   };
 
+  // ### get_modules_outdated
+  //
+  // Express route to retrieve what an update would do for each module
+  // ```
+  // GET /modules/outdated
+  // ```
+  get_modules_outdated = function(req, res, next) {
+    my.session.module_manager().outdated(function(err, outdated) {
+      if(err) {
+        return next(err);
+      }
+      return res.json({
+        ok: true,
+        outdated: outdated
+      });
+    });
+  };
+
+  // ### get_modules_settings
+  //
+  // Express route to retrieve the settings schema and values of a module
+  // ```
+  // GET /modules/settings/:name
+  // ```
+  get_modules_settings = function(req, res, next) {
+    my.core_module.core_settings().settings_get(req.param('name'), {}, 
+                                                function(err, settings) {
+      if(err) {
+        return next(err);
+      }
+      return res.json({
+        ok: true,
+        settings: settings
+      });
+    });
+  };
+
+  // ### post_modules_settings
+  //
+  // Express route to set the value of a module setting
+  // ```
+  // POST /modules/settings/:name
+  // ```
+  post_modules_settings = function(req, res, next) {
+    my.core_module.core_settings().settings_set(req.param('name'), {
+      key: req.param('key'),
+      value: req.param('value')
+    }, function(err) {
+      if(err) {
+        return next(err);
+      }
+      return res.json({
+        ok: true
+      });
+    });
+  };
+
   /****************************************************************************/
   /* SOCKET EVENT HANDLERS */
   /****************************************************************************/
@@ -295,6 +491,9 @@ var core_ui = function(spec, my) {
       case 'modules': {
         return my.base_url + 'modules/';
       }
+      case 'bus': {
+        return my.base_url + 'bus/';
+      }
       default: {
         return my.base_url + 'splash/';
       }
@@ -319,6 +518,9 @@ var core_ui = function(spec, my) {
         case '/splash/': {
           return 'splash';
         }
+        case '/bus/': {
+          return 'bus';
+        }
         default: {
           return 'unknown';
         }
@@ -343,8 +545,13 @@ var core_ui = function(spec, my) {
     my.app.use(require('body-parser')());
     my.app.use(require('method-override')())
 
+    my.app.get('/modules/outdated', get_modules_outdated);
+    my.app.get('/modules/settings/:name', get_modules_settings);
+    my.app.post('/modules/settings/:name', post_modules_settings);
     my.app.post('/modules/:cmd', post_modules_cmd);
     my.app.post('/about/install', post_about_install);
+    my.app.post('/tabs/restore', post_tabs_restore);
+    my.app.post('/tabs/dismiss', post_tabs_dismiss);
 
     my.session.on('ready', function() {
       my.is_ready = true;
@@ -360,10 +567,21 @@ var core_ui = function(spec, my) {
 
     my.session.module_manager().on('state_change', function(module) {
       socket_push('modules');
+      socket_push('bus');
     });
     my.session.module_manager().on('update_ready', function() {
       socket_push('modules');
     });
+    my.session.module_manager().on('interface_change', function() {
+      socket_push('modules');
+    });
+    my.session.module_manager().on('stats_change', function() {
+      socket_push('stats');
+    });
+    my.session.module_manager().on('signature_change', function() {
+      socket_push('signature');
+    });
+    my.session.module_manager().on('message', bus_push);
 
     async.series([
       function(cb_) {
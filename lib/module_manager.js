@@ -28,6 +28,8 @@ var request = require('request');
 var api = require('exo_browser');
 
 var common = require('./common.js');
+var signature = require('./signature.js');
+var module_util = require('./module_util.js');
 
 // ## module_manager
 //
@@ -40,19 +42,127 @@ var common = require('./common.js');
 // A module manager is associated with a session and manages all the running
 // modules for that session.
 //
-// Module IDs are local path or github URLs.
+// Module IDs are local paths, github repositories, npm packages, git
+// repositories or tarballs:
+// ```
+// local:{path}
+// github:{owner}/{name}#{tag}
+// npm:{package}@{version}         (registry from the npm `registry` config)
+// git+https://{url}#{ref}
+// git+ssh://{url}#{ref}
+// tarball:{file|url}              (`.tgz` with a top-level directory)
+// ```
+// Paths are resolved to a version (tag, exact npm version, git ref) by
+// `augment_path` when a module is added. github, git and npm paths accept a
+// semver range instead (`github:breach/mod_stack#^0.3.0`): it is resolved to
+// the highest matching tag and stored in the module record as `range` so that
+// `update` (and auto-update) only moves within that range. `outdated`
+// reports what an update would do without performing it.
 //
 // Module description format:
 // ```
 // {
-//   type: 'github'|'local',
+//   type: 'github'|'local'|'npm'|'git'|'tarball',
 //   owner: {author}|'local',
 //   name: {name},
 //   tag: {tag},
-//   path: 'local:...'|'github:...'
+//   path: 'local:...'|'github:...'|'npm:...'|'git+...'|'tarball:...'
+//   range: {semver range}|null,
 //   version: {version},
+//   permissions: [{capability}],
+//   requested_permissions: [{capability}]|null,
+//   dependencies: [{name}],
+//   restart_policy: { max_restarts, backoff, max_backoff, reset_after,
+//                     max_missed, restart_unresponsive },
+//   limits: { memory, cpu },
+//   previous: {module}|null,
+//   confirmed: {boolean},
+//   failed: [{path}],
+//   signature: { status, signer, hash, error, date }|null,
+//   hot_reload: {boolean}
+// }
+// ```
+//
+// Modules declare the capabilities they require from the `core` module in the
+// `breach` section of their `package.json`:
+// ```
+// "breach": {
+//   "permissions": [ "tabs:read", "tabs:write", "cookies:events" ]
 // }
 // ```
+// Modules can also declare the names of the modules they depend on
+// (`breach.dependencies`). Modules are started in two phases by `run_modules`:
+// `init` is called on all modules in dependency order, then `start`. The
+// `modules:all_ready` event is emitted once every module has started. Modules
+// not initialized within `READY_TIMEOUT` ms and modules part of a dependency
+// cycle are skipped.
+//
+// A module exiting is restarted according to its restart policy (defaults
+// to `RESTART_POLICY`, overridden by `breach.restart_policy` or with
+// `set_restart_policy`): restarts are delayed with an exponential backoff
+// and the restart count is reset once the module has been up for
+// `reset_after` ms. Past `max_restarts` the module is marked as crashed.
+// A crash report (exit code, signal and tail of the module output) is kept
+// for each module exit and the `modules:crashed` event emitted.
+//
+// Running modules are pinged every `HEALTH_FREQUENCY` ms (`ping` procedure
+// built in the module library). A module missing `max_missed` consecutive
+// pings (restart policy) is marked `unresponsive` (and killed, to be
+// restarted, if its policy has `restart_unresponsive` set). Pings are sent
+// directly to the module process and do not go through `dispatch` (they are
+// not traced nor counted in the module stats).
+//
+// Modules can declare resource limits (`breach.limits`): `memory` in MB is
+// passed to the module process as `--max-old-space-size` and `cpu` in
+// percent of one core. Process stats are sampled from `/proc` every
+// `STATS_FREQUENCY` ms (on Linux only) and a module exceeding its memory
+// limit or its cpu limit for `STATS_MAX_OVER` consecutive samples is killed
+// (and restarted according to its restart policy). Message counters and RPC
+// latency are collected by `dispatch`.
+//
+// Updates are downloaded and installed in a staging directory then swapped in
+// place (`stage`). The module record it was updated from is kept as
+// `previous` until the new version stayed up for `ROLLBACK_WINDOW` ms. If it
+// crashes or becomes unresponsive before that, the module is rolled back, the
+// `modules:rolled_back` event emitted and its path recorded in `failed`.
+//
+// Modules can be signed: the signature is a cleartext signed file (see
+// `signature`) whose first token is the content hash of the module tree (as
+// computed by `module_util.tree_hash` and recorded in lockfiles). It is
+// retrieved from the mirror, the url declared as `breach.signature` in the
+// module `package.json` or, for tarball modules, `{location}.asc`. It is
+// verified against the session keyring when the module is downloaded and the
+// result recorded as `signature` (`valid`, `invalid` or `unsigned`). The
+// session signature policy (`off`, `warn` or `require`, defaults to
+// `SIGNATURE_POLICY`) decides whether modules without a valid signature can be
+// installed: only `require` (set with `set_signature_policy`) rejects them,
+// `warn` logs them. Keys submitted with `trust_key` are pending until the user
+// confirms them (`confirm_key`) from the modules page.
+//
+// `local:` modules under development can have hot reload enabled
+// (`set_hot_reload`): while they run, their directory is watched and they are
+// killed and run again `HOT_RELOAD_DEBOUNCE` ms after the last change. The
+// reloaded module goes through `init` and `start` again and so makes its
+// registrations again. The `modules:reloaded` event is emitted once it runs.
+//
+// If a mirror directory is configured (`--modules-mirror` or
+// `BREACH_MODULES_MIRROR`, see `module_mirror`), module tarballs and
+// package.json are looked up there first and dependencies are installed from
+// its npm cache, so that modules can be installed without network access once
+// the mirror is populated (`populate_mirror`). Module refs are only read from
+// the mirror when they cannot be retrieved upstream so that new tags are seen
+// by `update` and `outdated`.
+//
+// Capabilities are recorded when the module is added and enforced by
+// `dispatch` for `rpc_call` (capability declared with `core_expose`) and
+// `register` (`{namespace}:events` for events emitted by `core`). Denied
+// registrations are answered with a `register_error` message. Modules added
+// before permissions existed have no `permissions` field and are granted
+// `module_util.LEGACY_PERMISSIONS`, which modules that declare no permissions
+// request. When a module is added, the permissions it requests that it was
+// not granted yet (all of them for a new module) are recorded as
+// `requested_permissions` and only granted once the user confirms them
+// (`grant_permissions`).
 //
 // API:
 // ```
@@ -61,8 +171,25 @@ var common = require('./common.js');
 //  list
 //  remove {path}
 //  update {path}
+//  outdated
+//  populate_mirror {paths}
+//  export_lock {file}
+//  import_lock {file}
+//  describe {name}
 //  run_module {path}
 //  kill_module {path}
+//  run_modules
+//  set_restart_policy {path} {policy}
+//  set_hot_reload {path} {enabled}
+//  grant_permissions {path}
+//  signature_config
+//  set_signature_policy {policy}
+//  trust_key {armored}
+//  untrust_key {fingerprint}
+//  confirm_key {fingerprint}
+//  dismiss_key {fingerprint}
+//  health {name}
+//  stats {name}
 //  ```
 //
 //
@@ -74,7 +201,34 @@ var common = require('./common.js');
 //   path: path,
 //   restart: 0,
 //   registrations: [],
-//   need_restart: false
+//   need_restart: false,
+//   permissions: [{capability}]|null,
+//   interface: { procedures: {}, events: {} }|null,
+//   initialized: false,
+//   started: false,
+//   init_callbacks: [],
+//   started_at: {date},
+//   restart_itv: null,
+//   health: { status, latency, last_ping, last_reply, missed },
+//   pinging: false,
+//   limits: { memory, cpu },
+//   stats: { msg_in, msg_out, rpc_calls, rpc_latency, rpc_latency_max,
+//            memory, cpu, ticks, over, sampled_at },
+//   kill_reason: null,
+//   trial: false,
+//   trial_itv: null
+// }
+// ```
+//
+// In-flight `rpc_call`s between modules are tracked in `my.rpc_pending` so
+// that they can be failed if the destination module exits before replying:
+// ```
+// my.rpc_pending[src + ':' + mid] = {
+//   src: src,
+//   dst: dst,
+//   prc: prc,
+//   mid: mid,
+//   date: {date}
 // }
 // ```
 //
@@ -88,8 +242,9 @@ var common = require('./common.js');
 // ```
 //
 // ```
-// @spec { session }
-// @emits `state_change`, `update_ready`
+// @spec { session, direct }
+// @emits `state_change`, `update_ready`, `interface_change`, `stats_change`,
+//        `signature_change`, `message`
 // ```
 var module_manager = function(spec, my) {
   var _super = {};
@@ -97,11 +252,40 @@ var module_manager = function(spec, my) {
   spec = spec || {};
 
   my.UPDATE_FREQUENCY = 1000 * 60 * 60 * 6;
+  /* Default `core_call` timeout, disabled as core procedures such as */
+  /* `modules_install` may legitimately run for minutes.              */
+  my.RPC_TIMEOUT = 0;
+  /* Time `run_modules` waits for a module to be ready and initialized. */
+  my.READY_TIMEOUT = 1000 * 30;
+  my.RESTART_POLICY = {
+    max_restarts: 3,
+    backoff: 1000,
+    max_backoff: 1000 * 60,
+    reset_after: 1000 * 60,
+    max_missed: 3,
+    restart_unresponsive: false
+  };
+  my.HEALTH_FREQUENCY = 1000 * 10;
+  my.STATS_FREQUENCY = 1000 * 5;
+  my.STATS_MAX_OVER = 3;
+  my.CLOCK_TICKS = 100;
+  my.CRASH_TAIL_SIZE = 1024 * 4;
+  /* Time an updated module must stay up (and responsive) for its update to */
+  /* be confirmed. Before that it is rolled back if it crashes.             */
+  my.ROLLBACK_WINDOW = 1000 * 60 * 2;
+  my.SIGNATURE_POLICIES = ['off', 'warn', 'require'];
+  /* Signatures are optional: `require` is opt-in for the session. */
+  my.SIGNATURE_POLICY = 'warn';
+  my.HOT_RELOAD_DEBOUNCE = 500;
   my.VERSION = require('./../package.json').version;
 
   my.session = spec.session;
+  /* Modules managed from the command line while Breach is not running. */
+  my.direct = spec.direct || false;
   my.gig = my.session.gig();
   my.github = github.client();
+  /* Optional local mirror of module sources (see `module_mirror`). */
+  my.mirror = common.modules_mirror || null;
 
   /* The `modules_path` is the repository of public modules installed on this */
   /* machine. Modules are shared among users of a same machine.               */
@@ -112,16 +296,41 @@ var module_manager = function(spec, my) {
     require('path').join(my.session.data_path(), 'modules.out');
   /* The `gig_path` is the path at which modules are stored on gig */
   my.gig_path = '/sessions/' + my.session.session_id() + '/modules';
+  /* The `config_path` is the path at which the module configuration of the */
+  /* session (signature policy) is stored on gig.                           */
+  my.config_path = '/sessions/' + my.session.session_id() + '/module_config';
+  /* The keyring of keys trusted to sign modules. Sessions that are         */
+  /* `off_the_record` use the keyring shared by all sessions.               */
+  my.keyring_path = require('path').join(my.session.data_path() ||
+                                         api.data_path('breach'),
+                                         'openpgp.store');
 
   my.running_modules = {};
   my.install_modules = {};
+  my.rpc_pending = {};
+  /* Last crash report by module name, and modules no longer restarted. */
+  my.crash_reports = {};
+  my.crashed_modules = {};
+  my.health_itv = null;
+  my.stats_itv = null;
+  /* Stats last reported with `stats_change` (serialized). */
+  my.stats_last = null;
+  /* Set while `run_modules` is initializing modules: `start` is deferred. */
+  my.holding_start = false;
+  /* Directory watchers of `local:` modules with hot reload enabled by      */
+  /* module name: { path, watchers, files, itv }.                           */
+  my.watchers = {};
 
   my.core_module = {
     path: 'internal:breach/core',
     name: 'core',
     procedures: {},
+    capabilities: {},
     message_id: 0,
-    rpc_calls: {}
+    /* { mid: { cb_, itv } } */
+    rpc_calls: {},
+    /* Pending health pings (outside of `dispatch`) { mid: { cb_, itv } } */
+    pings: {}
   };
 
   //
@@ -130,30 +339,86 @@ var module_manager = function(spec, my) {
   var init;                   /* init(cb_); */
   var kill;                   /* stop(cb_); */
 
-  var core_expose;            /* core_expose(proc, fun); */
-  var core_call;              /* core_call(dst, proc, args, cb_); */
+  var core_expose;            /* core_expose(proc, fun, capability); */
+  var core_call;              /* core_call(dst, proc, args, [options], cb_); */
   var core_emit;              /* core_emit(type, evt); */
+  var registered;             /* registered(type); */
 
   var add;                    /* add(path, force, cb_) */
   var list;                   /* list(cb_); */
   var install;                /* install(path, cb_); */
   var remove;                 /* remove(path, cb_); */
   var update;                 /* update(path, cb_); */
+  var outdated;               /* outdated(cb_); */
+  var populate_mirror;        /* populate_mirror(paths, cb_); */
+  var export_lock;            /* export_lock(file, cb_); */
+  var import_lock;            /* import_lock(file, cb_); */
   var output;                 /* output(path, cb_); */
+  var describe;               /* describe(name, cb_); */
 
   var run_module;             /* run_module(path, cb_); */
   var kill_module;            /* kill_module(path, cb_); */
+  var run_modules;            /* run_modules(cb_); */
+  var set_restart_policy;     /* set_restart_policy(path, policy, cb_); */
+  var set_hot_reload;         /* set_hot_reload(path, enabled, cb_); */
+  var grant_permissions;      /* grant_permissions(path, cb_); */
+  var signature_config;       /* signature_config(cb_); */
+  var set_signature_policy;   /* set_signature_policy(policy, cb_); */
+  var trust_key;              /* trust_key(armored, cb_); */
+  var untrust_key;            /* untrust_key(fingerprint, cb_); */
+  var confirm_key;            /* confirm_key(fingerprint, cb_); */
+  var dismiss_key;            /* dismiss_key(fingerprint, cb_); */
+  var health;                 /* health(name, cb_); */
+  var stats;                  /* stats(name, cb_); */
 
   //
   // #### _private_
   // 
   var gig_module_reducer;     /* gig_module_reducer(oplog); */
+  var gig_config_reducer;     /* gig_config_reducer(oplog); */
 
   var expand_path;            /* expand_path(path); */
   var augment_path;           /* augment_path(path, cb_); */
+  var range_path;             /* range_path(module); */
   var storage_path;           /* storage_path(path); */
+  var registry_get;           /* registry_get(name, cb_); */
+  var git_refs;               /* git_refs(url, cb_); */
+  var remote_refs;            /* remote_refs(path, upstream, cb_); */
+  var download;               /* download(path, cb_); */
+  var extract;                /* extract(stream, dst, cb_); */
+  var fetch;                  /* fetch(path, dst, cb_); */
+  var fetch_upstream;         /* fetch_upstream(path, dst, cb_); */
+  var stage;                  /* stage(path, cb_); */
+  var signature_data;         /* signature_data(path, dir, upstream, cb_); */
+  var verify_signature;       /* verify_signature(path, dir, cb_); */
+  var signature_error;        /* signature_error(policy, path, result); */
+  var check_signature;        /* check_signature(path, dir, cb_); */
+  var reset_signatures;       /* reset_signatures(cb_); */
+
+  var init_module;            /* init_module(name); */
+  var start_module;           /* start_module(name, cb_); */
+  var flush_init;             /* flush_init(name); */
+
+  var restart_policy;         /* restart_policy(module); */
+  var crash_report;           /* crash_report(module, code, signal, cb_); */
+  var health_check;           /* health_check(); */
+  var ping_module;            /* ping_module(name, timeout, cb_); */
+  var ping_reply;             /* ping_reply(msg); */
+  var sample_stats;           /* sample_stats(); */
+  var limit_exceeded;         /* limit_exceeded(name, limit, value); */
+  var rollback;               /* rollback(name, reason, cb_); */
+  var watch_module;           /* watch_module(module); */
+  var unwatch_module;         /* unwatch_module(name); */
+  var reload_module;          /* reload_module(name, files); */
+
+  var has_capability;         /* has_capability(name, capability); */
+  var event_capability;       /* event_capability(type); */
 
   var dispatch;               /* dispatch(module, msg); */
+  var register_error;         /* register_error(msg, err); */
+  var fail_rpc_calls;         /* fail_rpc_calls(name); */
+  var send_event;             /* send_event(name, msg); */
+  var deliver_event;          /* deliver_event(name, r, msg); */
 
   var auto_update;            /* auto_update(); */
 
@@ -198,6 +463,12 @@ var module_manager = function(spec, my) {
             delete value[path];
             break;
           }
+          case 'set': {
+            if(value[op.payload.path]) {
+              value[op.payload.path][op.payload.key] = op.payload.value;
+            }
+            break;
+          }
           default: {
             break;
           }
@@ -208,52 +479,50 @@ var module_manager = function(spec, my) {
   };
 
 
-  // ### expand_path
+  // ### gig_config_reducer
   //
-  // Transforms a path string into a parsed object
+  // Reducer used with gig to store the module configuration of the session
   // ```
-  // @path {string} a module path
+  // @oplog {array} the array of ops to reduce
   // ```
-  expand_path = function(path) {
-    var github_r = 
-      /^github\:([a-zA-Z0-9\-_\.]+)\/([a-zA-Z0-9\-_\.]+)(#[a-zA-Z0-9\-_\.]+){0,1}/;
-    var github_m = github_r.exec(path);
-    if(github_m) {
-      return {
-        type: 'github',
-        owner: github_m[1],
-        name: github_m[2],
-        tag: github_m[3] ? github_m[3].substr(1) : null,
+  gig_config_reducer = function(oplog) {
+    /* Returns a dictionary of configuration `key` to `value`. */
+    var value = {};
+    oplog.forEach(function(op) {
+      if(typeof op.value !== 'undefined') {
+        value = op.value || {};
       }
-    }
-    var local_r = /^local\:(.+)$/
-    var local_m = local_r.exec(path);
-    if(local_m) {
-      var home_r = /^~/;
-      if(home_r.exec(local_m[1])) {
-        /* Unix Only */
-        return {
-          type: 'local',
-          path: require('path').join(process.env['HOME'], local_m[1].substr(1))
-        }
-      }
-      return {
-        type: 'local',
-        path: require('path').normalize(local_m[1])
-      };
-    }
-    return null;
+      else if(op.payload && op.payload.type === 'set') {
+        value[op.payload.key] = op.payload.value;
+      }
+    });
+    return value;
   };
 
+  // ### expand_path
+  //
+  // Transforms a path string into a parsed object (see `module_util`)
+  // ```
+  // @path {string} a module path
+  // ```
+  expand_path = module_util.expand_path;
+
   // ### augment_path
   //
   // Augments a module path. If it's a local path, it checks that it exists and
   // does not do anything. If it's a github path, then it checks that the branch
   // exists. If no branch is specified, it tries to find the most appropriate
-  // one
+  // one.
+  // npm paths are resolved to the highest version matching the range (or
+  // dist-tag) specified, `latest` by default. git paths are resolved the same
+  // way as github paths using the remote tags and branches. tarball paths are
+  // only checked to exist if they are local.
+  // github and git tags that are not existing refs but valid semver ranges are
+  // resolved to the highest matching tag. The range is returned along with the
+  // resolved path (`null` if the path was not a range).
   // ```
   // @path {string} a module path
-  // @cb_  {function(err, path)}
+  // @cb_  {function(err, path, range)}
   // ```
   augment_path = function(path, cb_) {
     var p = expand_path(path);
@@ -262,8 +531,7 @@ var module_manager = function(spec, my) {
                             'module_manager:invalid_path'));
     }
     if(p.type === 'github') {
-      var repo = my.github.repo(p.owner + '/' + p.name);
-      repo.tags(function(err, data) {
+      remote_refs(path, false, function(err, data) {
         if(err) {
           return cb_(err);
         }
@@ -289,11 +557,21 @@ var module_manager = function(spec, my) {
             (semver.lt(b.version, a.version) ? -1 : 0);
         });
         if(match) {
-          return cb_(null, path);
+          return cb_(null, path, null);
         }
         else if(p.tag === 'master') {
           return cb_(null, p.type + ':' + p.owner + '/' + p.name + '#master');
         }
+        else if(p.tag && semver.validRange(p.tag)) {
+          for(var i = 0; i < vers.length; i ++) {
+            if(semver.satisfies(vers[i].version, p.tag)) {
+              return cb_(null, p.type + ':' + p.owner + '/' + p.name + 
+                               '#' + vers[i].tag, p.tag);
+            }
+          }
+          return cb_(common.err('No tag matching `path` range: ' + path,
+                                'module_manager:invalid_path'));
+        }
         else if(p.tag) {
           return cb_(common.err('Invalid `path` tag: ' + path,
                                 'module_manager:invalid_path'));
@@ -315,6 +593,89 @@ var module_manager = function(spec, my) {
         return cb_(null, p.type + ':'  + p.path);
       });
     }
+    else if(p.type === 'npm') {
+      remote_refs(path, false, function(err, meta) {
+        if(err) {
+          return cb_(err);
+        }
+        var versions = Object.keys(meta.versions || {});
+        var tags = meta['dist-tags'] || {};
+        var version = null;
+        var range = null;
+        if(!p.tag) {
+          version = tags.latest || semver.maxSatisfying(versions, '*');
+        }
+        else if(tags[p.tag]) {
+          version = tags[p.tag];
+        }
+        else if(semver.valid(p.tag)) {
+          version = versions.indexOf(p.tag) !== -1 ? p.tag : null;
+        }
+        else if(semver.validRange(p.tag)) {
+          version = semver.maxSatisfying(versions, p.tag);
+          range = p.tag;
+        }
+        if(!version) {
+          return cb_(common.err('Invalid `path` version: ' + path,
+                                'module_manager:invalid_path'));
+        }
+        return cb_(null, p.type + ':' + p.name + '@' + version, range);
+      });
+    }
+    else if(p.type === 'git') {
+      remote_refs(path, false, function(err, refs) {
+        if(err) {
+          return cb_(err);
+        }
+        var vers = [];
+        refs.tags.forEach(function(t) {
+          var v = semver.clean(t, true);
+          if(v) {
+            vers.push({
+              version: v,
+              tag: t
+            });
+          }
+        });
+        vers.sort(function(a, b) {
+          return semver.gt(b.version, a.version) ? 1 : 
+            (semver.lt(b.version, a.version) ? -1 : 0);
+        });
+        if(p.tag) {
+          if(refs.tags.indexOf(p.tag) !== -1 || 
+             refs.heads.indexOf(p.tag) !== -1 ||
+             /^[0-9a-f]{40}$/.test(p.tag)) {
+            return cb_(null, path, null);
+          }
+          if(semver.validRange(p.tag)) {
+            for(var i = 0; i < vers.length; i ++) {
+              if(semver.satisfies(vers[i].version, p.tag)) {
+                return cb_(null, 'git+' + p.url + '#' + vers[i].tag, p.tag);
+              }
+            }
+          }
+          return cb_(common.err('Invalid `path` ref: ' + path,
+                                'module_manager:invalid_path'));
+        }
+        else if(vers.length > 0) {
+          return cb_(null, 'git+' + p.url + '#' + vers[0].tag);
+        }
+        else {
+          return cb_(null, 'git+' + p.url + '#master');
+        }
+      });
+    }
+    else if(p.type === 'tarball') {
+      if(p.url) {
+        return cb_(null, path);
+      }
+      fs.stat(p.location, function(err, stat) {
+        if(err) {
+          return cb_(err);
+        }
+        return cb_(null, 'tarball:' + require('path').resolve(p.location));
+      });
+    }
   };
 
   // ### storage_path
@@ -338,671 +699,3212 @@ var module_manager = function(spec, my) {
         return p.path;
         break;
       }
+      case 'npm': {
+        return require('path').join(my.modules_path, 
+                                    'npm', p.name + '@' + p.tag);
+        break;
+      }
+      case 'git': {
+        return require('path').join(my.modules_path, 'git',
+                                    p.url.replace(/^[a-z]+\:\/\//, '')
+                                         .replace(/[^a-zA-Z0-9\-_\.]/g, '_') +
+                                    '#' + p.tag);
+        break;
+      }
+      case 'tarball': {
+        return require('path').join(my.modules_path, 
+                                    'tarball', common.hash([p.location]));
+        break;
+      }
       default: {
         return null;
       }
     }
   };
 
-  // ### auto_update
+  // ### range_path
   //
-  // Periodically triggered to auto-update modules.
-  auto_update = function() {
-    async.waterfall([
-      /* Check that the module exists. */
-      function(cb_) {
-        my.gig.get('core', 'module', my.gig_path, cb_);
-      },
-      function(modules, cb_) {
-        async.eachSeries(Object.keys(modules), function(m, cb_) {
-          if(modules[m]) {
-            common.log.out('[module_manager] Attempting auto_update of: ' + 
-                           modules[m].path);
-            /* TODO(spolu): Updating agressively may leave the module in a */
-            /* broken state if the browser is turned of while updating.    */
-            update(modules[m].path, cb_);
-          }
-          else {
-            /* The modules object may have been altered by a module update. */
-            return cb_();
-          }
-        }, cb_);
+  // Computes the path used to resolve updates of a module: its base path along
+  // with the range it was added with if any. Returns null for local and
+  // tarball modules.
+  // ```
+  // @module {object} the module record `{ path, range }`
+  // ```
+  range_path = function(module) {
+    var p = expand_path(module.path);
+    if(!p) {
+      return null;
+    }
+    switch(p.type) {
+      case 'github': {
+        return p.type + ':' + p.owner + '/' + p.name + 
+          (module.range ? '#' + module.range : '');
       }
-    ], function(err) {
+      case 'npm': {
+        return p.type + ':' + p.name + 
+          (module.range ? '@' + module.range : '');
+      }
+      case 'git': {
+        return 'git+' + p.url + (module.range ? '#' + module.range : '');
+      }
+      default: {
+        return null;
+      }
+    }
+  };
+
+  // ### registry_get
+  //
+  // Retrieves the metadata of a package from the npm registry (as configured
+  // for npm, `registry` and `//{registry}/:_authToken` for authentication)
+  // ```
+  // @name {string} the package name
+  // @cb_  {function(err, meta)}
+  // ```
+  registry_get = function(name, cb_) {
+    var registry = npm.config.get('registry').replace(/\/$/, '');
+    var options = {
+      url: registry + '/' + name.replace('/', '%2f'),
+      headers: {
+        'User-Agent': 'Mozilla/5.0'
+      },
+      json: true
+    };
+    var token = npm.config.get(registry.replace(/^https?\:/, '') + 
+                               '/:_authToken');
+    if(token) {
+      options.headers['Authorization'] = 'Bearer ' + token;
+    }
+    request(options, function(err, res, json) {
       if(err) {
-        common.log.error(err);
+        return cb_(err);
       }
+      if(res.statusCode !== 200 || !json || typeof json !== 'object') {
+        return cb_(common.err('Registry error for package `' + name + 
+                              '`: ' + res.statusCode,
+                              'module_manager:registry_error'));
+      }
+      return cb_(null, json);
     });
   };
 
+  // ### git_refs
+  //
+  // Lists the tags and branches of a remote git repository
+  // ```
+  // @url {string} the repository url
+  // @cb_ {function(err, refs)} refs is `{ tags: [], heads: [] }`
+  // ```
+  git_refs = function(url, cb_) {
+    child_process.execFile('git', ['ls-remote', '--tags', '--heads', url], {
+      timeout: 1000 * 60
+    }, function(err, stdout) {
+      if(err) {
+        return cb_(err);
+      }
+      var refs = { tags: [], heads: [] };
+      stdout.split('\n').forEach(function(line) {
+        var m = /^[0-9a-f]+\s+refs\/(tags|heads)\/(.+)$/.exec(line);
+        if(m && !/\^\{\}$/.test(m[2])) {
+          refs[m[1]].push(m[2]);
+        }
+      });
+      return cb_(null, refs);
+    });
+  };
 
-  /****************************************************************************/
-  /* MESSAGE DISPATCH */
-  /****************************************************************************/
-  // ### dispatch
+  // ### remote_refs
   //
-  // Dispatches a message received from a module to where it is supposed to go
-  // There are three types of messages: 
-  // `event`      : event emitted and dispatched to registered modules
-  // `register`   : registers for some events
-  // `unregister` : unregisters an existing registration
-  // `rpc_call`   : remote procedure call directed to a module
-  // `rpc_reply`  : reply from a remote procedure call
+  // Retrieves what a module path is resolved against: the tags of a github
+  // repository (`[{ name }]`), the refs of a git repository (`{ tags, heads }`)
+  // or the registry metadata of an npm package. The mirror is only consulted
+  // if they cannot be retrieved upstream, unless `upstream` is set.
   // ```
-  // @msg {object} the message to dispatch
+  // @path     {string} the module path
+  // @upstream {boolean} bypass the mirror
+  // @cb_      {function(err, data)}
   // ```
-  dispatch = function(msg) {
-    if(!msg || !msg.hdr || 
-       typeof msg.hdr.typ !== 'string' ||
-       typeof msg.hdr.src !== 'string' ||
-       typeof msg.hdr.mid !== 'number' ||
-       typeof msg.hdr.ver !== 'string' ||
-       (!my.running_modules[msg.hdr.src] && 
-        msg.hdr.src !== my.core_module.name)) {
-      /* We ignore the message. */
-      common.log.out('IGNORED: ' + JSON.stringify(msg, null, 2));
-      return;
+  remote_refs = function(path, upstream, cb_) {
+    var p = expand_path(path);
+    var base = range_path({ path: path });
+    var from_upstream = function(cb_) {
+      switch(p.type) {
+        case 'github': {
+          var repo = my.github.repo(p.owner + '/' + p.name);
+          return repo.tags(function(err, data) {
+            return cb_(err, data);
+          });
+        }
+        case 'npm': {
+          return registry_get(p.name, cb_);
+        }
+        case 'git': {
+          return git_refs(p.url, cb_);
+        }
+        default: {
+          return cb_(common.err('Module has no refs: ' + path,
+                                'module_manager:invalid_path'));
+        }
+      }
+    };
+    if(!my.mirror || upstream || !base) {
+      return from_upstream(cb_);
     }
+    from_upstream(function(err, data) {
+      if(!err) {
+        return cb_(null, data);
+      }
+      my.mirror.refs(base, function(e, mirrored) {
+        if(e || !mirrored) {
+          return cb_(err);
+        }
+        common.log.out('[module_manager] Using mirrored refs for ' + base + 
+                       ': ' + err.message);
+        return cb_(null, mirrored);
+      });
+    });
+  };
 
-    var msg_str = '[(' + common.rpad(msg.hdr.src, 10) + ') > ' + 
-                   '(' + common.rpad(msg.dst || '', 10)  + ')] ' +
-                  ' {' + common.rpad(msg.hdr.typ, 10) + '[' + msg.hdr.mid + ']}';
-    switch(msg.hdr.typ) {
-      case 'register': {
-        msg_str +=  ' src:' + common.rpad(msg.src, 10) + ' typ:' + msg.typ;
-        break;
+  // ### download
+  //
+  // Downloads the tarball of a module exact path from its source to the
+  // mirror. git modules are cloned and archived.
+  // ```
+  // @path {string} the module exact path
+  // @cb_  {function(err, file)}
+  // ```
+  download = function(path, cb_) {
+    var p = expand_path(path);
+    var get = function(url) {
+      var stream = request({
+        url: url,
+        headers: {
+          'User-Agent': 'Mozilla/5.0'
+        }
+      }).on('response', function(res) {
+        if(res.statusCode !== 200) {
+          stream.emit('error', common.err('Download error for ' + path + 
+                                          ': ' + res.statusCode,
+                                          'module_manager:download_error'));
+        }
+      });
+      return my.mirror.put_tarball(path, stream, cb_);
+    };
+    switch(p.type) {
+      case 'github': {
+        return get('https://api.github.com' + 
+                   '/repos/' + p.owner + '/' + p.name + '/tarball/' + p.tag);
       }
-      case 'unregister': {
-        msg_str +=  ' rid:' + msg.rid;
-        break;
+      case 'npm': {
+        return remote_refs(path, false, function(err, meta) {
+          if(err) {
+            return cb_(err);
+          }
+          var v = (meta.versions || {})[p.tag];
+          if(!v || !v.dist || !v.dist.tarball) {
+            return cb_(common.err('Version not found: ' + path,
+                                  'module_manager:invalid_path'));
+          }
+          return get(v.dist.tarball);
+        });
       }
-      case 'event': {
-        msg_str +=  ' typ:' + msg.typ;
-        break;
+      case 'git': {
+        var tmp = require('path').join(my.modules_path, 'extract', 
+                                       common.hash([path, Date.now()]));
+        var file = null;
+        return async.series([
+          function(cb_) {
+            child_process.execFile('git', ['clone', '--quiet', p.url, tmp], {
+              timeout: 1000 * 60 * 5
+            }, cb_);
+          },
+          function(cb_) {
+            child_process.execFile('git', ['checkout', '--quiet', 
+                                           p.tag, '--'], {
+              cwd: tmp
+            }, cb_);
+          },
+          function(cb_) {
+            child_process.execFile('git', ['archive', '--format=tar.gz', 
+                                           '--prefix=' + p.name + '/',
+                                           '-o', tmp + '.tgz', 'HEAD'], {
+              cwd: tmp
+            }, cb_);
+          },
+          function(cb_) {
+            my.mirror.put_tarball(path, fs.createReadStream(tmp + '.tgz'), 
+                                  function(err, f) {
+              file = f;
+              return cb_(err);
+            });
+          }
+        ], function(err) {
+          fs.remove(tmp, function() {
+            fs.remove(tmp + '.tgz', function() {
+              return cb_(err, file);
+            });
+          });
+        });
       }
-      case 'rpc_call': {
-        msg_str +=  ' dst:' + common.rpad(msg.dst, 10) + ' prc:' + msg.prc;
-        break;
+      case 'tarball': {
+        if(p.url) {
+          return get(p.location);
+        }
+        return my.mirror.put_tarball(path, fs.createReadStream(p.location), 
+                                     cb_);
       }
-      case 'rpc_reply': {
-        msg_str +=  ' dst:' + common.rpad(msg.dst, 10) + 
-                    ' prc:' + common.rpad(msg.prc, 20) + 
-                    ' oid:' + msg.oid;
-        break;
+      default: {
+        return cb_(common.err('Module cannot be mirrored: ' + path,
+                              'module_manager:invalid_path'));
       }
     }
+  };
 
-    if(common.MSG_DUMP) {
-      common.log.out('=================================================' +
-                     '=================================================');
+  // ### extract
+  //
+  // Extracts a gzipped tarball stream into the destination directory. The 
+  // top-level directory of the tarball is stripped.
+  // ```
+  // @stream {stream} the tarball stream
+  // @dst    {string} the destination directory
+  // @cb_    {function(err)}
+  // ```
+  extract = function(stream, dst, cb_) {
+    cb_ = common.once(cb_);
+    /* TODO(spolu): move to native `tar xfz` which is way faster? */
+    var gzip = zlib.createGunzip();
+    var tar = require('tar').Extract({ 
+      path: dst,
+      strip: 1
+    });
+    var fail = function(err) {
+      fs.remove(dst, function() {
+        return cb_(err);
+      });
+    };
+    stream
+      .on('error', fail)
+      .pipe(gzip)
+      .on('error', fail)
+      .pipe(tar)
+      .on('error', fail)
+      .on('end', cb_);
+  };
+
+  // ### fetch
+  //
+  // Downloads a module to the destination directory (which must not exist
+  // yet). The module is extracted from the mirror if it is mirrored.
+  // ```
+  // @path {string} the module path
+  // @dst  {string} the destination directory
+  // @cb_  {function(err)}
+  // ```
+  fetch = function(path, dst, cb_) {
+    if(!my.mirror) {
+      return fetch_upstream(path, dst, cb_);
     }
-    if(common.MSG_LOG || common.MSG_DUMP) {
-      common.log.out(msg_str);
-      if(msg.err) {
-        common.log.out('-------------------------------------------------' +
-                       '-------------------------------------------------');
-        common.log.out('ERROR');
-        common.log.out('-------------------------------------------------' +
-                       '-------------------------------------------------');
-        common.log.out(JSON.stringify(msg.err, null, 2));
-        common.log.out('-------------------------------------------------' +
-                       '-------------------------------------------------');
+    my.mirror.tarball(path, function(err, file) {
+      if(err) {
+        return cb_(err);
       }
-    }
-    if(common.MSG_DUMP) {
-      common.log.out('=================================================' +
-                     '=================================================');
-      common.log.out(JSON.stringify(msg, null, 2));
-      common.log.out('-------------------------------------------------' +
-                     '-------------------------------------------------');
-    }
-
-
-    switch(msg.hdr.typ) {
-      /* Modules register to each other events with the `register` message    */
-      /* type. It creates a registration for the module issuing this mesage   */
-      /* that will get tested against any event emitted. A `registration_id`  */
-      /* is created from the `message_id`. Registration `src` and `typ` must  */
-      /* string arguments to the RegExp object.                               */
-      /* ```                                                                  */
-      /* {                                                                    */
-      /*   hdr: { typ: 'register', src: 'mod_test', mid: 123, }               */
-      /*   src: '.*',                                                         */
-      /*   typ: 'state:.*',                                                   */
-      /* }                                                                    */
-      /* ```                                                                  */
-      case 'register': {
-        if(typeof msg.src === 'string' && typeof msg.typ === 'string') {
-          my.running_modules[msg.hdr.src].registrations.push({
-            source: new RegExp(msg.src),
-            type: new RegExp(msg.typ),
-            registration_id: msg.hdr.mid
-          });
-        }
-        break;
+      if(file) {
+        return extract(fs.createReadStream(file), dst, cb_);
       }
-      /* Modules delete created registrations with the `unregister` message   */
-      /* type.                                                                */
-      /* ```                                                                  */
-      /* {                                                                    */
-      /*   hdr: { typ: 'register', src: 'mod_test', mid: 137, }               */
-      /*   rid: 123                                                           */
-      /* }                                                                    */
-      /* ```                                                                  */
-      case 'unregister': {
-        if(typeof msg.rid === 'number') {
-          var registrations = my.running_modules[msg.hdr.src].registrations;
-          for(var i = registrations.length - 1; i >= 0; i --) {
-            if(registrations[i].registration_id === msg.rid) {
-              registrations.splice(i, 1);
-            }
+      return fetch_upstream(path, dst, cb_);
+    });
+  };
+
+  // ### fetch_upstream
+  //
+  // Downloads a module from its source to the destination directory
+  // ```
+  // @path {string} the module path
+  // @dst  {string} the destination directory
+  // @cb_  {function(err)}
+  // ```
+  fetch_upstream = function(path, dst, cb_) {
+    var p = expand_path(path);
+    switch(p.type) {
+      case 'github': {
+        return extract(request({
+          url: 'https://api.github.com' + 
+               '/repos/' + p.owner + '/' + p.name + '/tarball/' + p.tag,
+          headers: {
+            'User-Agent': 'Mozilla/5.0'
           }
-        }
-        break;
+        }), dst, cb_);
       }
-      /* Events are emitted by modules as messages with the `event` type.     */
-      /* They are then tested against each module registrations and           */ 
-      /* dispatched accordingly.                                              */
-      /* ```                                                                  */
-      /* {                                                                    */
-      /*   hdr: { typ: 'event', src: 'core', mid: 123, }                      */
-      /*   typ: 'state:change',                                               */
-      /*   evt: { ... }                                                       */
-      /* }                                                                    */
-      /* ```                                                                  */
-      case 'event': {
-        Object.keys(my.running_modules).forEach(function(name) {
-          my.running_modules[name].registrations.forEach(function(r) {
-            if(r.source.test(msg.hdr.src) &&
-               r.type.test(msg.typ) &&
-               my.running_modules[name].process) {
-              try {
-                my.running_modules[name].process.send(msg);
-              }
-              catch(err) {
-                common.log.error(err);
-              }
+      case 'npm': {
+        return remote_refs(path, false, function(err, meta) {
+          if(err) {
+            return cb_(err);
+          }
+          var v = (meta.versions || {})[p.tag];
+          if(!v || !v.dist || !v.dist.tarball) {
+            return cb_(common.err('Version not found: ' + path,
+                                  'module_manager:invalid_path'));
+          }
+          return extract(request({
+            url: v.dist.tarball,
+            headers: {
+              'User-Agent': 'Mozilla/5.0'
             }
-          });
+          }), dst, cb_);
         });
-        break;
       }
-      /* Modules perform remote procedure call by sending messages with the   */
-      /* `rpc_call` type. The message is then forwarded to the appropriate    */
-      /* module or handled here if it is targeted at the `core` module        */
-      /* ```                                                                  */
-      /* {                                                                    */
-      /*   hdr: { typ: 'rpc_call', src: 'mod_test', mid: 23 },                */
-      /*   dst: 'core',                                                       */
-      /*   prc: 'new_page',                                                   */
-      /*   arg: { ... }                                                       */
-      /* }                                                                    */
-      /* ```                                                                  */
-      case 'rpc_call': {
-        var inst_rpc_call = {
-          dst: msg.dst,
-          src: msg.hdr.src,
-          prc: msg.prc 
-        };
-        /* Instrumentation for stats reporting. */
-        setTimeout(function() {
-          core_emit('inst:rpc_call', inst_rpc_call);
-        });
-
-        /* All modules procedure handling. */
-        if(my.running_modules[msg.dst] && 
-           (my.running_modules[msg.hdr.src] || 
-            msg.hdr.src === my.core_module.name)) {
-          if(my.running_modules[msg.dst].process) {
-            try {
-              my.running_modules[msg.dst].process.send(msg);
-            }
-            catch(err) {
-              common.log.error(err);
-            }
-          }
-          else {
-            msg.err = {
-              msg: 'Module restarting: `' + msg.dst + '`',
-              nme: 'module_restarting'
-            };
-            setTimeout(function() {
-              dispatch(msg)
-            });
-          }
-        }
-        /* Core module procedure handling. */
-        else if(msg.dst === my.core_module.name) {
-          msg.oid = msg.hdr.mid;
-          msg.hdr.mid = ++my.core_module.message_id;
-          msg.hdr.typ = 'rpc_reply';
-          msg.dst = msg.hdr.src;
-          msg.hdr.src = my.core_module.name;
-          if(my.core_module.procedures[msg.prc]) {
-            my.core_module.procedures[msg.prc](msg.dst, msg.arg, 
-                                               function(err, res) {
-              if(err) {
-                msg.err = { msg: err.message, nme: err.name };
-              }
-              else {
-                msg.res = res;
-              }
-              setTimeout(function() {
-                dispatch(msg)
-              });
-            });
+      case 'git': {
+        return async.series([
+          function(cb_) {
+            mkdirp(require('path').dirname(dst), cb_);
+          },
+          function(cb_) {
+            child_process.execFile('git', ['clone', '--quiet', p.url, dst], {
+              timeout: 1000 * 60 * 5
+            }, cb_);
+          },
+          function(cb_) {
+            child_process.execFile('git', ['checkout', '--quiet', 
+                                           p.tag, '--'], {
+              cwd: dst
+            }, cb_);
           }
-          else {
-            msg.err = {
-              msg: 'Procedure not found: `' + msg.prc + '`',
-              nme: 'procedure_not_found'
-            };
-            setTimeout(function() {
-              dispatch(msg)
+        ], function(err) {
+          if(err) {
+            return fs.remove(dst, function() {
+              return cb_(err);
             });
           }
-        }
-        break;
+          return cb_();
+        });
       }
-      /* Modules reply to an `rpc_call` message with a `rpc_reply` message    */
-      /* type. The message payload is recycled and a `err` or `res` object is */
-      /* added to it along with `oid` field (original message id) equal to    */
-      /* the `mesage_id` of the original `rpc_call`.                          */
-      /* ```                                                                  */
-      /* {                                                                    */
-      /*   hdr: { typ: 'rpc_reply', src: 'core', mid: 248 },                  */
-      /*   dst: 'mod_test',                                                   */
-      /*   prc: 'new_page',                                                   */
-      /*   arg: { ... }                                                       */
-      /*   oid: 23,                                                           */
-      /*   err: { msg: '', nme: '' }                                          */
-      /*   res: { ... }                                                       */
-      /* }                                                                    */
-      /* ```                                                                  */
-      case 'rpc_reply': {
-        if(my.running_modules[msg.dst] && 
-           my.running_modules[msg.dst].process) {
-          try {
-            my.running_modules[msg.dst].process.send(msg);
-          }
-          catch(err) {
-            common.log.error(err);
-          }
-        }
-        /* Core module procedure reply handling. */
-        else if(msg.dst === my.core_module.name) {
-          var err = null;
-          if(msg.err) {
-            err = common.err(msg.err.msg, msg.err.name);
-          }
-          if(my.core_module.rpc_calls[msg.oid]) {
-            my.core_module.rpc_calls[msg.oid](err, msg.res);
-            delete my.core_module.rpc_calls[msg.oid];
+      case 'tarball': {
+        return extract(p.url ? request({
+          url: p.location,
+          headers: {
+            'User-Agent': 'Mozilla/5.0'
           }
-        }
-        break;
+        }) : fs.createReadStream(p.location), dst, cb_);
+      }
+      default: {
+        return cb_(common.err('Module cannot be fetched: ' + path,
+                              'module_manager:invalid_path'));
       }
     }
   };
 
-
-  /****************************************************************************/
-  /* PUBLIC CORE MODULE METHODS */
-  /****************************************************************************/
-  // ### core_expose
-  //
-  // Exposes a procedure on behalf of the core module
-  // ```
-  // @proc {string} procedure name
-  // @fun  {function(args, cb_)} the actual procedure
-  // ```
-  core_expose = function(proc, fun) {
-    my.core_module.procedures[proc] = fun;
-  };
-
-  // ### core_call
+  // ### stage
   //
-  // Exposes a way for the core module to call rpc methods on modules
+  // Downloads a module and installs its dependencies in a staging directory
+  // before swapping it to its storage path with a rename, so that an
+  // interrupted download or install never leaves a broken module in place. A
+  // version already stored at that path is kept as `{storage_path}.previous`.
+  // The module signature is verified before its dependencies are installed.
   // ```
-  // @dst  {string} the destination module name
-  // @proc {string} the procedure name
-  // @args {object} serializable JSON arguments
-  // @cb_  {function(err, res)} the callback when the rpc completes
+  // @path {string} the module path
+  // @cb_  {function(err, signature)}
   // ```
-  core_call = function(dst, proc, args, cb_) {
-    //console.log('`core_call`: ' + name + ' ' + JSON.stringify(args));
-    dispatch({
-      hdr: { 
-        typ: 'rpc_call', 
-        src: my.core_module.name, 
-        mid: ++my.core_module.message_id,
-        ver: my.VERSION
+  stage = function(path, cb_) {
+    var dst = storage_path(path);
+    var staging = dst + '.staging';
+    var result = null;
+    async.series([
+      /* Left over by an interrupted update. */
+      function(cb_) {
+        fs.remove(staging, cb_);
       },
-      dst: dst,
-      prc: proc,
-      arg: args
+      function(cb_) {
+        fetch(path, staging, cb_);
+      },
+      function(cb_) {
+        check_signature(path, staging, function(err, r) {
+          result = r;
+          return cb_(err);
+        });
+      },
+      function(cb_) {
+        npm.commands.install(staging, [], function(err) {
+          return cb_(err);
+        });
+      },
+      function(cb_) {
+        module_util.swap_staged(staging, dst, cb_);
+      }
+    ], function(err) {
+      if(err) {
+        return fs.remove(staging, function() {
+          return cb_(err, result);
+        });
+      }
+      return cb_(null, result);
     });
-    my.core_module.rpc_calls[my.core_module.message_id] = cb_;
   };
 
-  // ### core_emit
+  // ### signature_data
   //
-  // Emits an event on behalf of the core module
+  // Retrieves the armored signature of a module (null if the module is not
+  // signed). The mirror is consulted first unless `upstream` is set.
   // ```
-  // @type  {string} event type
-  // @event {object} serializable object
+  // @path     {string} the module exact path
+  // @dir      {string} the directory the module was downloaded to
+  // @upstream {boolean} bypass the mirror
+  // @cb_      {function(err, data)}
   // ```
-  core_emit = function(type, event) {
-    //console.log('`core_emit`: ' + type + ' ' + JSON.stringify(event));
-    dispatch({
-      hdr: { 
-        typ: 'event', 
-        src: my.core_module.name, 
-        mid: ++my.core_module.message_id,
-        ver: my.VERSION
-      },
-      typ: type,
+  signature_data = function(path, dir, upstream, cb_) {
+    var p = expand_path(path);
+    var get = function(url, optional) {
+      request({
+        url: url,
+        headers: {
+          'User-Agent': 'Mozilla/5.0'
+        }
+      }, function(err, res, body) {
+        if(err) {
+          return cb_(err);
+        }
+        if(optional && res.statusCode === 404) {
+          return cb_(null, null);
+        }
+        if(res.statusCode !== 200) {
+          return cb_(common.err('Signature error for ' + path + ': ' + 
+                                res.statusCode,
+                                'module_manager:signature_error'));
+        }
+        return cb_(null, body);
+      });
+    };
+    var from_source = function() {
+      fs.readFile(require('path').join(dir, 'package.json'), 
+                  function(err, data) {
+        if(err) {
+          return cb_(err);
+        }
+        var json = null;
+        try {
+          json = JSON.parse(data);
+        }
+        catch(err) {
+          return cb_(err);
+        }
+        var url = json.breach && json.breach.signature;
+        if(typeof url === 'string') {
+          if(!/^https?\:\/\//.test(url)) {
+            return cb_(common.err('Invalid signature url: ' + url,
+                                  'module_manager:signature_error'));
+          }
+          return get(url, false);
+        }
+        if(p.type === 'tarball' && p.url) {
+          return get(p.location + '.asc', true);
+        }
+        if(p.type === 'tarball') {
+          return fs.readFile(p.location + '.asc', 'utf8', function(err, data) {
+            if(err && err.code === 'ENOENT') {
+              return cb_(null, null);
+            }
+            return cb_(err, data);
+          });
+        }
+        return cb_(null, null);
+      });
+    };
+    if(!my.mirror || upstream) {
+      return from_source();
+    }
+    my.mirror.signature(path, function(err, data) {
+      if(err) {
+        return cb_(err);
+      }
+      if(data) {
+        return cb_(null, data);
+      }
+      return from_source();
+    });
+  };
+
+  // ### verify_signature
+  //
+  // Verifies the signature of a module downloaded to a directory against the
+  // session keyring. The result `status` is `valid`, `invalid` (with an
+  // `error`) or `unsigned`.
+  // ```
+  // @path {string} the module exact path
+  // @dir  {string} the directory the module was downloaded to
+  // @cb_  {function(err, result)}
+  // ```
+  verify_signature = function(path, dir, cb_) {
+    var result = {
+      status: 'unsigned',
+      signer: null,
+      hash: null,
+      error: null,
+      date: Date.now()
+    };
+    module_util.tree_hash(dir, function(err, hash) {
+      if(err) {
+        return cb_(err);
+      }
+      result.hash = hash;
+      signature_data(path, dir, false, function(err, data) {
+        if(err) {
+          result.status = 'invalid';
+          result.error = err.message;
+          return cb_(null, result);
+        }
+        if(!data) {
+          return cb_(null, result);
+        }
+        var sig = null;
+        try {
+          sig = signature.verify_cleartext(
+            data, signature.valid_keys(signature.keyring(my.keyring_path)));
+        }
+        catch(err) {
+          result.status = 'invalid';
+          result.error = err.message;
+          return cb_(null, result);
+        }
+        if(sig.text.trim().split(/\s+/)[0] !== hash) {
+          result.status = 'invalid';
+          result.error = 'Signed hash mismatch';
+          return cb_(null, result);
+        }
+        result.status = 'valid';
+        result.signer = sig.signer ? signature.describe_key(sig.signer) : null;
+        return cb_(null, result);
+      });
+    });
+  };
+
+  // ### signature_error
+  //
+  // Returns the error to raise for a signature verification result given the
+  // signature policy (null if the module can be installed)
+  // ```
+  // @policy {string} the signature policy
+  // @path   {string} the module path
+  // @result {object} the signature verification result
+  // ```
+  signature_error = function(policy, path, result) {
+    if(policy !== 'require' || !result || result.status === 'valid') {
+      return null;
+    }
+    return common.err('Valid signature required for module: ' + path + 
+                      ' [' + result.status + ']',
+                      'module_manager:signature_required');
+  };
+
+  // ### check_signature
+  //
+  // Verifies the signature of a module according to the session signature
+  // policy. The result is null if the policy is `off` or the module local.
+  // ```
+  // @path {string} the module exact path
+  // @dir  {string} the directory the module was downloaded to
+  // @cb_  {function(err, result)}
+  // ```
+  check_signature = function(path, dir, cb_) {
+    signature_config(function(err, config) {
+      if(err) {
+        return cb_(err);
+      }
+      if(config.policy === 'off' || expand_path(path).type === 'local') {
+        return cb_(null, null);
+      }
+      verify_signature(path, dir, function(err, result) {
+        if(err) {
+          return cb_(err);
+        }
+        if(result.status !== 'valid') {
+          common.log.out('[module_manager] Signature ' + result.status + 
+                         ' for ' + path + 
+                         (result.error ? ': ' + result.error : ''));
+        }
+        return cb_(signature_error(config.policy, path, result), result);
+      });
+    });
+  };
+
+  // ### reset_signatures
+  //
+  // Clears the recorded signature verification results (the keyring changed)
+  // so that modules are verified again on their next install.
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  reset_signatures = function(cb_) {
+    my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+      if(err) {
+        return cb_(err);
+      }
+      async.eachSeries(Object.keys(modules), function(p, cb_) {
+        if(!modules[p].signature) {
+          return cb_();
+        }
+        my.gig.push('core', 'module', my.gig_path, {
+          type: 'set',
+          path: p,
+          key: 'signature',
+          value: null
+        }, cb_);
+      }, cb_);
+    });
+  };
+
+  // ### init_module
+  //
+  // Calls the `init` procedure on a freshly spawned module. Once initialized,
+  // the module is started unless `run_modules` is still initializing other
+  // modules in which case `start` is deferred.
+  // ```
+  // @name {string} the module name
+  // ```
+  init_module = function(name) {
+    core_call(name, 'init', null, function(err) {
+      if(!my.running_modules[name]) {
+        return;
+      }
+      if(err) {
+        common.log.out('[module_manager] Module `init` failed: ' + name);
+        common.log.error(err);
+      }
+      my.running_modules[name].initialized = true;
+      flush_init(name);
+      if(!my.holding_start) {
+        start_module(name, function() {});
+      }
+    });
+  };
+
+  // ### start_module
+  //
+  // Calls the `start` procedure on an initialized module. Modules that do not
+  // expose `start` are considered started.
+  // ```
+  // @name {string} the module name
+  // @cb_  {function(err)}
+  // ```
+  start_module = function(name, cb_) {
+    core_call(name, 'start', null, function(err) {
+      if(err && err.name !== 'breach_module:procedure_unknown') {
+        common.log.out('[module_manager] Module `start` failed: ' + name);
+        common.log.error(err);
+      }
+      if(my.running_modules[name]) {
+        my.running_modules[name].started = true;
+        that.emit('state_change', { name: name });
+      }
+      return cb_();
+    });
+  };
+
+  // ### flush_init
+  //
+  // Calls the callbacks waiting for the module to be initialized.
+  // ```
+  // @name {string} the module name
+  // ```
+  flush_init = function(name) {
+    if(my.running_modules[name]) {
+      var callbacks = my.running_modules[name].init_callbacks;
+      my.running_modules[name].init_callbacks = [];
+      callbacks.forEach(function(cb_) {
+        return cb_();
+      });
+    }
+  };
+
+  // ### restart_policy
+  //
+  // Computes the restart policy of a module by merging its recorded policy
+  // with the default `RESTART_POLICY`
+  // ```
+  // @module {object} the module record
+  // ```
+  restart_policy = function(module) {
+    return module_util.restart_policy(my.RESTART_POLICY, 
+                                      module.restart_policy);
+  };
+
+  // ### crash_report
+  //
+  // Builds a crash report for a module that exited, including the tail of its
+  // output file if available.
+  // ```
+  // @module {object} the module record
+  // @code   {number} the exit code
+  // @signal {string} the signal that terminated the process
+  // @cb_    {function(err, report)}
+  // ```
+  crash_report = function(module, code, signal, cb_) {
+    var report = {
+      name: module.name,
+      path: module.path,
+      version: module.version,
+      code: code,
+      signal: signal,
+      date: Date.now(),
+      uptime: my.running_modules[module.name] ? 
+        (Date.now() - my.running_modules[module.name].started_at) : null,
+      out: null
+    };
+    if(!my.out_path) {
+      return cb_(null, report);
+    }
+    var out = require('path').join(my.out_path, module.name + '.out');
+    fs.stat(out, function(err, stat) {
+      if(err) {
+        return cb_(null, report);
+      }
+      var tail = '';
+      fs.createReadStream(out, { 
+        encoding: 'utf8',
+        start: Math.max(0, stat.size - my.CRASH_TAIL_SIZE) 
+      }).on('data', function(data) {
+        tail += data;
+      }).on('error', function(err) {
+        return cb_(null, report);
+      }).on('end', function() {
+        report.out = tail;
+        return cb_(null, report);
+      });
+    });
+  };
+
+  // ### health_check
+  //
+  // Periodically triggered to ping running modules. Modules replying (even
+  // with an error) are healthy, modules missing `max_missed` consecutive pings
+  // (restart policy) are marked as `unresponsive` (and rolled back if their
+  // update is not confirmed yet).
+  health_check = function() {
+    Object.keys(my.running_modules).forEach(function(name) {
+      var r = my.running_modules[name];
+      if(!r.process || !r.initialized || r.pinging) {
+        return;
+      }
+      var p = r.process;
+      var date = Date.now();
+      r.pinging = true;
+      r.health.last_ping = date;
+      ping_module(name, my.HEALTH_FREQUENCY, function(err) {
+        r.pinging = false;
+        if(r.process !== p) {
+          /* The module exited or was restarted in the meantime. */
+          return;
+        }
+        var changed = module_util.record_ping(r.health, date, 
+                                              err && err.name === 'rpc_timeout',
+                                              restart_policy(r).max_missed);
+        if(!changed) {
+          return;
+        }
+        that.emit('state_change', { name: name });
+        if(r.health.status !== 'unresponsive') {
+          return;
+        }
+        common.log.out('[module_manager] Module unresponsive: ' + name);
+        core_emit('modules:unresponsive', {
+          name: name,
+          path: r.path,
+          missed: r.health.missed
+        });
+        if(r.trial) {
+          /* A freshly updated module is rolled back instead. */
+          r.trial = false;
+          clearTimeout(r.trial_itv);
+          rollback(name, 'unresponsive', function(err) {
+            if(err) {
+              common.log.error(err);
+            }
+          });
+        }
+        else if(restart_policy(r).restart_unresponsive) {
+          common.log.out('[module_manager] Killing unresponsive: ' + name);
+          r.kill_reason = 'unresponsive';
+          p.kill('SIGKILL');
+        }
+      });
+    });
+  };
+
+  // ### ping_module
+  //
+  // Calls the `ping` procedure of a module. The `rpc_call` is sent directly to
+  // the module process instead of going through `dispatch` so that health
+  // checks do not show up in the message logs, bus traces and module stats.
+  // ```
+  // @name    {string} the module name
+  // @timeout {number} time after which the ping is cancelled
+  // @cb_     {function(err)}
+  // ```
+  ping_module = function(name, timeout, cb_) {
+    var r = my.running_modules[name];
+    var mid = ++my.core_module.message_id;
+    var send = function(msg) {
+      try {
+        r.process.send(msg);
+        return null;
+      }
+      catch(err) {
+        return err;
+      }
+    };
+
+    my.core_module.pings[mid] = {
+      cb_: cb_,
+      itv: setTimeout(function() {
+        if(!my.core_module.pings[mid]) {
+          return;
+        }
+        delete my.core_module.pings[mid];
+        if(r.process) {
+          send({
+            hdr: {
+              typ: 'cancel',
+              src: my.core_module.name,
+              mid: ++my.core_module.message_id,
+              ver: my.VERSION
+            },
+            dst: name,
+            oid: mid
+          });
+        }
+        return cb_(common.err('RPC timeout: `ping` on `' + name + 
+                              '` after ' + timeout + 'ms',
+                              'rpc_timeout'));
+      }, timeout)
+    };
+
+    var err = send({
+      hdr: {
+        typ: 'rpc_call',
+        src: my.core_module.name,
+        mid: mid,
+        ver: my.VERSION
+      },
+      dst: name,
+      prc: 'ping',
+      arg: null
+    });
+    if(err) {
+      /* The ping times out as if it was lost. */
+      common.log.error(err);
+    }
+  };
+
+  // ### ping_reply
+  //
+  // Handles the reply to a ping sent with `ping_module`
+  // ```
+  // @msg {object} the `rpc_reply` message received from the module
+  // ```
+  ping_reply = function(msg) {
+    var c = my.core_module.pings[msg.oid];
+    delete my.core_module.pings[msg.oid];
+    clearTimeout(c.itv);
+    return c.cb_(msg.err ? common.err(msg.err.msg, msg.err.nme) : null);
+  };
+
+  // ### limit_exceeded
+  //
+  // Kills a module process that exceeded one of its resource limits. The
+  // module is then restarted according to its restart policy.
+  // ```
+  // @name  {string} the module name
+  // @limit {string} the limit exceeded (`memory` or `cpu`)
+  // @value {number} the sampled value
+  // ```
+  limit_exceeded = function(name, limit, value) {
+    var r = my.running_modules[name];
+    common.log.out('[module_manager] Module exceeded its ' + limit + 
+                   ' limit: ' + name + ' [' + value + '/' + 
+                   r.limits[limit] + ']');
+    core_emit('modules:limit_exceeded', {
+      name: name,
+      path: r.path,
+      limit: limit,
+      max: r.limits[limit],
+      value: value
+    });
+    r.kill_reason = limit + '_limit';
+    r.process.kill('SIGKILL');
+  };
+
+  // ### rollback
+  //
+  // Rolls back a module that was updated but failed (crashed or became
+  // unresponsive) before its update was confirmed. The module record it was
+  // updated from is restored and the module is run again. The failed path is
+  // recorded so that `update` does not retry it (in-place `#master` and
+  // tarball updates restore their `.previous` copy but are not recorded).
+  // ```
+  // @name   {string} the module name
+  // @reason {string} the reason of the rollback
+  // @cb_    {function(err, module)}
+  // ```
+  rollback = function(name, reason, cb_) {
+    var module = null;
+    var previous = null;
+    async.series([
+      /* Check that the module exists and has a previous version. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          Object.keys(modules).forEach(function(p) {
+            if(modules[p].name === name) {
+              module = modules[p];
+            }
+          });
+          if(!module || !module.previous) {
+            return cb_(common.err('No previous version for module: ' + name,
+                                  'module_manager:no_previous_version'));
+          }
+          previous = module_util.rollback_record(module);
+          return cb_();
+        });
+      },
+      /* Kill the module if it is still running. */
+      function(cb_) {
+        if(my.running_modules[name]) {
+          return kill_module(module.path, function(err) {
+            return cb_(err);
+          });
+        }
+        return cb_();
+      },
+      /* Restore the previous copy of modules updated in place, or remove */
+      /* the version rolled back from.                                     */
+      function(cb_) {
+        var dst = storage_path(module.path);
+        if(module.path !== previous.path) {
+          if(expand_path(module.path).type === 'local') {
+            return cb_();
+          }
+          return fs.remove(dst, cb_);
+        }
+        module_util.restore_previous(dst, cb_);
+      },
+      function(cb_) {
+        common.log.out('[module_manager] Rolling back ' + module.path + 
+                       ' [' + module.version + '] to ' + previous.path + 
+                       ' [' + previous.version + ']: ' + reason);
+        my.gig.push('core', 'module', my.gig_path, {
+          type: 'add',
+          module: previous
+        }, cb_);
+      },
+      function(cb_) {
+        core_emit('modules:rolled_back', {
+          name: name,
+          path: module.path,
+          version: module.version,
+          previous: previous.path,
+          previous_version: previous.version,
+          reason: reason
+        });
+        run_module(previous.path, cb_);
+      }
+    ], function(err) {
+      return cb_(err, previous);
+    });
+  };
+
+  // ### watch_module
+  //
+  // Watches the directory of a running `local:` module with hot reload
+  // enabled (`node_modules` and `.git` excepted). The module is reloaded once
+  // no change happened for `HOT_RELOAD_DEBOUNCE` ms.
+  // ```
+  // @module {object} the module record
+  // ```
+  watch_module = function(module) {
+    if(my.watchers[module.name]) {
+      return;
+    }
+    var root = storage_path(module.path);
+    var w = my.watchers[module.name] = {
+      path: module.path,
+      watchers: [],
+      files: {},
+      itv: null
+    };
+    var watch = function(dir) {
+      var watcher = null;
+      try {
+        watcher = fs.watch(dir, function(event, file) {
+          file = module_util.watched_file(root, dir, file);
+          if(my.watchers[module.name] !== w || !file) {
+            return;
+          }
+          w.files[file] = true;
+          clearTimeout(w.itv);
+          w.itv = setTimeout(function() {
+            var files = Object.keys(w.files);
+            w.files = {};
+            reload_module(module.name, files);
+          }, my.HOT_RELOAD_DEBOUNCE);
+        });
+      }
+      catch(err) {
+        return common.log.error(err);
+      }
+      /* A watched directory being removed errors on some platforms. */
+      watcher.on('error', function(err) {
+        common.log.error(err);
+      });
+      w.watchers.push(watcher);
+      fs.readdir(dir, function(err, entries) {
+        if(err || my.watchers[module.name] !== w) {
+          return;
+        }
+        entries.forEach(function(e) {
+          var p = require('path').join(dir, e);
+          if(!module_util.watched_file(root, dir, e)) {
+            return;
+          }
+          fs.stat(p, function(err, stat) {
+            if(!err && stat.isDirectory() && my.watchers[module.name] === w) {
+              watch(p);
+            }
+          });
+        });
+      });
+    };
+    common.log.out('[module_manager] Watching: ' + module.name + 
+                   ' [' + root + ']');
+    watch(root);
+  };
+
+  // ### unwatch_module
+  //
+  // Stops watching the directory of a module
+  // ```
+  // @name {string} the module name
+  // ```
+  unwatch_module = function(name) {
+    var w = my.watchers[name];
+    if(!w) {
+      return;
+    }
+    clearTimeout(w.itv);
+    w.watchers.forEach(function(watcher) {
+      watcher.close();
+    });
+    delete my.watchers[name];
+  };
+
+  // ### reload_module
+  //
+  // Reloads a watched module after a change: the module is killed (if still
+  // running) and run again. `kill_module` stops the watcher and `run_module`
+  // starts a new one so that new directories are watched as well. If the
+  // module fails to run, the watcher is started again so that the next change
+  // triggers a new reload.
+  // ```
+  // @name  {string} the module name
+  // @files {array} the files changed (relative to the module directory)
+  // ```
+  reload_module = function(name, files) {
+    var w = my.watchers[name];
+    if(!w) {
+      return;
+    }
+    common.log.out('[module_manager] Reloading: ' + name + 
+                   ' [' + files.join(', ') + ']');
+    async.series([
+      function(cb_) {
+        if(my.running_modules[name]) {
+          return kill_module(w.path, cb_);
+        }
+        return cb_();
+      },
+      function(cb_) {
+        run_module(w.path, cb_);
+      }
+    ], function(err) {
+      if(err) {
+        common.log.error(err);
+        my.gig.get('core', 'module', my.gig_path, function(e, modules) {
+          /* Hot reload may have been disabled meanwhile. */
+          if(!e && modules[w.path] && modules[w.path].hot_reload) {
+            watch_module(modules[w.path]);
+          }
+        });
+      }
+      core_emit('modules:reloaded', {
+        name: name,
+        path: w.path,
+        files: files,
+        error: err ? { msg: err.message, nme: err.name } : null
+      });
+    });
+  };
+
+  // ### sample_stats
+  //
+  // Periodically triggered to sample the memory (resident set size in MB) and
+  // cpu usage (percent of one core since the last sample) of running modules
+  // from `/proc` and enforce their limits. Sampling is silently skipped where
+  // `/proc` is not available. `stats_change` is only emitted if the stats
+  // changed since they were last reported.
+  sample_stats = function() {
+    async.each(Object.keys(my.running_modules), function(name, cb_) {
+      var r = my.running_modules[name];
+      if(!r.process) {
+        return cb_();
+      }
+      var p = r.process;
+      var proc = '/proc/' + p.pid;
+      async.parallel({
+        stat: function(cb_) {
+          fs.readFile(proc + '/stat', 'utf8', cb_);
+        },
+        status: function(cb_) {
+          fs.readFile(proc + '/status', 'utf8', cb_);
+        }
+      }, function(err, res) {
+        if(err || r.process !== p) {
+          return cb_();
+        }
+        var date = Date.now();
+        var sample = module_util.proc_stats(res.stat, res.status);
+
+        if(sample.memory !== null) {
+          r.stats.memory = sample.memory;
+        }
+        if(r.stats.ticks !== null && r.stats.sampled_at !== null) {
+          r.stats.cpu = Math.round(((sample.ticks - r.stats.ticks) / 
+                                    my.CLOCK_TICKS) / 
+                                   ((date - r.stats.sampled_at) / 1000) * 100);
+        }
+        r.stats.ticks = sample.ticks;
+        r.stats.sampled_at = date;
+
+        if(r.limits && typeof r.limits.cpu === 'number' && 
+           r.stats.cpu !== null && r.stats.cpu > r.limits.cpu) {
+          r.stats.over++;
+        }
+        else {
+          r.stats.over = 0;
+        }
+
+        if(r.limits && typeof r.limits.memory === 'number' &&
+           r.stats.memory !== null && r.stats.memory > r.limits.memory) {
+          limit_exceeded(name, 'memory', r.stats.memory);
+        }
+        else if(r.stats.over >= my.STATS_MAX_OVER) {
+          limit_exceeded(name, 'cpu', r.stats.cpu);
+        }
+        return cb_();
+      });
+    }, function() {
+      var current = {};
+      Object.keys(my.running_modules).forEach(function(name) {
+        var st = my.running_modules[name].stats;
+        current[name] = [ st.memory, st.cpu, st.msg_in, st.msg_out,
+                          st.rpc_calls, st.rpc_latency, st.rpc_latency_max ];
+      });
+      current = JSON.stringify(current);
+      if(current !== my.stats_last) {
+        my.stats_last = current;
+        that.emit('stats_change');
+      }
+    });
+  };
+
+  // ### has_capability
+  //
+  // Tests whether the running module denoted by name was granted the given
+  // capability. Modules without recorded permissions (added before permissions
+  // were introduced) are granted `module_util.LEGACY_PERMISSIONS` and the
+  // `core` module all capabilities.
+  // ```
+  // @name       {string} the module name
+  // @capability {string} the capability to test (null for none required)
+  // ```
+  has_capability = function(name, capability) {
+    if(!capability || name === my.core_module.name) {
+      return true;
+    }
+    if(!my.running_modules[name]) {
+      return false;
+    }
+    return module_util.has_capability(my.running_modules[name].permissions,
+                                      capability);
+  };
+
+  // ### event_capability
+  //
+  // Computes the capability required to receive an event emitted by the `core`
+  // module: `{namespace}:events` where the namespace is the event type prefix.
+  // ```
+  // @type {string} the event type (`tabs:state`)
+  // ```
+  event_capability = function(type) {
+    return type.split(':')[0] + ':events';
+  };
+
+  // ### auto_update
+  //
+  // Periodically triggered to auto-update modules.
+  auto_update = function() {
+    async.waterfall([
+      /* Check that the module exists. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, cb_);
+      },
+      function(modules, cb_) {
+        async.eachSeries(Object.keys(modules), function(m, cb_) {
+          if(modules[m]) {
+            common.log.out('[module_manager] Attempting auto_update of: ' + 
+                           modules[m].path);
+            /* Updates are staged and swapped in place once installed, and */
+            /* rolled back if the new version fails (see `update`).        */
+            update(modules[m].path, cb_);
+          }
+          else {
+            /* The modules object may have been altered by a module update. */
+            return cb_();
+          }
+        }, cb_);
+      }
+    ], function(err) {
+      if(err) {
+        common.log.error(err);
+      }
+    });
+  };
+
+
+  /****************************************************************************/
+  /* MESSAGE DISPATCH */
+  /****************************************************************************/
+  // ### dispatch
+  //
+  // Dispatches a message received from a module to where it is supposed to go
+  // There are three types of messages: 
+  // `event`      : event emitted and dispatched to registered modules
+  // `register`   : registers for some events
+  // `unregister` : unregisters an existing registration
+  // `rpc_call`   : remote procedure call directed to a module
+  // `rpc_reply`  : reply from a remote procedure call
+  // `cancel`     : cancellation of a pending remote procedure call
+  // `interface`  : advertisement of the procedures and events of a module
+  // `register_error` : refusal of a registration
+  // ```
+  // @msg {object} the message to dispatch
+  // ```
+  dispatch = function(msg) {
+    if(!msg || !msg.hdr || 
+       typeof msg.hdr.typ !== 'string' ||
+       typeof msg.hdr.src !== 'string' ||
+       typeof msg.hdr.mid !== 'number' ||
+       typeof msg.hdr.ver !== 'string' ||
+       (!my.running_modules[msg.hdr.src] && 
+        msg.hdr.src !== my.core_module.name)) {
+      /* We ignore the message. */
+      common.log.out('IGNORED: ' + JSON.stringify(msg, null, 2));
+      return;
+    }
+    if(my.running_modules[msg.hdr.src] && 
+       my.running_modules[msg.hdr.src].stats) {
+      my.running_modules[msg.hdr.src].stats.msg_out++;
+    }
+    if(common.msg_trace) {
+      common.msg_trace.record(msg);
+    }
+    /* Listeners are called synchronously, before the message gets recycled. */
+    that.emit('message', msg);
+
+    var msg_str = '[(' + common.rpad(msg.hdr.src, 10) + ') > ' + 
+                   '(' + common.rpad(msg.dst || '', 10)  + ')] ' +
+                  ' {' + common.rpad(msg.hdr.typ, 10) + '[' + msg.hdr.mid + ']}';
+    switch(msg.hdr.typ) {
+      case 'register': {
+        msg_str +=  ' src:' + common.rpad(msg.src, 10) + ' typ:' + msg.typ;
+        break;
+      }
+      case 'unregister': {
+        msg_str +=  ' rid:' + msg.rid;
+        break;
+      }
+      case 'event': {
+        msg_str +=  ' typ:' + msg.typ;
+        break;
+      }
+      case 'rpc_call': {
+        msg_str +=  ' dst:' + common.rpad(msg.dst, 10) + ' prc:' + msg.prc;
+        break;
+      }
+      case 'rpc_reply': {
+        msg_str +=  ' dst:' + common.rpad(msg.dst, 10) + 
+                    ' prc:' + common.rpad(msg.prc, 20) + 
+                    ' oid:' + msg.oid;
+        break;
+      }
+      case 'cancel':
+      case 'register_error': {
+        msg_str +=  ' dst:' + common.rpad(msg.dst, 10) + ' oid:' + msg.oid;
+        break;
+      }
+      case 'interface': {
+        msg_str +=  ' prc:' + Object.keys(msg.prc || {}).length + 
+                    ' evt:' + Object.keys(msg.evt || {}).length;
+        break;
+      }
+    }
+
+    if(common.MSG_DUMP) {
+      common.log.out('=================================================' +
+                     '=================================================');
+    }
+    if(common.MSG_LOG || common.MSG_DUMP) {
+      common.log.out(msg_str);
+      if(msg.err) {
+        common.log.out('-------------------------------------------------' +
+                       '-------------------------------------------------');
+        common.log.out('ERROR');
+        common.log.out('-------------------------------------------------' +
+                       '-------------------------------------------------');
+        common.log.out(JSON.stringify(msg.err, null, 2));
+        common.log.out('-------------------------------------------------' +
+                       '-------------------------------------------------');
+      }
+    }
+    if(common.MSG_DUMP) {
+      common.log.out('=================================================' +
+                     '=================================================');
+      common.log.out(JSON.stringify(msg, null, 2));
+      common.log.out('-------------------------------------------------' +
+                     '-------------------------------------------------');
+    }
+
+
+    switch(msg.hdr.typ) {
+      /* Modules register to each other events with the `register` message    */
+      /* type. It creates a registration for the module issuing this mesage   */
+      /* that will get tested against any event emitted. A `registration_id`  */
+      /* is created from the `message_id`. Registration `src` and `typ` must  */
+      /* string arguments to the RegExp object.                               */
+      /* Registrations explicitly targeting a `core` event namespace the      */
+      /* module was not granted (`{namespace}:events`) are denied. Other      */
+      /* registrations are kept but `core` events are filtered on delivery.   */
+      /* Refused registrations are answered with a `register_error`.          */
+      /* Registrations accept optional fields:                                */
+      /* - `flt` a payload filter: list of predicates on the event payload    */
+      /*   paths that must all match (see `common.match_filter`)              */
+      /* - `onc` to remove the registration after its first match             */
+      /* - `rte` a max rate (events per second), bursts being coalesced to    */
+      /*   the last event (by source and type) delivered at the end of the    */
+      /*   interval                                                           */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'register', src: 'mod_test', mid: 123, }               */
+      /*   src: '.*',                                                         */
+      /*   typ: 'state:.*',                                                   */
+      /*   flt: [{ pth: 'tab.id', eq: '1-2' }, { pth: 'url', ex: true }],     */
+      /*   onc: false,                                                        */
+      /*   rte: 10                                                            */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'register': {
+        if(typeof msg.src === 'string' && typeof msg.typ === 'string') {
+          var ns_m = /^\^?([a-zA-Z0-9_]+)\:/.exec(msg.typ);
+          if(ns_m && new RegExp(msg.src).test(my.core_module.name) &&
+             !has_capability(msg.hdr.src, ns_m[1] + ':events')) {
+            register_error(msg, common.err('Permission denied: `' + 
+                                           msg.typ + '` requires `' + 
+                                           ns_m[1] + ':events`',
+                                           'permission_denied'));
+            break;
+          }
+          if(typeof msg.flt !== 'undefined' && msg.flt !== null &&
+             !common.valid_filter(msg.flt)) {
+            register_error(msg, common.err('Invalid filter: ' + 
+                                           JSON.stringify(msg.flt),
+                                           'module_manager:invalid_filter'));
+            break;
+          }
+          if(typeof msg.rte !== 'undefined' && msg.rte !== null &&
+             (typeof msg.rte !== 'number' || msg.rte <= 0)) {
+            register_error(msg, common.err('Invalid rate: ' + msg.rte,
+                                           'module_manager:invalid_rate'));
+            break;
+          }
+          my.running_modules[msg.hdr.src].registrations.push({
+            source: new RegExp(msg.src),
+            type: new RegExp(msg.typ),
+            registration_id: msg.hdr.mid,
+            filter: msg.flt || null,
+            once: msg.onc === true,
+            rate: msg.rte || null,
+            last: {},
+            coalesced: {}
+          });
+        }
+        break;
+      }
+      /* Modules delete created registrations with the `unregister` message   */
+      /* type.                                                                */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'register', src: 'mod_test', mid: 137, }               */
+      /*   rid: 123                                                           */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'unregister': {
+        if(typeof msg.rid === 'number') {
+          var registrations = my.running_modules[msg.hdr.src].registrations;
+          for(var i = registrations.length - 1; i >= 0; i --) {
+            if(registrations[i].registration_id === msg.rid) {
+              Object.keys(registrations[i].coalesced).forEach(function(k) {
+                clearTimeout(registrations[i].coalesced[k].itv);
+              });
+              registrations.splice(i, 1);
+            }
+          }
+        }
+        break;
+      }
+      /* Events are emitted by modules as messages with the `event` type.     */
+      /* They are then tested against each module registrations and           */ 
+      /* dispatched accordingly.                                              */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'event', src: 'core', mid: 123, }                      */
+      /*   typ: 'state:change',                                               */
+      /*   evt: { ... }                                                       */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'event': {
+        Object.keys(my.running_modules).forEach(function(name) {
+          var registrations = my.running_modules[name].registrations;
+          /* Iterating on a copy as `once` registrations get removed. */
+          registrations.slice().forEach(function(r) {
+            if(r.source.test(msg.hdr.src) &&
+               r.type.test(msg.typ) &&
+               my.running_modules[name].process &&
+               (msg.hdr.src !== my.core_module.name ||
+                has_capability(name, event_capability(msg.typ))) &&
+               (!r.filter || common.match_filter(r.filter, msg.evt))) {
+              if(r.once) {
+                common.remove(registrations, r, true);
+              }
+              deliver_event(name, r, msg);
+            }
+          });
+        });
+        break;
+      }
+      /* Modules perform remote procedure call by sending messages with the   */
+      /* `rpc_call` type. The message is then forwarded to the appropriate    */
+      /* module or handled here if it is targeted at the `core` module        */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'rpc_call', src: 'mod_test', mid: 23 },                */
+      /*   dst: 'core',                                                       */
+      /*   prc: 'new_page',                                                   */
+      /*   arg: { ... }                                                       */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'rpc_call': {
+        var inst_rpc_call = {
+          dst: msg.dst,
+          src: msg.hdr.src,
+          prc: msg.prc 
+        };
+        /* Instrumentation for stats reporting. */
+        setTimeout(function() {
+          core_emit('inst:rpc_call', inst_rpc_call);
+        });
+
+        /* All modules procedure handling. */
+        if(my.running_modules[msg.dst] && 
+           (my.running_modules[msg.hdr.src] || 
+            msg.hdr.src === my.core_module.name)) {
+          if(my.running_modules[msg.dst].process) {
+            my.rpc_pending[msg.hdr.src + ':' + msg.hdr.mid] = {
+              src: msg.hdr.src,
+              dst: msg.dst,
+              prc: msg.prc,
+              mid: msg.hdr.mid,
+              date: Date.now()
+            };
+            try {
+              my.running_modules[msg.dst].process.send(msg);
+              my.running_modules[msg.dst].stats.msg_in++;
+            }
+            catch(err) {
+              common.log.error(err);
+            }
+          }
+          else {
+            msg.err = {
+              msg: 'Module restarting: `' + msg.dst + '`',
+              nme: 'module_restarting'
+            };
+            setTimeout(function() {
+              dispatch(msg)
+            });
+          }
+        }
+        /* Core module procedure handling. */
+        else if(msg.dst === my.core_module.name) {
+          msg.oid = msg.hdr.mid;
+          msg.hdr.mid = ++my.core_module.message_id;
+          msg.hdr.typ = 'rpc_reply';
+          msg.dst = msg.hdr.src;
+          msg.hdr.src = my.core_module.name;
+          if(my.core_module.procedures[msg.prc] &&
+             !has_capability(msg.dst, my.core_module.capabilities[msg.prc])) {
+            msg.err = {
+              msg: 'Permission denied: `' + msg.prc + '` requires `' + 
+                   my.core_module.capabilities[msg.prc] + '`',
+              nme: 'permission_denied'
+            };
+            setTimeout(function() {
+              dispatch(msg)
+            });
+          }
+          else if(my.core_module.procedures[msg.prc]) {
+            my.core_module.procedures[msg.prc](msg.dst, msg.arg, 
+                                               function(err, res) {
+              if(err) {
+                msg.err = { msg: err.message, nme: err.name };
+              }
+              else {
+                msg.res = res;
+              }
+              setTimeout(function() {
+                dispatch(msg)
+              });
+            });
+          }
+          else {
+            msg.err = {
+              msg: 'Procedure not found: `' + msg.prc + '`',
+              nme: 'procedure_not_found'
+            };
+            setTimeout(function() {
+              dispatch(msg)
+            });
+          }
+        }
+        /* Unknown destination module, we reply with an error right away.    */
+        /* The reply can't go through `dispatch` as its source is unknown.   */
+        else {
+          var err = {
+            msg: 'Module not found: `' + msg.dst + '`',
+            nme: 'module_not_found'
+          };
+          if(msg.hdr.src === my.core_module.name) {
+            var c = my.core_module.rpc_calls[msg.hdr.mid];
+            if(c) {
+              delete my.core_module.rpc_calls[msg.hdr.mid];
+              clearTimeout(c.itv);
+              setTimeout(function() {
+                c.cb_(common.err(err.msg, err.nme));
+              });
+            }
+          }
+          else if(my.running_modules[msg.hdr.src] &&
+                  my.running_modules[msg.hdr.src].process) {
+            var p = my.running_modules[msg.hdr.src].process;
+            msg.oid = msg.hdr.mid;
+            msg.hdr.mid = ++my.core_module.message_id;
+            msg.hdr.typ = 'rpc_reply';
+            msg.err = err;
+            var src = msg.hdr.src;
+            msg.hdr.src = msg.dst;
+            msg.dst = src;
+            if(common.msg_trace) {
+              common.msg_trace.record(msg);
+            }
+            try {
+              p.send(msg);
+              my.running_modules[msg.dst].stats.msg_in++;
+            }
+            catch(err) {
+              common.log.error(err);
+            }
+          }
+        }
+        break;
+      }
+      /* Modules reply to an `rpc_call` message with a `rpc_reply` message    */
+      /* type. The message payload is recycled and a `err` or `res` object is */
+      /* added to it along with `oid` field (original message id) equal to    */
+      /* the `mesage_id` of the original `rpc_call`.                          */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'rpc_reply', src: 'core', mid: 248 },                  */
+      /*   dst: 'mod_test',                                                   */
+      /*   prc: 'new_page',                                                   */
+      /*   arg: { ... }                                                       */
+      /*   oid: 23,                                                           */
+      /*   err: { msg: '', nme: '' }                                          */
+      /*   res: { ... }                                                       */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'rpc_reply': {
+        /* RPC latency is accounted to the module replying. */
+        var pending = my.rpc_pending[msg.dst + ':' + msg.oid];
+        if(pending && my.running_modules[msg.hdr.src] &&
+           my.running_modules[msg.hdr.src].stats) {
+          var st = my.running_modules[msg.hdr.src].stats;
+          var latency = Date.now() - pending.date;
+          st.rpc_latency = Math.round((st.rpc_latency * st.rpc_calls + 
+                                       latency) / (st.rpc_calls + 1));
+          st.rpc_latency_max = Math.max(st.rpc_latency_max, latency);
+          st.rpc_calls++;
+        }
+        delete my.rpc_pending[msg.dst + ':' + msg.oid];
+        if(my.running_modules[msg.dst] && 
+           my.running_modules[msg.dst].process) {
+          try {
+            my.running_modules[msg.dst].process.send(msg);
+            my.running_modules[msg.dst].stats.msg_in++;
+          }
+          catch(err) {
+            common.log.error(err);
+          }
+        }
+        /* Core module procedure reply handling. */
+        else if(msg.dst === my.core_module.name) {
+          var err = null;
+          if(msg.err) {
+            err = common.err(msg.err.msg, msg.err.nme);
+          }
+          if(my.core_module.rpc_calls[msg.oid]) {
+            var c = my.core_module.rpc_calls[msg.oid];
+            delete my.core_module.rpc_calls[msg.oid];
+            clearTimeout(c.itv);
+            c.cb_(err, msg.res);
+          }
+        }
+        break;
+      }
+      /* Modules cancel a pending `rpc_call` with a `cancel` message. The     */
+      /* message is forwarded to the destination module so that it does not  */
+      /* reply. The `oid` field is the `message_id` of the `rpc_call`.        */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'cancel', src: 'mod_test', mid: 25 },                  */
+      /*   dst: 'mod_stack',                                                  */
+      /*   oid: 23                                                            */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'cancel': {
+        delete my.rpc_pending[msg.hdr.src + ':' + msg.oid];
+        if(my.running_modules[msg.dst] && 
+           my.running_modules[msg.dst].process) {
+          try {
+            my.running_modules[msg.dst].process.send(msg);
+            my.running_modules[msg.dst].stats.msg_in++;
+          }
+          catch(err) {
+            common.log.error(err);
+          }
+        }
+        break;
+      }
+      /* Registrations refused by the `core` module are answered with a      */
+      /* `register_error` message. The `oid` field is the `message_id` of    */
+      /* the `register` message (its registration id).                      */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'register_error', src: 'core', mid: 26 },              */
+      /*   dst: 'mod_test',                                                   */
+      /*   oid: 123,                                                          */
+      /*   err: { msg: '', nme: 'permission_denied' }                         */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'register_error': {
+        if(msg.hdr.src === my.core_module.name &&
+           my.running_modules[msg.dst] && 
+           my.running_modules[msg.dst].process) {
+          try {
+            my.running_modules[msg.dst].process.send(msg);
+            my.running_modules[msg.dst].stats.msg_in++;
+          }
+          catch(err) {
+            common.log.error(err);
+          }
+        }
+        break;
+      }
+      /* Modules advertise their interface with the `interface` message type  */
+      /* each time they expose or remove procedures or advertise events. The  */
+      /* interface is stored and a `modules:interface_change` event emitted.  */
+      /* ```                                                                  */
+      /* {                                                                    */
+      /*   hdr: { typ: 'interface', src: 'mod_test', mid: 3 },                */
+      /*   prc: { new_page: { description: '...', args: { ... } } },          */
+      /*   evt: { 'state:change': { description: '...', evt: { ... } } }      */
+      /* }                                                                    */
+      /* ```                                                                  */
+      case 'interface': {
+        if(msg.hdr.src === my.core_module.name) {
+          break;
+        }
+        my.running_modules[msg.hdr.src].interface = {
+          procedures: (typeof msg.prc === 'object' && msg.prc) || {},
+          events: (typeof msg.evt === 'object' && msg.evt) || {}
+        };
+        core_emit('modules:interface_change', {
+          name: msg.hdr.src,
+          interface: my.running_modules[msg.hdr.src].interface
+        });
+        that.emit('interface_change', msg.hdr.src);
+        break;
+      }
+    }
+  };
+
+  // ### register_error
+  //
+  // Answers a refused `register` message with a `register_error` message
+  // ```
+  // @msg {object} the `register` message
+  // @err {Error} the reason of the refusal
+  // ```
+  register_error = function(msg, err) {
+    common.log.out('[module_manager] Registration refused for `' + 
+                   msg.hdr.src + '` on `' + msg.typ + '`: ' + err.message);
+    var reply = {
+      hdr: {
+        typ: 'register_error',
+        src: my.core_module.name,
+        mid: ++my.core_module.message_id,
+        ver: my.VERSION
+      },
+      dst: msg.hdr.src,
+      oid: msg.hdr.mid,
+      err: { msg: err.message, nme: err.name }
+    };
+    setTimeout(function() {
+      dispatch(reply);
+    });
+  };
+
+  // ### send_event
+  //
+  // Sends an event message to a running module
+  // ```
+  // @name {string} the module name
+  // @msg  {object} the event message
+  // ```
+  send_event = function(name, msg) {
+    var m = my.running_modules[name];
+    if(!m || !m.process) {
+      return;
+    }
+    try {
+      m.process.send(msg);
+      m.stats.msg_in++;
+    }
+    catch(err) {
+      common.log.error(err);
+    }
+  };
+
+  // ### deliver_event
+  //
+  // Delivers an event matching a registration, enforcing its max rate. Events
+  // (by source and type) received less than `1000 / rate` ms after the last
+  // one delivered are coalesced: only the last of them is delivered at the
+  // end of the interval.
+  // ```
+  // @name {string} the module name
+  // @r    {object} the registration matched
+  // @msg  {object} the event message
+  // ```
+  deliver_event = function(name, r, msg) {
+    if(!r.rate) {
+      return send_event(name, msg);
+    }
+    var key = msg.hdr.src + ':' + msg.typ;
+    var interval = 1000 / r.rate;
+    var now = Date.now();
+    if(r.coalesced[key]) {
+      r.coalesced[key].msg = msg;
+      return;
+    }
+    if(!r.last[key] || now - r.last[key] >= interval) {
+      r.last[key] = now;
+      return send_event(name, msg);
+    }
+    r.coalesced[key] = {
+      msg: msg,
+      itv: setTimeout(function() {
+        var c = r.coalesced[key];
+        delete r.coalesced[key];
+        /* The registration may have been removed in the meantime. */
+        if(my.running_modules[name] &&
+           my.running_modules[name].registrations.indexOf(r) !== -1) {
+          r.last[key] = Date.now();
+          send_event(name, c.msg);
+        }
+      }, interval - (now - r.last[key]))
+    };
+  };
+
+  // ### fail_rpc_calls
+  //
+  // Fails all in-flight `rpc_call`s targeting the module denoted by name with
+  // a `module_exited` error and forgets the ones it emitted. Called when the
+  // module process exits.
+  // ```
+  // @name {string} the module name
+  // ```
+  fail_rpc_calls = function(name) {
+    Object.keys(my.rpc_pending).forEach(function(key) {
+      var c = my.rpc_pending[key];
+      if(c.src === name) {
+        delete my.rpc_pending[key];
+      }
+      else if(c.dst === name) {
+        delete my.rpc_pending[key];
+        dispatch({
+          hdr: {
+            typ: 'rpc_reply',
+            src: name,
+            mid: ++my.core_module.message_id,
+            ver: my.VERSION
+          },
+          dst: c.src,
+          prc: c.prc,
+          oid: c.mid,
+          err: {
+            msg: 'Module exited: `' + name + '`',
+            nme: 'module_exited'
+          }
+        });
+      }
+    });
+  };
+
+
+  /****************************************************************************/
+  /* PUBLIC CORE MODULE METHODS */
+  /****************************************************************************/
+  // ### core_expose
+  //
+  // Exposes a procedure on behalf of the core module. If a capability is
+  // specified, only modules granted that capability can call the procedure.
+  // ```
+  // @proc       {string} procedure name
+  // @fun        {function(args, cb_)} the actual procedure
+  // @capability {string} the required capability [optional]
+  // ```
+  core_expose = function(proc, fun, capability) {
+    my.core_module.procedures[proc] = fun;
+    my.core_module.capabilities[proc] = capability || null;
+  };
+
+  // ### core_call
+  //
+  // Exposes a way for the core module to call rpc methods on modules. If a
+  // timeout is specified (`RPC_TIMEOUT`, disabled, by default) and no reply
+  // is received before it expires, the call is cancelled and fails with an
+  // `rpc_timeout` error.
+  // ```
+  // @dst     {string} the destination module name
+  // @proc    {string} the procedure name
+  // @args    {object} serializable JSON arguments
+  // @options {object} { timeout } in ms, `0` to disable [optional]
+  // @cb_     {function(err, res)} the callback when the rpc completes
+  // ```
+  core_call = function(dst, proc, args, options, cb_) {
+    //console.log('`core_call`: ' + name + ' ' + JSON.stringify(args));
+    if(typeof options === 'function') {
+      cb_ = options;
+      options = {};
+    }
+    options = options || {};
+    var timeout = (typeof options.timeout === 'number') ? 
+      options.timeout : my.RPC_TIMEOUT;
+    var mid = ++my.core_module.message_id;
+
+    my.core_module.rpc_calls[mid] = {
+      cb_: cb_,
+      itv: null
+    };
+    if(timeout > 0) {
+      my.core_module.rpc_calls[mid].itv = setTimeout(function() {
+        if(!my.core_module.rpc_calls[mid]) {
+          return;
+        }
+        delete my.core_module.rpc_calls[mid];
+        dispatch({
+          hdr: {
+            typ: 'cancel',
+            src: my.core_module.name,
+            mid: ++my.core_module.message_id,
+            ver: my.VERSION
+          },
+          dst: dst,
+          oid: mid
+        });
+        return cb_(common.err('RPC timeout: `' + proc + '` on `' + dst + 
+                              '` after ' + timeout + 'ms',
+                              'rpc_timeout'));
+      }, timeout);
+    }
+
+    dispatch({
+      hdr: { 
+        typ: 'rpc_call', 
+        src: my.core_module.name, 
+        mid: mid,
+        ver: my.VERSION
+      },
+      dst: dst,
+      prc: proc,
+      arg: args
+    });
+  };
+
+  // ### core_emit
+  //
+  // Emits an event on behalf of the core module
+  // ```
+  // @type  {string} event type
+  // @event {object} serializable object
+  // ```
+  core_emit = function(type, event) {
+    //console.log('`core_emit`: ' + type + ' ' + JSON.stringify(event));
+    dispatch({
+      hdr: { 
+        typ: 'event', 
+        src: my.core_module.name, 
+        mid: ++my.core_module.message_id,
+        ver: my.VERSION
+      },
+      typ: type,
       evt: event
     });
   };
 
-
-  /****************************************************************************/
-  /* PUBLIC MODULE ACTIONS */
-  /****************************************************************************/
-  // ### add
+  // ### registered
+  //
+  // Tests whether an event emitted by the core module would be delivered to a
+  // running module or to a control connection, so that the core module can
+  // skip computing events nobody receives
+  // ```
+  // @type   {string} event type
+  // @return {boolean} whether some module is registered for the event
+  // ```
+  registered = function(type) {
+    var src = my.core_module.name;
+    if(common.control_server && common.control_server.registered(src, type)) {
+      return true;
+    }
+    return Object.keys(my.running_modules).some(function(name) {
+      return my.running_modules[name].process &&
+        has_capability(name, event_capability(type)) &&
+        my.running_modules[name].registrations.some(function(r) {
+          return r.source.test(src) && r.type.test(type);
+        });
+    });
+  };
+
+
+  /****************************************************************************/
+  /* PUBLIC MODULE ACTIONS */
+  /****************************************************************************/
+  // ### add
+  //
+  // Adds a module to the module database for this session. Next time the module
+  // is run, an attempt to install it will be made. If a module with the same
+  // base path (ignoring tags) exists, an error is raised.
+  // ```
+  // @path  {string} the module path
+  // @force {boolean} overrides existing modules (update)
+  // @cb_   {function(err, module)}
+  // ```
+  add = function(path, force, cb_) {
+    augment_path(path, function(err, path, range) {
+      if(err) {
+        return cb_(err);
+      }
+      var module = {};
+      var package_json = null;
+      var version = null;
+      /* Set if the module was fetched to its storage path by this call. */
+      var staged = false;
+
+      async.series([
+        /* Check that the module is not already present. */
+        function(cb_) {
+          my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+            if(err) {
+              return cb_(err);
+            }
+            var arr = Object.keys(modules);
+            for(var i = 0; i < arr.length; i ++) {
+              var m = modules[arr[i]];
+              if(!force && 
+                 expand_path(m.path).type === expand_path(path).type) {
+                if(m.path === path ||
+                   (expand_path(path).type === 'github' &&
+                    expand_path(m.path).owner === expand_path(path).owner && 
+                    expand_path(m.path).name === expand_path(path).name) ||
+                   (expand_path(path).type === 'npm' &&
+                    expand_path(m.path).name === expand_path(path).name) ||
+                   (expand_path(path).type === 'git' &&
+                    expand_path(m.path).url === expand_path(path).url) ||
+                   (expand_path(path).type === 'local' &&
+                    m.path === path)) {
+                  return cb_(common.err('Module conflict: ' + 
+                                        path + ' conflicts with ' + m.path,
+                                        'module_manager:module_conflict'));
+                }
+              }
+            }
+            return cb_();
+          });
+        },
+        /* Retrieves the module package.json. */
+        function(cb_) {
+          if(expand_path(path).type === 'local') {
+            var package_path = require('path').join(expand_path(path).path, 
+                                                    'package.json');
+
+            fs.readFile(package_path, function(err, data) {
+              if(err) {
+                return cb_(err);
+              }
+              try {
+                package_json = JSON.parse(data);
+              }
+              catch(err) {
+                return cb_(err);
+              }
+              return cb_();
+            });
+          }
+          if(expand_path(path).type === 'github') {
+            /* Works with tags AND master */
+            var package_url = 'https://raw.github.com/' + 
+              expand_path(path).owner + '/' + 
+              expand_path(path).name + '/' + 
+              expand_path(path).tag + '/package.json';
+
+            var options = {
+              url: package_url,
+              headers: {
+                'User-Agent': 'Mozilla/5.0'
+              },
+              json: true
+            }
+            var from_github = function() {
+              request(options, function(err, res, json) {
+                if(err) {
+                  return cb_(err);
+                }
+                package_json = json;
+                return cb_();
+              });
+            };
+            if(!my.mirror) {
+              return from_github();
+            }
+            my.mirror.package_json(path, function(err, json) {
+              if(err) {
+                return cb_(err);
+              }
+              if(json) {
+                package_json = json;
+                return cb_();
+              }
+              return from_github();
+            });
+          }
+          if(expand_path(path).type === 'npm') {
+            /* The registry metadata embeds each version `package.json`. */
+            remote_refs(path, false, function(err, meta) {
+              if(err) {
+                return cb_(err);
+              }
+              package_json = (meta.versions || {})[expand_path(path).tag];
+              if(!package_json) {
+                return cb_(common.err('Version not found: ' + path,
+                                      'module_manager:invalid_path'));
+              }
+              return cb_();
+            });
+          }
+          if(expand_path(path).type === 'git' ||
+             expand_path(path).type === 'tarball') {
+            /* The module is fetched right away to read its `package.json`. */
+            fs.stat(storage_path(path), function(err) {
+              if(err && err.code !== 'ENOENT') {
+                return cb_(err);
+              }
+              async.series([
+                function(cb_) {
+                  if(err) {
+                    staged = true;
+                    return stage(path, cb_);
+                  }
+                  return cb_();
+                },
+                function(cb_) {
+                  fs.readFile(require('path').join(storage_path(path), 
+                                                   'package.json'), 
+                              function(err, data) {
+                    if(err) {
+                      return cb_(err);
+                    }
+                    try {
+                      package_json = JSON.parse(data);
+                    }
+                    catch(err) {
+                      return cb_(err);
+                    }
+                    return cb_();
+                  });
+                }
+              ], function(err) {
+                return cb_(err);
+              });
+            });
+          }
+        },
+        /* Checks the package.json, retrieve the version, add module. */
+        function(cb_) {
+          module.path = path;
+          module.range = range || null;
+          module.version = semver.clean(package_json.version, true);
+          if(!module.version) {
+            return cb_(common.err('Invalid module version `' + module.version + 
+                                  '` for module: ' + path,
+                                  'module_manager:invalid_version'));
+          }
+          module.name = package_json.name;
+          if(!module.name) {
+            return cb_(common.err('Invalid module name `' + module.name + 
+                                  '` for module: ' + path,
+                                  'module_manager:invalid_name'));
+          }
+          var requested = module_util.manifest_permissions(package_json);
+          if(!requested) {
+            return cb_(common.err('Invalid module permissions for module: ' + 
+                                  path,
+                                  'module_manager:invalid_permissions'));
+          }
+          module.dependencies = 
+            (package_json.breach && package_json.breach.dependencies) || [];
+          if(!Array.isArray(module.dependencies) ||
+             module.dependencies.some(function(d) { 
+               return typeof d !== 'string'; 
+             })) {
+            return cb_(common.err('Invalid module dependencies for module: ' + 
+                                  path,
+                                  'module_manager:invalid_dependencies'));
+          }
+          module.restart_policy = 
+            (package_json.breach && package_json.breach.restart_policy) || null;
+          module.limits = 
+            (package_json.breach && package_json.breach.limits) || null;
+          if(module.limits && !module_util.valid_limits(module.limits)) {
+            return cb_(common.err('Invalid module limits for module: ' + 
+                                  path,
+                                  'module_manager:invalid_limits'));
+          }
+
+          my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+            if(err) {
+              return cb_(err);
+            }
+            var existing = null;
+            var arr = Object.keys(modules);
+            for(var i = 0; i < arr.length; i ++) {
+              if(modules[arr[i]].name === module.name) {
+                if(!force) {
+                  return cb_(common.err('Module conflict: ' + module.name + 
+                                        ' conflicts with ' + 
+                                        modules[arr[i]].name,
+                                        'module_manager:module_conflict'));
+                }
+                existing = modules[arr[i]];
+              }
+            }
+            /* A module added again (update) keeps the permissions it was  */
+            /* granted. Others (all of them for a new module) are pending  */
+            /* until the user confirms them.                               */
+            var permissions = module_util.request_permissions(
+              existing ? existing.permissions : [], requested);
+            module.permissions = permissions.permissions;
+            module.requested_permissions = permissions.requested_permissions;
+            if(module.requested_permissions) {
+              common.log.out('[module_manager] Permissions pending ' +
+                             'confirmation for ' + path + ': ' +
+                             requested.join(', '));
+            }
+            return cb_();
+          });
+        },
+        /* Finally adds the module. */
+        function(cb_) {
+          my.gig.push('core', 'module', my.gig_path, {
+            type: 'add',
+            module: module
+          }, cb_);
+        },
+      ], function(err) {
+        /* A module fetched for validation is removed if it was not added. */
+        if(err && staged) {
+          return fs.remove(storage_path(path), function() {
+            return cb_(err, module);
+          });
+        }
+        return cb_(err, module);
+      });
+    });
+  };
+
+  // ### list
+  //
+  // Lists the modules managed by the module manager for this session and their
+  // current status.
+  // ```
+  // @cb_  {function(err, modules)}
+  // ```
+  list = function(cb_) {
+    my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+      if(err) {
+        return cb_(err);
+      }
+      return cb_(null, Object.keys(modules).map(function(p) {
+        /* Cloning the object so that the cached value does not get mutated. */
+        var out = my.out_path ? 
+          require('path').join(my.out_path,
+                               modules[p].name + '.out') : null;
+        var m = {
+          path: modules[p].path,
+          version: modules[p].version,
+          name: modules[p].name,
+          permissions: Array.isArray(modules[p].permissions) ?
+            modules[p].permissions : module_util.LEGACY_PERMISSIONS,
+          requested_permissions: modules[p].requested_permissions || null,
+          dependencies: modules[p].dependencies || [],
+          range: modules[p].range || null,
+          previous: modules[p].previous ? modules[p].previous.path : null,
+          confirmed: !modules[p].previous || !!modules[p].confirmed,
+          failed: modules[p].failed || [],
+          restart_policy: restart_policy(modules[p]),
+          signature: modules[p].signature || null,
+          hot_reload: !!modules[p].hot_reload,
+          limits: modules[p].limits || null,
+          crash: my.crash_reports[modules[p].name] || null,
+          out: out
+        };
+        if(my.running_modules[m.name]) {
+          m.running = true;
+          m.started = my.running_modules[m.name].started;
+          m.restarting = !my.running_modules[m.name].process;
+          m.health = my.running_modules[m.name].health;
+          m.stats = my.running_modules[m.name].stats;
+          m.need_restart = my.running_modules[m.name].need_restart;
+          m.interface = my.running_modules[m.name].interface || null;
+        }
+        if(my.crashed_modules[m.name]) {
+          m.crashed = true;
+        }
+        if(my.install_modules[m.path]) {
+          m.installing = true;
+          m.install_status = my.install_modules[m.path].status;
+        }
+        m.type = expand_path(m.path).type;
+        m.owner = expand_path(m.path).owner;
+        m.tag = expand_path(m.path).tag;
+        return m;
+      }));
+    });
+  };
+
+  // ### install
+  //
+  // Installs a module locally. This function is indempotent and can be called
+  // on any module any number of time to verify the module is correclty
+  // installed.
+  // If the module is not present locally, it will be downloaded and installed.
+  // The module path should have been added already as well as the module info
+  // is retrieved from the module database by path.
+  // ```
+  // @path {string} the module path
+  // @cb_  {function(err, module)}
+  // ```
+  install = function(path, cb_) {
+    if(my.install_modules[path]) {
+      my.install_modules[path].callbacks.push(cb_);
+      return;
+    }
+    else {
+      my.install_modules[path] = {
+        path: path,
+        callbacks: [cb_],
+        status: 'init'
+      };
+    }
+    var module = null;
+    var staged = false;
+    var result = null;
+    async.series([
+      /* Check that the module exists. */
+      function(cb_) {
+        my.install_modules[path].status = 'check';
+        that.emit('state_change', module);
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          if(!modules[path]) {
+            return cb_(common.err('Module unknown: ' + path,
+                                  'module_manager:module_unknown'));
+          }
+          else {
+            module = modules[path];
+            return cb_();
+          }
+        });
+      },
+      /* Installs the module locally. */
+      function(cb_) {
+        my.install_modules[path].status = 'download';
+        that.emit('state_change', module);
+        fs.stat(storage_path(path), function(err, stat) {
+          if(err && err.code !== 'ENOENT') {
+            return cb_(err);
+          }
+          else if(err && err.code === 'ENOENT') {
+            if(expand_path(path).type === 'local') {
+              return cb_(err);
+            }
+            return stage(path, function(err, r) {
+              staged = true;
+              result = r;
+              return cb_(err);
+            });
+          }
+          else {
+            return cb_();
+          }
+        });
+      },
+      /* Verifies (or checks the recorded) signature of the module. */
+      function(cb_) {
+        my.install_modules[path].status = 'signature';
+        that.emit('state_change', module);
+        if(expand_path(path).type === 'local') {
+          return cb_();
+        }
+        var record = function(err) {
+          if(!result) {
+            return cb_(err);
+          }
+          my.gig.push('core', 'module', my.gig_path, {
+            type: 'set',
+            path: path,
+            key: 'signature',
+            value: result
+          }, function(e) {
+            return cb_(err || e);
+          });
+        };
+        if(staged) {
+          return record();
+        }
+        signature_config(function(err, config) {
+          if(err) {
+            return cb_(err);
+          }
+          if(config.policy === 'off') {
+            return cb_();
+          }
+          if(module.signature) {
+            return cb_(signature_error(config.policy, path, module.signature));
+          }
+          check_signature(path, storage_path(path), function(err, r) {
+            result = r;
+            return record(err);
+          });
+        });
+      },
+      /* Run npm install on the local module (already done if staged). */
+      function(cb_) {
+        if(staged) {
+          return cb_();
+        }
+        my.install_modules[path].status = 'dependencies';
+        that.emit('state_change', module);
+        npm.commands.install(storage_path(path), [], function(err, data) {
+          if(err) {
+            return cb_(err);
+          }
+          //console.log(data);
+          return cb_();
+        });
+      }
+    ], function(err) {
+      var i = my.install_modules[path];
+      delete my.install_modules[path];
+
+      that.emit('state_change', module);
+      i.callbacks.forEach(function(cb_) {
+        return cb_(err, module);
+      });
+    });
+  };
+
+  // ### remove
   //
-  // Adds a module to the module database for this session. Next time the module
-  // is run, an attempt to install it will be made. If a module with the same
-  // base path (ignoring tags) exists, an error is raised.
+  // Remove the module from the module database and delete it from filesystem.
   // ```
-  // @path  {string} the module path
-  // @force {boolean} overrides existing modules (update)
-  // @cb_   {function(err, module)}
+  // @path {string} the module path
+  // @cb_  {function(err, module)}
   // ```
-  add = function(path, force, cb_) {
-    augment_path(path, function(err, path) {
-      if(err) {
-        return cb_(err);
+  remove = function(path, cb_) {
+    var module = null;
+    async.series([
+      /* Check that the module exists. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          if(!modules[path]) {
+            return cb_(common.err('Module unknown: ' + path,
+                                  'module_manager:module_unknown'));
+          }
+          else {
+            module = modules[path];
+            return cb_();
+          }
+        });
+      },
+      /* Kill the module. */
+      function(cb_) {
+        unwatch_module(module.name);
+        if(my.running_modules[module.name]) {
+          kill_module(module.path, cb_);
+        }
+        else {
+          return cb_();
+        }
+      },
+      /* Remove the module from the module db. */
+      function(cb_) {
+        my.gig.push('core', 'module', my.gig_path, {
+          type: 'remove',
+          path: path
+        }, cb_);
+      },
+      /* Remove the module from filesystem if not local. */
+      function(cb_) {
+        if(expand_path(path).type === 'local') {
+          return cb_();
+        }
+        fs.remove(storage_path(path), cb_)
+      },
+      /* Along with the previous version kept on disk. */
+      function(cb_) {
+        if(expand_path(path).type === 'local') {
+          return cb_();
+        }
+        fs.remove(storage_path(path) + '.previous', function(err) {
+          if(err || !module.previous || 
+             expand_path(module.previous.path).type === 'local') {
+            return cb_(err);
+          }
+          fs.remove(storage_path(module.previous.path), cb_);
+        });
       }
-      var module = {};
-      var package_json = null;
-      var version = null;
+    ], function(err) {
+      return cb_(err, module);
+    });
+  };
 
-      async.series([
-        /* Check that the module is not already present. */
-        function(cb_) {
-          my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+  // ### update
+  //
+  // Attemps to update a module. 
+  //
+  // - If the module is local, the update action has no effect.
+  // - If the module is tracking the tag #master, the update action will
+  // download the most recent #master version in place of the local copy.
+  // - If the module is tracking a tag, it will attempt to retrieve the new tag
+  // and install the files locally to finally update the module information to
+  // point the new tag. If no new tag is available, then the update action has
+  // no effect.
+  // - npm modules are updated to the `latest` version, git modules the same
+  // way as github modules.
+  // - Modules added with a semver range are only updated to the highest tag
+  // (or version) matching that range.
+  // - tarball modules are downloaded and installed again.
+  //
+  // The new version is downloaded and installed in a staging directory and
+  // swapped in place once complete (see `stage`). The previous version is kept
+  // on disk and recorded (`previous`) so that the module can be rolled back if
+  // the new version crashes or becomes unresponsive before `ROLLBACK_WINDOW`.
+  // Paths that were rolled back are recorded (`failed`) and never retried.
+  // The restart policy set on the module is kept by the new version and its
+  // permissions are only extended once confirmed (see `add`).
+  //
+  // The update action can be performed on a running or stopped module. The path
+  // provided must be a fully epxlicited (tag) path of an existing module.
+  //
+  // If the update action had any effect and an old version module is running,
+  // it's `need_restart` flag is set to true.
+  // ```
+  // @path {string} the module path
+  // @cb_  {function(err, module)}
+  // ```
+  update = function(path, cb_) {
+    var module = null;
+    var target = null;
+    var result = null;
+    var need_restart = false;
+    async.series([
+      /* Check that the module exists. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          if(!modules[path]) {
+            return cb_(common.err('Module unknown: ' + path,
+                                  'module_manager:module_unknown'));
+          }
+          else {
+            module = modules[path];
+            return cb_();
+          }
+        });
+      },
+      /* Resolves the path to update to. */
+      function(cb_) {
+        if(expand_path(path).type === 'local') {
+          return cb_();
+        }
+        if(expand_path(path).type === 'github' ||
+           expand_path(path).type === 'npm' ||
+           expand_path(path).type === 'git') {
+          /* We only move within the range the module was added with. */
+          augment_path(range_path(module), function(err, p) {
             if(err) {
               return cb_(err);
             }
-            var arr = Object.keys(modules);
-            for(var i = 0; i < arr.length; i ++) {
-              var m = modules[arr[i]];
-              if(!force && 
-                 expand_path(m.path).type === expand_path(path).type) {
-                if(m.path === path ||
-                   (expand_path(path).type === 'github' &&
-                    expand_path(m.path).owner === expand_path(path).owner && 
-                    expand_path(m.path).name === expand_path(path).name) ||
-                   (expand_path(path).type === 'local' &&
-                    m.path === path)) {
-                  return cb_(common.err('Module conflict: ' + 
-                                        path + ' conflicts with ' + m.path,
-                                        'module_manager:module_conflict'));
-                }
+            else if(expand_path(path).tag !== expand_path(p).tag) {
+              if((module.failed || []).indexOf(p) !== -1) {
+                common.log.out('[module_manager] Skipping failed update of ' +
+                               path + ' to ' + p);
+              }
+              else {
+                target = p;
               }
             }
+            else if(expand_path(path).tag === 'master') {
+              target = path;
+            }
             return cb_();
           });
-        },
-        /* Retrieves the module package.json. */
-        function(cb_) {
-          if(expand_path(path).type === 'local') {
-            var package_path = require('path').join(expand_path(path).path, 
-                                                    'package.json');
-
-            fs.readFile(package_path, function(err, data) {
+        }
+        if(expand_path(path).type === 'tarball') {
+          /* The tarball is fetched again to record its new version. */
+          target = path;
+          return cb_();
+        }
+      },
+      /* Downloads and installs the new version next to the current one. */
+      function(cb_) {
+        if(!target) {
+          return cb_();
+        }
+        common.log.out('[module_manager] Updating ' + path + 
+                       (target !== path ? ' to ' + target : ''));
+        stage(target, function(err, r) {
+          result = r;
+          return cb_(err);
+        });
+      },
+      /* Records the new version along with the one it was updated from. */
+      function(cb_) {
+        if(!target) {
+          return cb_();
+        }
+        var previous = {};
+        Object.keys(module).forEach(function(k) {
+          if(k !== 'previous' && k !== 'failed' && k !== 'confirmed') {
+            previous[k] = module[k];
+          }
+        });
+        var restart = null;
+        async.series([
+          function(cb_) {
+            add(target, true, function(err, m) {
               if(err) {
                 return cb_(err);
               }
-              try {
-                package_json = JSON.parse(data);
-              }
-              catch(err) {
-                return cb_(err);
-              }
+              /* The policy set on the module prevails over the package's. */
+              restart = module.restart_policy || m.restart_policy || null;
               return cb_();
             });
-          }
-          if(expand_path(path).type === 'github') {
-            /* Works with tags AND master */
-            var package_url = 'https://raw.github.com/' + 
-              expand_path(path).owner + '/' + 
-              expand_path(path).name + '/' + 
-              expand_path(path).tag + '/package.json';
-
-            var options = {
-              url: package_url,
-              headers: {
-                'User-Agent': 'Mozilla/5.0'
-              },
-              json: true
-            }
-            request(options, function(err, res, json) {
-              if(err) {
-                return cb_(err);
-              }
-              package_json = json;
+          },
+          function(cb_) {
+            path = target;
+            async.eachSeries([
+              { key: 'range', value: module.range || null },
+              { key: 'restart_policy', value: restart },
+              { key: 'previous', value: previous },
+              { key: 'failed', value: module.failed || [] },
+              { key: 'confirmed', value: false },
+              { key: 'signature', value: result }
+            ], function(s, cb_) {
+              my.gig.push('core', 'module', my.gig_path, {
+                type: 'set',
+                path: path,
+                key: s.key,
+                value: s.value
+              }, cb_);
+            }, cb_);
+          },
+          /* Only one previous version is kept on disk. */
+          function(cb_) {
+            if(!module.previous || 
+               expand_path(module.previous.path).type === 'local' ||
+               module.previous.path === module.path ||
+               module.previous.path === target) {
               return cb_();
+            }
+            fs.remove(storage_path(module.previous.path), cb_);
+          }
+        ], function(err) {
+          /* The staged version is removed if it could not be recorded. */
+          if(err && target !== module.path) {
+            return fs.remove(storage_path(target), function() {
+              return cb_(err);
             });
           }
-        },
-        /* Checks the package.json, retrieve the version, add module. */
-        function(cb_) {
-          module.path = path;
-          module.version = semver.clean(package_json.version, true);
-          if(!module.version) {
-            return cb_(common.err('Invalid module version `' + module.version + 
-                                  '` for module: ' + path,
-                                  'module_manager:invalid_version'));
+          return cb_(err);
+        });
+      },
+      /* A staged version is already installed (see `stage`). Modules not */
+      /* updated are checked with a final install.                        */
+      function(cb_) {
+        if(target) {
+          return cb_();
+        }
+        install(path, cb_);
+      },
+      /* We check the new version of the module. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          if(!modules[path]) {
+            return cb_(common.err('Module unknown: ' + path,
+                                  'module_manager:module_unknown'));
+          }
+          else {
+            if(module.version !== modules[path].version) {
+              need_restart = true;
+            }
+            module = modules[path];
+            return cb_();
+          }
+        });
+      },
+      /* We finally mark updated running modules as need_restar. */
+      function(cb_) {
+        if(my.running_modules[module.name]) {
+          my.running_modules[module.name].need_restart =
+            my.running_modules[module.name].need_restart || need_restart;
+        }
+        if(need_restart) {
+          common.log.out('[module_manager] Update ready for ' + 
+                         module.path + ' [' + module.version + ']');
+          that.emit('update_ready', module);
+        }
+        return cb_();
+      }
+    ], function(err) {
+      return cb_(err, module);
+    });
+  };
+
+  // ### outdated
+  //
+  // Reports what `update` would do for each module without performing it. For
+  // each github, npm and git module, `wanted` is the tag (or version) `update`
+  // would move to (within the module range) and `latest` the most recent one
+  // regardless of the range. Local and tarball modules are not reported.
+  // ```
+  // @cb_ {function(err, outdated)}
+  // ```
+  outdated = function(cb_) {
+    my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+      if(err) {
+        return cb_(err);
+      }
+      var res = [];
+      async.each(Object.keys(modules), function(path, cb_) {
+        var m = modules[path];
+        if(!range_path(m)) {
+          return cb_();
+        }
+        var r = {
+          name: m.name,
+          path: m.path,
+          version: m.version,
+          range: m.range || null,
+          current: expand_path(m.path).tag,
+          wanted: null,
+          latest: null,
+          update: false,
+          error: null
+        };
+        res.push(r);
+        async.parallel({
+          wanted: function(cb_) {
+            augment_path(range_path(m), function(err, path) {
+              return cb_(err, path);
+            });
+          },
+          latest: function(cb_) {
+            augment_path(range_path({ path: m.path }), function(err, path) {
+              return cb_(err, path);
+            });
           }
-          module.name = package_json.name;
-          if(!module.name) {
-            return cb_(common.err('Invalid module name `' + module.name + 
-                                  '` for module: ' + path,
-                                  'module_manager:invalid_name'));
+        }, function(err, paths) {
+          if(err) {
+            r.error = err.message;
+            return cb_();
           }
+          r.wanted = expand_path(paths.wanted).tag;
+          r.latest = expand_path(paths.latest).tag;
+          r.update = (r.wanted !== r.current) || (r.current === 'master');
+          return cb_();
+        });
+      }, function(err) {
+        res.sort(function(a, b) {
+          return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+        });
+        return cb_(err, res);
+      });
+    });
+  };
 
-          my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+  // ### populate_mirror
+  //
+  // Populates the mirror with the modules specified by path so that they can
+  // be added and installed without network access afterwards. For each path,
+  // the refs it is resolved against are refreshed from its source, the module
+  // tarball and package.json are stored, and its dependencies are installed
+  // once to fill the mirror npm cache.
+  // ```
+  // @paths {array} the module paths (tags and ranges are resolved)
+  // @cb_   {function(err, paths)} the exact paths mirrored
+  // ```
+  populate_mirror = function(paths, cb_) {
+    if(!my.mirror) {
+      return cb_(common.err('No module mirror configured',
+                            'module_manager:no_mirror'));
+    }
+    var res = [];
+    async.eachSeries(paths, function(path, cb_) {
+      var p = expand_path(path);
+      if(!p || p.type === 'local') {
+        return cb_(common.err('Module cannot be mirrored: ' + path,
+                              'module_manager:invalid_path'));
+      }
+      var tmp = require('path').join(my.modules_path, 'extract', 
+                                     common.hash([path, Date.now()]));
+      async.series([
+        /* Refs are refreshed from upstream. */
+        function(cb_) {
+          var base = range_path({ path: path });
+          if(!base) {
+            return cb_();
+          }
+          remote_refs(path, true, function(err, data) {
             if(err) {
               return cb_(err);
             }
-            var arr = Object.keys(modules);
-            for(var i = 0; i < arr.length; i ++) {
-              if(!force && modules[arr[i]].name === module.name) {
-                return cb_(common.err('Module conflict: ' + module.name + 
-                                      ' conflicts with ' + modules[arr[i]].name,
-                                      'module_manager:module_conflict'));
-              }
+            my.mirror.put_refs(base, data, cb_);
+          });
+        },
+        function(cb_) {
+          augment_path(path, function(err, exact) {
+            path = exact;
+            return cb_(err);
+          });
+        },
+        function(cb_) {
+          common.log.out('[module_manager] Mirroring ' + path);
+          download(path, function(err) {
+            return cb_(err);
+          });
+        },
+        /* The module is extracted from the mirror to record its */
+        /* `package.json` and fill the npm cache.                 */
+        function(cb_) {
+          fetch(path, tmp, cb_);
+        },
+        function(cb_) {
+          fs.readFile(require('path').join(tmp, 'package.json'), 
+                      function(err, data) {
+            if(err) {
+              return cb_(err);
             }
-            return cb_();
+            var json = null;
+            try {
+              json = JSON.parse(data);
+            }
+            catch(err) {
+              return cb_(err);
+            }
+            my.mirror.put_package_json(path, json, cb_);
           });
         },
-        /* Finally adds the module. */
         function(cb_) {
-          my.gig.push('core', 'module', my.gig_path, {
-            type: 'add',
-            module: module
-          }, cb_);
+          signature_data(path, tmp, true, function(err, data) {
+            if(err || !data) {
+              return cb_(err);
+            }
+            my.mirror.put_signature(path, data, cb_);
+          });
         },
+        function(cb_) {
+          npm.commands.install(tmp, [], function(err) {
+            return cb_(err);
+          });
+        }
       ], function(err) {
-        return cb_(err, module);
+        fs.remove(tmp, function() {
+          if(!err) {
+            res.push(path);
+          }
+          return cb_(err);
+        });
       });
+    }, function(err) {
+      return cb_(err, res);
     });
   };
 
-  // ### list
+  // ### export_lock
   //
-  // Lists the modules managed by the module manager for this session and their
-  // current status.
+  // Exports the modules of the session to a lockfile: their exact path (with
+  // the resolved tag), range, version and the content hash of their installed
+  // tree. Modules are installed first if needed.
   // ```
-  // @cb_  {function(err, modules)}
+  // @file {string} the lockfile path (optional, the lock is only returned)
+  // @cb_  {function(err, lock)}
   // ```
-  list = function(cb_) {
-    my.gig.get('core', 'module', my.gig_path, function(err, modules) {
-      if(err) {
-        return cb_(err);
-      }
-      return cb_(null, Object.keys(modules).map(function(p) {
-        /* Cloning the object so that the cached value does not get mutated. */
-        var out = my.out_path ? 
-          require('path').join(my.out_path,
-                               modules[p].name + '.out') : null;
-        var m = {
-          path: modules[p].path,
-          version: modules[p].version,
-          name: modules[p].name,
-          out: out
-        };
-        if(my.running_modules[m.name]) {
-          m.running = true;
-          m.need_restart = my.running_modules[m.name].need_restart;
-        }
-        if(my.install_modules[m.path]) {
-          m.installing = true;
-          m.install_status = my.install_modules[m.path].status;
+  export_lock = function(file, cb_) {
+    var lock = {
+      breach: my.VERSION,
+      date: Date.now(),
+      modules: []
+    };
+    async.series([
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          lock.modules = module_util.lock_modules(modules);
+          return cb_();
+        });
+      },
+      function(cb_) {
+        async.eachSeries(lock.modules, function(m, cb_) {
+          install(m.path, function(err) {
+            if(err) {
+              return cb_(err);
+            }
+            module_util.tree_hash(storage_path(m.path), function(err, hash) {
+              m.hash = hash;
+              return cb_(err);
+            });
+          });
+        }, cb_);
+      },
+      function(cb_) {
+        if(!file) {
+          return cb_();
         }
-        m.type = expand_path(m.path).type;
-        m.owner = expand_path(m.path).owner;
-        m.tag = expand_path(m.path).tag;
-        return m;
-      }));
+        fs.writeFile(file, JSON.stringify(lock, null, 2), cb_);
+      }
+    ], function(err) {
+      return cb_(err, lock);
     });
   };
 
-  // ### install
+  // ### import_lock
   //
-  // Installs a module locally. This function is indempotent and can be called
-  // on any module any number of time to verify the module is correclty
-  // installed.
-  // If the module is not present locally, it will be downloaded and installed.
-  // The module path should have been added already as well as the module info
-  // is retrieved from the module database by path.
+  // Imports a lockfile generated by `export_lock`. Each locked module is added
+  // (at its exact path), installed and verified: its version and the content
+  // hash of its installed tree must match the lockfile. A module failing the
+  // verification is removed (and the version it replaced restored) if it was
+  // added by the import, and the import fails. Once all locked modules are
+  // verified, modules absent from the lockfile are removed. Running modules
+  // whose path changed are marked as `need_restart`.
   // ```
-  // @path {string} the module path
-  // @cb_  {function(err, module)}
+  // @file {string} the lockfile path
+  // @cb_  {function(err, modules)}
   // ```
-  install = function(path, cb_) {
-    if(my.install_modules[path]) {
-      my.install_modules[path].callbacks.push(cb_);
-      return;
-    }
-    else {
-      my.install_modules[path] = {
-        path: path,
-        callbacks: [cb_],
-        status: 'init'
-      };
-    }
-    var module = null;
+  import_lock = function(file, cb_) {
+    var lock = null;
+    var modules = null;
+    var res = [];
     async.series([
-      /* Check that the module exists. */
       function(cb_) {
-        my.install_modules[path].status = 'check';
-        that.emit('state_change', module);
-        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+        fs.readFile(file, function(err, data) {
           if(err) {
             return cb_(err);
           }
-          if(!modules[path]) {
-            return cb_(common.err('Module unknown: ' + path,
-                                  'module_manager:module_unknown'));
+          try {
+            lock = JSON.parse(data);
           }
-          else {
-            module = modules[path];
-            return cb_();
+          catch(err) {
+            return cb_(err);
+          }
+          if(!module_util.valid_lock(lock)) {
+            return cb_(common.err('Invalid lockfile: ' + file,
+                                  'module_manager:invalid_lock'));
           }
+          return cb_();
         });
       },
-      /* Installs the module locally. */
       function(cb_) {
-        my.install_modules[path].status = 'download';
-        that.emit('state_change', module);
-        fs.stat(storage_path(path), function(err, stat) {
-          if(err && err.code !== 'ENOENT') {
+        my.gig.get('core', 'module', my.gig_path, function(err, m) {
+          if(err) {
             return cb_(err);
           }
-          else if(err && err.code === 'ENOENT') {
-            if(expand_path(path).type === 'github') {
-              var options = {
-                url: 'https://api.github.com' + 
-                     '/repos/' + 
-                     expand_path(path).owner + '/' + expand_path(path).name + 
-                     '/tarball/' + expand_path(path).tag,
-                headers: {
-                  'User-Agent': 'Mozilla/5.0'
-                }
+          /* Copied as the session modules are altered by the import. */
+          modules = {};
+          Object.keys(m).forEach(function(p) {
+            modules[p] = m[p];
+          });
+          return cb_();
+        });
+      },
+      function(cb_) {
+        async.eachSeries(lock.modules, function(m, cb_) {
+          var module = null;
+          var added = false;
+          async.series([
+            /* Modules already at the locked path are only verified. */
+            function(cb_) {
+              if(modules[m.path]) {
+                return cb_();
               }
-              /* TODO(spolu): move to native `tar xfz` which is way faster? */
-              var gzip = zlib.createGunzip();
-              var tar = require('tar').Extract({ 
-                path: storage_path(path),
-                strip: 1
-              });
-              request(options)
-                .pipe(gzip)
-                .on('error', function(err) {
-                  fs.remove(storage_path(path))
+              common.log.out('[module_manager] Importing ' + m.path);
+              add(m.path, true, function(err) {
+                if(err) {
                   return cb_(err);
-                })
-                .pipe(tar)
-                .on('error', function(err) {
-                  fs.remove(storage_path(path))
+                }
+                added = true;
+                my.gig.push('core', 'module', my.gig_path, {
+                  type: 'set',
+                  path: m.path,
+                  key: 'range',
+                  value: m.range || null
+                }, cb_);
+              });
+            },
+            function(cb_) {
+              install(m.path, function(err, mod) {
+                module = mod;
+                return cb_(err);
+              });
+            },
+            function(cb_) {
+              if(module.version !== m.version) {
+                return cb_(common.err('Version mismatch for ' + m.path + 
+                                      ': ' + module.version + ' instead of ' +
+                                      m.version,
+                                      'module_manager:lock_version_mismatch'));
+              }
+              module_util.tree_hash(storage_path(m.path), function(err, hash) {
+                if(err) {
                   return cb_(err);
-                })
-                .on('end', cb_);
+                }
+                if(hash !== m.hash) {
+                  return cb_(common.err('Hash mismatch for ' + m.path + 
+                                        ': ' + hash + ' instead of ' + m.hash,
+                                        'module_manager:lock_hash_mismatch'));
+                }
+                return cb_();
+              });
             }
-            if(expand_path(path).type === 'local') {
+          ], function(err) {
+            if(err) {
+              /* Modules added by the import are not left installed if   */
+              /* they fail verification. The record they replaced (same  */
+              /* name) is restored. The module was not run in between.   */
+              if(added) {
+                var replaced = null;
+                Object.keys(modules).forEach(function(p) {
+                  if(modules[p].name === m.name) {
+                    replaced = modules[p];
+                  }
+                });
+                return async.series([
+                  function(cb_) {
+                    my.gig.push('core', 'module', my.gig_path, replaced ? {
+                      type: 'add',
+                      module: replaced
+                    } : {
+                      type: 'remove',
+                      path: m.path
+                    }, cb_);
+                  },
+                  function(cb_) {
+                    if(expand_path(m.path).type === 'local') {
+                      return cb_();
+                    }
+                    fs.remove(storage_path(m.path), cb_);
+                  }
+                ], function() {
+                  return cb_(err);
+                });
+              }
               return cb_(err);
             }
+            if(my.running_modules[module.name] &&
+               my.running_modules[module.name].path !== m.path) {
+              my.running_modules[module.name].need_restart = true;
+            }
+            res.push(module);
+            return cb_();
+          });
+        }, cb_);
+      },
+      /* Modules absent from the lockfile are removed. */
+      function(cb_) {
+        var names = lock.modules.map(function(m) {
+          return m.name;
+        });
+        async.eachSeries(Object.keys(modules), function(p, cb_) {
+          if(names.indexOf(modules[p].name) !== -1) {
+            return cb_();
+          }
+          common.log.out('[module_manager] Removing ' + p + 
+                         ' (absent from lockfile)');
+          remove(p, function(err) {
+            return cb_(err);
+          });
+        }, cb_);
+      }
+    ], function(err) {
+      return cb_(err, res);
+    });
+  };
+
+  // ### output
+  //
+  // Retrieves the module output
+  // ```
+  // @path {string} the module path
+  // @cb_  {function(err, module)}
+  // ```
+  output = function(path, cb_) {
+    var module = null;
+    async.waterfall([
+      /* Check that the module exists. */
+      function(cb_) {
+        my.gig.get('core', 'module', my.gig_path, function(err, modules) {
+          if(err) {
+            return cb_(err);
+          }
+          if(!modules[path]) {
+            return cb_(common.err('Module unknown: ' + path,
+                                  'module_manager:module_unknown'));
           }
           else {
+            module = modules[path];
             return cb_();
           }
         });
       },
-      /* Run npm install on the local module. */
       function(cb_) {
-        my.install_modules[path].status = 'dependencies';
-        that.emit('state_change', module);
-        npm.commands.install(storage_path(path), [], function(err, data) {
+        var out = my.out_path ? 
+          require('path').join(my.out_path,
+                               module.name + '.out') : null;
+        if(!out) {
+          return cb_(common.err('Impossible to retrieve `out_path`',
+                                'module_manager:no_out_path'));
+        }
+        fs.readFile(out, function(err, data) {
           if(err) {
             return cb_(err);
           }
-          //console.log(data);
-          return cb_();
+          return cb_(null, data.toString());
         });
       }
-    ], function(err) {
-      var i = my.install_modules[path];
-      delete my.install_modules[path];
+    ], cb_);
+  };
 
-      that.emit('state_change', module);
-      i.callbacks.forEach(function(cb_) {
-        return cb_(err, module);
-      });
+  // ### describe
+  //
+  // Describes the interface (procedures and events) advertised by running
+  // modules. If no name is specified all running modules are described along
+  // with the `core` module procedures.
+  // ```
+  // @name {string} the module name [optional]
+  // @cb_  {function(err, interfaces)} interfaces keyed by module name
+  // ```
+  describe = function(name, cb_) {
+    var interfaces = {};
+    var core = {
+      procedures: {},
+      events: {}
+    };
+    Object.keys(my.core_module.procedures).forEach(function(proc) {
+      core.procedures[proc] = {
+        capability: my.core_module.capabilities[proc]
+      };
+    });
+    interfaces[my.core_module.name] = core;
+    Object.keys(my.running_modules).forEach(function(n) {
+      interfaces[n] = my.running_modules[n].interface || {
+        procedures: {},
+        events: {}
+      };
     });
+    if(name) {
+      if(!interfaces[name]) {
+        return cb_(common.err('Module not running: ' + name,
+                              'module_manager:module_not_running'));
+      }
+      var res = {};
+      res[name] = interfaces[name];
+      return cb_(null, res);
+    }
+    return cb_(null, interfaces);
   };
 
-  // ### remove
+  /****************************************************************************/
+  /* PUBLIC RUN/KILL MODULE */
+  /****************************************************************************/
+  // ### run_module
   //
-  // Remove the module from the module database and delete it from filesystem.
+  // Attemps to locally install the module and run it. It sets up all the hooks
+  // required by a running module and calls the exposed `init` method on the
+  // newly created process.
   // ```
   // @path {string} the module path
   // @cb_  {function(err, module)}
   // ```
-  remove = function(path, cb_) {
+  run_module = function(path, cb_) {
     var module = null;
     async.series([
       /* Check that the module exists. */
@@ -1021,60 +3923,237 @@ var module_manager = function(spec, my) {
           }
         });
       },
-      /* Kill the module. */
       function(cb_) {
-        if(my.running_modules[module.name]) {
-          kill_module(module.path, cb_);
-        }
-        else {
-          return cb_();
+        if(my.running_modules[module.name] &&
+           my.running_modules[module.name].process) {
+          return cb_(common.err('Module already running: ' + path,
+                                'module_manager:module_running'));
         }
+        return cb_();
       },
-      /* Remove the module from the module db. */
+      /* Install the module (indempotent). */
       function(cb_) {
-        my.gig.push('core', 'module', my.gig_path, {
-          type: 'remove',
-          path: path
-        }, cb_);
+        install(path, cb_);
       },
-      /* Remove the module from filesystem if not local. */
+      /* Finally run the module. */
       function(cb_) {
-        if(expand_path(path).type === 'github') {
-          fs.remove(storage_path(path), cb_)
+        common.log.out('[module_manager] `run_module`: ' + 
+                       module.name + ' [' + path + ']');
+        delete my.crashed_modules[module.name];
+        my.running_modules[module.name] = my.running_modules[module.name] || {
+          process: null,
+          name: module.name,
+          path: path,
+          restart: 0,
+          registrations: [],
+          need_restart: false,
+          initialized: false,
+          started: false,
+          init_callbacks: []
+        };
+        my.running_modules[module.name].health = {
+          status: 'unknown',
+          latency: null,
+          last_ping: null,
+          last_reply: null,
+          missed: 0
+        };
+        my.running_modules[module.name].pinging = false;
+        /* Permissions are refreshed on each run as they may have changed   */
+        /* with an update of the module.                                    */
+        my.running_modules[module.name].permissions = 
+          Array.isArray(module.permissions) ? module.permissions : null;
+        my.running_modules[module.name].restart_policy = module.restart_policy;
+        my.running_modules[module.name].limits = module.limits || null;
+        my.running_modules[module.name].stats = {
+          msg_in: 0,
+          msg_out: 0,
+          rpc_calls: 0,
+          rpc_latency: 0,
+          rpc_latency_max: 0,
+          memory: null,
+          cpu: null,
+          ticks: null,
+          over: 0,
+          sampled_at: null
+        };
+
+        var args = ['--no-chrome'];
+        if(common.DEBUG) args.push('--debug');
+
+        var exec_args = process.execArgv.slice();
+        if(module.limits && typeof module.limits.memory === 'number') {
+          exec_args.push('--max-old-space-size=' + 
+                         Math.floor(module.limits.memory));
         }
-        if(expand_path(path).type === 'local') {
-          return cb_();
+
+        var p = child_process.fork(storage_path(path), args, { 
+          silent: !my.session.off_the_record(),
+          execArgv: exec_args
+        });
+        if(my.out_path) {
+          var s_path = require('path').join(my.out_path, module.name + '.out');
+          var s = fs.createWriteStream(s_path, { 
+            flags: (my.running_modules[module.name].restart === 0 ? 'w' : 'a')
+          });
+          p.stdout.pipe(s);
+          p.stderr.pipe(s);
+        }
+        my.running_modules[module.name].process = p;
+        my.running_modules[module.name].started_at = Date.now();
+        clearTimeout(my.running_modules[module.name].restart_itv);
+
+        if(module.hot_reload && expand_path(path).type === 'local') {
+          watch_module(module);
+        }
+
+        /* An updated module is on trial until it stayed up (and responsive) */
+        /* for `ROLLBACK_WINDOW`. Its update is then confirmed.               */
+        var r = my.running_modules[module.name];
+        clearTimeout(r.trial_itv);
+        r.trial = !!(module.previous && !module.confirmed);
+        if(r.trial) {
+          r.trial_itv = setTimeout(function() {
+            if(my.running_modules[module.name] !== r || r.process !== p || 
+               r.health.status === 'unresponsive') {
+              return;
+            }
+            r.trial = false;
+            common.log.out('[module_manager] Update confirmed: ' + 
+                           module.name + ' [' + module.version + ']');
+            my.gig.push('core', 'module', my.gig_path, {
+              type: 'set',
+              path: path,
+              key: 'confirmed',
+              value: true
+            }, function(err) {
+              if(err) {
+                common.log.error(err);
+              }
+            });
+          }, my.ROLLBACK_WINDOW);
         }
+
+        p.on('exit', function(code, signal) {
+          /* For now all modules are supposed to be longlived. So any module */
+          /* exiting is treated as an error and the module is restarted      */
+          /* according to its restart policy.                                */
+          common.log.out('[module_manager] Module exited unexpectedly: ' + 
+                         path + ' [' + code + ', ' + signal + ']');
+          p.removeAllListeners();
+          var r = my.running_modules[module.name];
+          /* The policy may have been changed since the module was run. */
+          var policy = restart_policy(r);
+
+          delete r.process;
+          delete r.interface;
+          /* Registrations are made again by the restarted process. */
+          r.registrations.forEach(function(reg) {
+            Object.keys(reg.coalesced).forEach(function(k) {
+              clearTimeout(reg.coalesced[k].itv);
+            });
+          });
+          r.registrations = [];
+          r.initialized = false;
+          r.started = false;
+          fail_rpc_calls(module.name);
+
+          /* A module that stayed up long enough is considered healthy. */
+          if(Date.now() - r.started_at >= policy.reset_after) {
+            r.restart = 0;
+          }
+
+          crash_report(module, code, signal, function(err, report) {
+            report.reason = r.kill_reason || null;
+            delete r.kill_reason;
+            /* The module may have been killed in the meantime. */
+            if(my.running_modules[module.name] !== r) {
+              report.restarting = false;
+            }
+            else if(r.trial) {
+              /* A freshly updated module is rolled back instead of being */
+              /* restarted.                                               */
+              report.restarting = false;
+              report.rollback = true;
+              clearTimeout(r.trial_itv);
+              flush_init(module.name);
+              delete my.running_modules[module.name];
+              rollback(module.name, 'crash', function(err) {
+                if(err) {
+                  common.log.error(err);
+                }
+              });
+            }
+            else if(r.restart < policy.max_restarts) {
+              report.restarting = true;
+              report.delay = module_util.restart_delay(policy, r.restart);
+              common.log.out('[module_manager] Restarting: ' + module.name + 
+                             ' in ' + report.delay + 'ms');
+              r.restart++;
+              r.restart_itv = setTimeout(function() {
+                run_module(path, function(err) {
+                  if(err) {
+                    common.log.error(err);
+                  }
+                });
+              }, report.delay);
+            }
+            else {
+              /* Past `max_restarts` we stop restarting the module and mark */
+              /* it as crashed.                                             */
+              common.log.out('[module_manager] Giving up on: ' + module.name);
+              report.restarting = false;
+              my.crashed_modules[module.name] = true;
+              flush_init(module.name);
+              delete my.running_modules[module.name];
+            }
+            my.crash_reports[module.name] = report;
+            core_emit('modules:crashed', report);
+            that.emit('state_change', module);
+          });
+        });
+
+        p.on('message', function(msg) {
+          if(msg && msg.hdr && 
+             msg.hdr.typ === 'event' &&
+             msg.typ === 'internal:ready') {
+            init_module(module.name);
+          }
+          /* Replies to health pings do not go through `dispatch`. */
+          else if(msg && msg.hdr &&
+                  msg.hdr.typ === 'rpc_reply' &&
+                  msg.dst === my.core_module.name &&
+                  msg.prc === 'ping' &&
+                  my.core_module.pings[msg.oid]) {
+            ping_reply(msg);
+          }
+          else if(msg && msg.hdr && 
+                  typeof msg.hdr.typ === 'string' &&
+                  typeof msg.hdr.mid === 'number') {
+            msg.hdr.src = module.name;
+            dispatch(msg);
+          }
+          /* Otherwise we ignore the message. */
+        });
+
+        return cb_();
       }
     ], function(err) {
+      that.emit('state_change', module);
       return cb_(err, module);
     });
   };
 
-  // ### update
-  //
-  // Attemps to update a module. 
-  //
-  // - If the module is local, the update action has no effect.
-  // - If the module is tracking the tag #master, the update action will destroy
-  // the local copy of the module and download the most recent #master version.
-  // - If the module is tracking a tag, it will attempt to retrieve the new tag
-  // and install the files locally to finally update the module information to
-  // point the new tag. If no new tag is available, then the update action has
-  // no effect.
-  //
-  // The update action can be performed on a running or stopped module. The path
-  // provided must be a fully epxlicited (tag) path of an existing module.
+  // ### kill_module
   //
-  // If the update action had any effect and an old version module is running,
-  // it's `need_restart` flag is set to true.
+  // Stops a module by calling its `kill` method (with timeout) and finally
+  // shutting down its process.
   // ```
   // @path {string} the module path
   // @cb_  {function(err, module)}
   // ```
-  update = function(path, cb_) {
+  kill_module = function(path, cb_) {
     var module = null;
-    var need_restart = false;
     async.series([
       /* Check that the module exists. */
       function(cb_) {
@@ -1092,82 +4171,174 @@ var module_manager = function(spec, my) {
           }
         });
       },
-      /* Retrieves the module package.json. */
+      /* Kill. */
       function(cb_) {
-        if(expand_path(path).type === 'local') {
+        /* The order of events here is quite important as while we are        */
+        /* killing a module it must still be able to communicate (clean up    */
+        /* controls as an example) so he must remind in the `running_modules` */
+        /* object but once he's done and has exited he must not be restarted. */
+        /* We therefore replace the exit listener and install a timeout       */
+        /* before sending a final `kill` rpc as the core module.              */
+        unwatch_module(module.name);
+
+        if(my.running_modules[module.name] &&
+           !my.running_modules[module.name].process) {
+          /* The module is waiting to be restarted, we just cancel it.       */
+          clearTimeout(my.running_modules[module.name].restart_itv);
+          flush_init(module.name);
+          delete my.running_modules[module.name];
           return cb_();
         }
-        if(expand_path(path).type === 'github') {
-          augment_path(path.split('#')[0], function(err, p) {
-            if(err) {
-              return cb_(err);
-            }
-            else if(expand_path(path).tag !== expand_path(p).tag) {
-              common.log.out('[module_manager] Updating ' + path + ' to ' + p);
-              path = p;
-              add(path, true, cb_);
-            }
-            else if(expand_path(path).tag === 'master') {
-              common.log.out('[module_manager] Updating ' + path);
-              fs.remove(storage_path(path), cb_)
+        else if(my.running_modules[module.name]) {
+          /* We send the final `kill` rpc call but do not listen for the      */
+          /* response as the only proper response is fore the module to exit. */
+          core_call(module.name, 'kill', null, function(err) {
+            if(err && err.name !== 'module_exited') {
+              common.log.error(err);
             }
-            else {
-              return cb_();
+          });
+
+          /* We replace the `exit` listener so that the module does not get */
+          /* restarted automatically once it exits.                         */
+          my.running_modules[module.name].process.removeAllListeners('exit');
+
+          /* A timeout is setup to kill the module if it failed to exit on */
+          /* its own in the next 5s.                                       */
+          var itv = setTimeout(function() {
+            if(my.running_modules[module.name]) {
+              common.log.out('[module_manager] Module forced kill: ' + 
+                             module.name);
+              my.running_modules[module.name].process.kill();
             }
+          }, 5 * 1000);
+
+          common.log.out('[module_manager] sending kill: ' + module.name);
+          my.running_modules[module.name].process.on('exit', function() {
+            common.log.out('[module_manager] Module exited after ' + 
+                           '`kill_module`: ' + module.name);
+            my.running_modules[module.name].process.removeAllListeners();
+            fail_rpc_calls(module.name);
+            flush_init(module.name);
+            delete my.running_modules[module.name];
+            clearTimeout(itv);
+            return cb_();
           });
         }
-      },
-      /* We run the final install. */
-      function(cb_) {
-        install(path, cb_);
-      },
-      /* We check the new version of the module. */
+        else {
+          return cb_();
+        }
+      }
+    ], function(err) {
+      that.emit('state_change', module);
+      return cb_(err, module);
+    });
+  };
+
+
+  // ### run_modules
+  //
+  // Runs all the modules of the session in two phases. Modules are first run
+  // and initialized (`init`) one after the other in dependency order, then
+  // started (`start`) in the same order. The `modules:all_ready` event is
+  // emitted once all modules have started. Modules failing to run, not
+  // initialized within `READY_TIMEOUT` ms or part of a dependency cycle are
+  // logged and skipped (a module initialized late is still started).
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  run_modules = function(cb_) {
+    var order = [];
+    async.series([
       function(cb_) {
         my.gig.get('core', 'module', my.gig_path, function(err, modules) {
           if(err) {
             return cb_(err);
           }
-          if(!modules[path]) {
-            return cb_(common.err('Module unknown: ' + path,
-                                  'module_manager:module_unknown'));
-          }
-          else {
-            if(module.version !== modules[path].version) {
-              need_restart = true;
-            }
-            module = modules[path];
-            return cb_();
-          }
+          var res = module_util.start_order(Object.keys(modules).map(
+            function(p) {
+              return modules[p];
+            }));
+          res.cycles.forEach(function(cycle) {
+            common.log.out('[module_manager] Skipping modules in dependency ' +
+                           'cycle: ' + cycle.join(' > '));
+          });
+          order = res.ordered;
+          return cb_();
         });
       },
-      /* We finally mark updated running modules as need_restar. */
+      /* Phase 1: run and `init` modules in dependency order. */
       function(cb_) {
-        if(my.running_modules[module.name]) {
-          my.running_modules[module.name].need_restart =
-            my.running_modules[module.name].need_restart || need_restart;
-        }
-        if(need_restart) {
-          common.log.out('[module_manager] Update ready for ' + 
-                         module.path + ' [' + module.version + ']');
-          that.emit('update_ready', module);
-        }
-        return cb_();
+        my.holding_start = true;
+        async.eachSeries(order, function(m, cb_) {
+          run_module(m.path, function(err) {
+            if(err) {
+              common.log.error(err);
+              return cb_();
+            }
+            if(!my.running_modules[m.name] ||
+               my.running_modules[m.name].initialized) {
+              return cb_();
+            }
+            var ready = common.once(function() {
+              clearTimeout(itv);
+              return cb_();
+            });
+            var itv = setTimeout(function() {
+              common.log.out('[module_manager] Module not ready after ' +
+                             my.READY_TIMEOUT + 'ms, skipping: ' + m.name);
+              if(my.running_modules[m.name]) {
+                common.remove(my.running_modules[m.name].init_callbacks, 
+                              ready);
+              }
+              return ready();
+            }, my.READY_TIMEOUT);
+            my.running_modules[m.name].init_callbacks.push(ready);
+          });
+        }, cb_);
+      },
+      /* Phase 2: `start` initialized modules in the same order. */
+      function(cb_) {
+        my.holding_start = false;
+        async.eachSeries(order, function(m, cb_) {
+          if(my.running_modules[m.name] && 
+             my.running_modules[m.name].initialized &&
+             !my.running_modules[m.name].started) {
+            return start_module(m.name, cb_);
+          }
+          return cb_();
+        }, cb_);
       }
     ], function(err) {
-      return cb_(err, module);
+      my.holding_start = false;
+      if(err) {
+        return cb_(err);
+      }
+      common.log.out('[module_manager] All modules ready.');
+      core_emit('modules:all_ready', {
+        modules: order.filter(function(m) {
+          return my.running_modules[m.name] && 
+            my.running_modules[m.name].started;
+        }).map(function(m) {
+          return m.name;
+        })
+      });
+      return cb_();
     });
   };
 
-  // ### output
+  // ### set_restart_policy
   //
-  // Retrieves the module output
+  // Sets the restart policy of a module. Unspecified fields are reset to the
+  // default policy. The policy applies to the running module on its next exit.
   // ```
-  // @path {string} the module path
-  // @cb_  {function(err, module)}
+  // @path   {string} the module path
+  // @policy {object} { max_restarts, backoff, max_backoff, reset_after,
+  //                    max_missed, restart_unresponsive }
+  // @cb_    {function(err, module)}
   // ```
-  output = function(path, cb_) {
+  set_restart_policy = function(path, policy, cb_) {
     var module = null;
-    async.waterfall([
+    async.series([
       /* Check that the module exists. */
       function(cb_) {
         my.gig.get('core', 'module', my.gig_path, function(err, modules) {
@@ -1184,34 +4355,52 @@ var module_manager = function(spec, my) {
           }
         });
       },
+      /* Check the policy. */
       function(cb_) {
-        var out = my.out_path ? 
-          require('path').join(my.out_path,
-                               module.name + '.out') : null;
-        if(!out) {
-          return cb_(common.err('Impossible to retrieve `out_path`',
-                                'module_manager:no_out_path'));
+        policy = policy || {};
+        var invalid = module_util.invalid_policy(my.RESTART_POLICY, policy);
+        if(invalid.length > 0) {
+          return cb_(common.err('Invalid restart policy: ' + invalid.join(', '),
+                                'module_manager:invalid_restart_policy'));
         }
-        fs.readFile(out, function(err, data) {
-          return cb_(err, data.toString());
+        return cb_();
+      },
+      function(cb_) {
+        my.gig.push('core', 'module', my.gig_path, {
+          type: 'set',
+          path: path,
+          key: 'restart_policy',
+          value: policy
+        }, function(err) {
+          if(err) {
+            return cb_(err);
+          }
+          module.restart_policy = policy;
+          if(my.running_modules[module.name] &&
+             my.running_modules[module.name].path === path) {
+            my.running_modules[module.name].restart_policy = policy;
+          }
+          return cb_();
         });
       }
-    ], cb_);
+    ], function(err) {
+      if(module) {
+        that.emit('state_change', module);
+      }
+      return cb_(err, module);
+    });
   };
 
-  /****************************************************************************/
-  /* PUBLIC RUN/KILL MODULE */
-  /****************************************************************************/
-  // ### run_module
+  // ### set_hot_reload
   //
-  // Attemps to locally install the module and run it. It sets up all the hooks
-  // required by a running module and calls the exposed `init` method on the
-  // newly created process.
+  // Enables or disables hot reload for a `local:` module. The module directory
+  // is watched while it runs.
   // ```
-  // @path {string} the module path
-  // @cb_  {function(err, module)}
+  // @path    {string} the module path
+  // @enabled {boolean} whether hot reload is enabled
+  // @cb_     {function(err, module)}
   // ```
-  run_module = function(path, cb_) {
+  set_hot_reload = function(path, enabled, cb_) {
     var module = null;
     async.series([
       /* Check that the module exists. */
@@ -1231,110 +4420,48 @@ var module_manager = function(spec, my) {
         });
       },
       function(cb_) {
-        if(my.running_modules[module.name] &&
-           my.running_modules[module.name].process) {
-          return cb_(common.err('Module already running: ' + path,
-                                'module_manager:module_running'));
+        if(expand_path(path).type !== 'local') {
+          return cb_(common.err('Hot reload requires a local module: ' + path,
+                                'module_manager:not_local'));
         }
         return cb_();
       },
-      /* Install the module (indempotent). */
       function(cb_) {
-        install(path, cb_);
+        my.gig.push('core', 'module', my.gig_path, {
+          type: 'set',
+          path: path,
+          key: 'hot_reload',
+          value: !!enabled
+        }, cb_);
       },
-      /* Finally run the module. */
       function(cb_) {
-        common.log.out('[module_manager] `run_module`: ' + 
-                       module.name + ' [' + path + ']');
-        my.running_modules[module.name] = my.running_modules[module.name] || {
-          process: null,
-          name: module.name,
-          path: path,
-          restart: 0,
-          registrations: [],
-          need_restart: false
-        };
-
-        var args = ['--no-chrome'];
-        if(common.DEBUG) args.push('--debug');
-
-        var p = child_process.fork(storage_path(path), args, { 
-          silent: !my.session.off_the_record()
-        });
-        if(my.out_path) {
-          var s_path = require('path').join(my.out_path, module.name + '.out');
-          var s = fs.createWriteStream(s_path, { 
-            flags: (my.running_modules[module.name].restart === 0 ? 'w' : 'a')
-          });
-          p.stdout.pipe(s);
-          p.stderr.pipe(s);
+        if(!enabled) {
+          unwatch_module(module.name);
+        }
+        else if(my.running_modules[module.name] &&
+                my.running_modules[module.name].path === path) {
+          watch_module(module);
         }
-        my.running_modules[module.name].process = p;
-
-        p.on('exit', function(code) {
-          /* For now all modules are supposed to be longlived. So any module */
-          /* exiting is treated as an error and the module is restarted.     */
-          common.log.out('[module_manager] Module exited unexpectedly: ' + 
-                         path);
-          p.removeAllListeners();
-          delete my.running_modules[module.name].process;
-
-          if(my.running_modules[module.name].restart < 3) {
-            common.log.out('[module_manager] Restarting: ' + module.name);
-            my.running_modules[module.name].restart++;
-            run_module(path, function(err) {
-              if(err) {
-                common.log.error(err);
-              }
-            });
-          }
-          else {
-            /* After 3 restarts we stop restarting the module. */
-            delete my.running_modules[module.name];
-          }
-        });
-
-        p.on('message', function(msg) {
-          if(msg && msg.hdr && 
-             msg.hdr.typ === 'event' &&
-             msg.typ === 'internal:ready') {
-            dispatch({
-              hdr: { 
-                typ: 'rpc_call', 
-                src: my.core_module.name, 
-                mid: ++my.core_module.message_id,
-                ver: my.VERSION
-              },
-              dst: module.name,
-              prc: 'init'
-            });
-          }
-          else if(msg && msg.hdr && 
-                  typeof msg.hdr.typ === 'string' &&
-                  typeof msg.hdr.mid === 'number') {
-            msg.hdr.src = module.name;
-            dispatch(msg);
-          }
-          /* Otherwise we ignore the message. */
-        });
-
         return cb_();
       }
     ], function(err) {
-      that.emit('state_change', module);
+      if(module) {
+        that.emit('state_change', module);
+      }
       return cb_(err, module);
     });
   };
 
-  // ### kill_module
+  // ### grant_permissions
   //
-  // Stops a module by calling its `kill` method (with timeout) and finally
-  // shutting down its process.
+  // Grants a module the permissions it requested when it was added
+  // (`requested_permissions`). Must only be called once the user confirmed
+  // them.
   // ```
   // @path {string} the module path
   // @cb_  {function(err, module)}
   // ```
-  kill_module = function(path, cb_) {
+  grant_permissions = function(path, cb_) {
     var module = null;
     async.series([
       /* Check that the module exists. */
@@ -1353,58 +4480,306 @@ var module_manager = function(spec, my) {
           }
         });
       },
-      /* Kill. */
       function(cb_) {
-        /* The order of events here is quite important as while we are        */
-        /* killing a module it must still be able to communicate (clean up    */
-        /* controls as an example) so he must remind in the `running_modules` */
-        /* object but once he's done and has exited he must not be restarted. */
-        /* We therefore replace the exit listener and install a timeout       */
-        /* before sending a final `kill` rpc as the core module.              */
+        if(!module.requested_permissions) {
+          return cb_();
+        }
+        var permissions = module.requested_permissions;
+        async.eachSeries([
+          { key: 'permissions', value: permissions },
+          { key: 'requested_permissions', value: null }
+        ], function(s, cb_) {
+          my.gig.push('core', 'module', my.gig_path, {
+            type: 'set',
+            path: path,
+            key: s.key,
+            value: s.value
+          }, cb_);
+        }, function(err) {
+          if(err) {
+            return cb_(err);
+          }
+          common.log.out('[module_manager] Permissions granted to ' + path +
+                         ': ' + permissions.join(', '));
+          if(my.running_modules[module.name] &&
+             my.running_modules[module.name].path === path) {
+            my.running_modules[module.name].permissions = permissions;
+          }
+          return cb_();
+        });
+      }
+    ], function(err) {
+      if(module) {
+        that.emit('state_change', module);
+      }
+      return cb_(err, module);
+    });
+  };
 
-        if(my.running_modules[module.name]) {
-          /* We send the final `kill` rpc call but do not listen for the      */
-          /* response as the only proper response is fore the module to exit. */
-          core_call(module.name, 'kill', null, function(err) {
-            if(err) {
-              common.log.error(err);
-            }
-          });
+  // ### signature_config
+  //
+  // Retrieves the signature configuration of the session: the signature
+  // policy, the keys of the session keyring and the keys pending trust.
+  // ```
+  // @cb_ {function(err, config)} config is `{ policy, keys, pending }`
+  // ```
+  signature_config = function(cb_) {
+    my.gig.get('core', 'module_config', my.config_path, function(err, config) {
+      if(err) {
+        return cb_(err);
+      }
+      var keys = [];
+      try {
+        keys = signature.keyring(my.keyring_path).getAllKeys()
+          .map(signature.describe_key);
+      }
+      catch(err) {
+        return cb_(err);
+      }
+      var pending = [];
+      (config.pending_keys || []).forEach(function(p) {
+        pending = pending.concat(p.keys);
+      });
+      return cb_(null, {
+        policy: my.SIGNATURE_POLICIES.indexOf(config.signature_policy) !== -1 ?
+          config.signature_policy : my.SIGNATURE_POLICY,
+        keys: keys,
+        pending: pending
+      });
+    });
+  };
 
-          /* We replace the `exit` listener so that the module does not get */
-          /* restarted automatically once it exits.                         */
-          my.running_modules[module.name].process.removeAllListeners('exit');
+  // ### set_signature_policy
+  //
+  // Sets the signature policy of the session. It applies to modules
+  // downloaded or installed from then on.
+  // ```
+  // @policy {string} `off`, `warn` or `require`
+  // @cb_    {function(err, config)}
+  // ```
+  set_signature_policy = function(policy, cb_) {
+    if(my.SIGNATURE_POLICIES.indexOf(policy) === -1) {
+      return cb_(common.err('Invalid signature policy: ' + policy,
+                            'module_manager:invalid_signature_policy'));
+    }
+    my.gig.push('core', 'module_config', my.config_path, {
+      type: 'set',
+      key: 'signature_policy',
+      value: policy
+    }, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      that.emit('signature_change');
+      return signature_config(cb_);
+    });
+  };
 
-          /* A timeout is setup to kill the module if it failed to exit on */
-          /* its own in the next 5s.                                       */
-          var itv = setTimeout(function() {
-            if(my.running_modules[module.name]) {
-              common.log.out('[module_manager] Module forced kill: ' + 
-                             module.name);
-              my.running_modules[module.name].process.kill();
-            }
-          }, 5 * 1000);
+  // ### trust_key
+  //
+  // Submits an armored public key to be added to the session keyring. The key
+  // is only pending trust until the user confirms it (`confirm_key`).
+  // ```
+  // @armored {string} the armored public key
+  // @cb_     {function(err, keys)} the description of the pending keys
+  // ```
+  trust_key = function(armored, cb_) {
+    var keys = null;
+    try {
+      keys = signature.read_key(armored);
+    }
+    catch(err) {
+      return cb_(err);
+    }
+    var fingerprints = keys.map(function(k) {
+      return k.fingerprint;
+    });
+    my.gig.get('core', 'module_config', my.config_path, function(err, config) {
+      if(err) {
+        return cb_(err);
+      }
+      /* A key submitted again replaces its previous submission. */
+      var pending = (config.pending_keys || []).filter(function(p) {
+        return !p.keys.some(function(k) {
+          return fingerprints.indexOf(k.fingerprint) !== -1;
+        });
+      });
+      pending.push({
+        armored: armored,
+        keys: keys
+      });
+      my.gig.push('core', 'module_config', my.config_path, {
+        type: 'set',
+        key: 'pending_keys',
+        value: pending
+      }, function(err) {
+        if(err) {
+          return cb_(err);
+        }
+        keys.forEach(function(k) {
+          common.log.out('[module_manager] Key pending trust ' + 
+                         k.fingerprint + ' [' + k.user + ']');
+        });
+        that.emit('signature_change');
+        return cb_(null, keys);
+      });
+    });
+  };
 
-          common.log.out('[module_manager] sending kill: ' + module.name);
-          my.running_modules[module.name].process.on('exit', function() {
-            common.log.out('[module_manager] Module exited after ' + 
-                           '`kill_module`: ' + module.name);
-            my.running_modules[module.name].process.removeAllListeners();
-            delete my.running_modules[module.name];
-            clearTimeout(itv);
-            return cb_();
+  // ### confirm_key
+  //
+  // Adds a key pending trust to the session keyring (along with the keys it
+  // was submitted with). Recorded signature verifications are reset. Must only
+  // be called once the user confirmed the key.
+  // ```
+  // @fingerprint {string} the key fingerprint
+  // @cb_         {function(err, keys)} the description of the imported keys
+  // ```
+  confirm_key = function(fingerprint, cb_) {
+    var keys = null;
+    async.series([
+      function(cb_) {
+        my.gig.get('core', 'module_config', my.config_path, 
+                   function(err, config) {
+          if(err) {
+            return cb_(err);
+          }
+          var found = null;
+          var pending = (config.pending_keys || []).filter(function(p) {
+            if(p.keys.some(function(k) {
+              return k.fingerprint === fingerprint;
+            })) {
+              found = p;
+              return false;
+            }
+            return true;
           });
-        }
-        else {
-          return cb_();
-        }
+          if(!found) {
+            return cb_(common.err('Unknown pending key ' + fingerprint,
+                                  'module_manager:unknown_key'));
+          }
+          try {
+            keys = signature.import_key(my.keyring_path, found.armored);
+          }
+          catch(err) {
+            return cb_(err);
+          }
+          keys.forEach(function(k) {
+            common.log.out('[module_manager] Trusted key ' + k.fingerprint + 
+                           ' [' + k.user + ']');
+          });
+          my.gig.push('core', 'module_config', my.config_path, {
+            type: 'set',
+            key: 'pending_keys',
+            value: pending
+          }, cb_);
+        });
+      },
+      function(cb_) {
+        reset_signatures(cb_);
       }
     ], function(err) {
-      that.emit('state_change', module);
-      return cb_(err, module);
+      that.emit('signature_change');
+      return cb_(err, keys);
+    });
+  };
+
+  // ### dismiss_key
+  //
+  // Discards a key pending trust (along with the keys it was submitted with).
+  // ```
+  // @fingerprint {string} the key fingerprint
+  // @cb_         {function(err)}
+  // ```
+  dismiss_key = function(fingerprint, cb_) {
+    my.gig.get('core', 'module_config', my.config_path, function(err, config) {
+      if(err) {
+        return cb_(err);
+      }
+      var pending = (config.pending_keys || []).filter(function(p) {
+        return !p.keys.some(function(k) {
+          return k.fingerprint === fingerprint;
+        });
+      });
+      my.gig.push('core', 'module_config', my.config_path, {
+        type: 'set',
+        key: 'pending_keys',
+        value: pending
+      }, function(err) {
+        if(err) {
+          return cb_(err);
+        }
+        common.log.out('[module_manager] Dismissed key ' + fingerprint);
+        that.emit('signature_change');
+        return cb_();
+      });
     });
   };
 
+  // ### untrust_key
+  //
+  // Removes a key from the session keyring by fingerprint. Recorded signature
+  // verifications are reset.
+  // ```
+  // @fingerprint {string} the key fingerprint
+  // @cb_         {function(err)}
+  // ```
+  untrust_key = function(fingerprint, cb_) {
+    try {
+      signature.remove_key(my.keyring_path, fingerprint);
+    }
+    catch(err) {
+      return cb_(err);
+    }
+    common.log.out('[module_manager] Untrusted key ' + fingerprint);
+    that.emit('signature_change');
+    reset_signatures(cb_);
+  };
+
+  // ### health
+  //
+  // Retrieves the health data of running modules.
+  // ```
+  // @name {string} the module name [optional]
+  // @cb_  {function(err, health)} health data keyed by module name
+  // ```
+  health = function(name, cb_) {
+    var res = {};
+    Object.keys(my.running_modules).forEach(function(n) {
+      if(!name || name === n) {
+        res[n] = my.running_modules[n].health;
+      }
+    });
+    if(name && !res[name]) {
+      return cb_(common.err('Module not running: ' + name,
+                            'module_manager:module_not_running'));
+    }
+    return cb_(null, res);
+  };
+
+  // ### stats
+  //
+  // Retrieves the resource usage and message counters of running modules.
+  // ```
+  // @name {string} the module name [optional]
+  // @cb_  {function(err, stats)} stats keyed by module name
+  // ```
+  stats = function(name, cb_) {
+    var res = {};
+    Object.keys(my.running_modules).forEach(function(n) {
+      if(!name || name === n) {
+        res[n] = {
+          limits: my.running_modules[n].limits,
+          stats: my.running_modules[n].stats
+        };
+      }
+    });
+    if(name && !res[name]) {
+      return cb_(common.err('Module not running: ' + name,
+                            'module_manager:module_not_running'));
+    }
+    return cb_(null, res);
+  };
 
   /****************************************************************************/
   /* INIT / KILL */
@@ -1425,6 +4800,7 @@ var module_manager = function(spec, my) {
       /* Initialization. */
       function(cb_) {
         my.gig.register('module', gig_module_reducer);
+        my.gig.register('module_config', gig_config_reducer);
         return cb_();
       },
       function(cb_) {
@@ -1432,11 +4808,24 @@ var module_manager = function(spec, my) {
           if(err) { 
             return cb_(err);
           }
+          if(my.mirror) {
+            /* Dependencies are installed from the mirror cache first. */
+            return npm.load({
+              cache: my.mirror.npm_cache(),
+              'cache-min': 1000 * 60 * 60 * 24 * 365
+            }, cb_);
+          }
           return npm.load({
             cache: require('path').join(my.modules_path, 'extract', 'npm_cache')
           }, cb_);
         });
       },
+      function(cb_) {
+        if(my.mirror) {
+          return my.mirror.init(cb_);
+        }
+        return cb_();
+      },
       function(cb_) {
         if(my.out_path) {
           mkdirp(my.out_path, cb_);
@@ -1446,10 +4835,16 @@ var module_manager = function(spec, my) {
         }
       },
       function(cb_) {
+        /* No module runs in direct mode. */
+        if(my.direct) {
+          return cb_();
+        }
         if(!process.env['BREACH_NO_AUTO_UPDATE']) {
           setTimeout(auto_update, 1000 * 60 * 5);
           setInterval(auto_update, my.UPDATE_FREQUENCY);
         }
+        my.health_itv = setInterval(health_check, my.HEALTH_FREQUENCY);
+        my.stats_itv = setInterval(sample_stats, my.STATS_FREQUENCY);
         return cb_();
       }
     ], function(err) {
@@ -1466,6 +4861,9 @@ var module_manager = function(spec, my) {
   // @cb_ {function(err)}
   // ```
   kill = function(cb_) {
+    clearInterval(my.health_itv);
+    clearInterval(my.stats_itv);
+    Object.keys(my.watchers).forEach(unwatch_module);
     async.each(Object.keys(my.running_modules), function(name, cb_) {
       kill_module(my.running_modules[name].path, cb_);
     }, function(err) {
@@ -1473,6 +4871,10 @@ var module_manager = function(spec, my) {
         return cb_(err);
       }
       common.log.out('[module_manager] All modules stopped.');
+      /* The bus trace is closed once the last messages are recorded. */
+      if(common.msg_trace) {
+        return common.msg_trace.kill(cb_);
+      }
       return cb_();
     });
   };
@@ -1480,16 +4882,34 @@ var module_manager = function(spec, my) {
   common.method(that, 'core_expose', core_expose, _super);
   common.method(that, 'core_call', core_call, _super);
   common.method(that, 'core_emit', core_emit, _super);
+  common.method(that, 'registered', registered, _super);
 
   common.method(that, 'add', add, _super);
   common.method(that, 'list', list, _super); 
   common.method(that, 'install', install, _super);
   common.method(that, 'remove', remove, _super);
   common.method(that, 'update', update, _super);
+  common.method(that, 'outdated', outdated, _super);
+  common.method(that, 'populate_mirror', populate_mirror, _super);
+  common.method(that, 'export_lock', export_lock, _super);
+  common.method(that, 'import_lock', import_lock, _super);
   common.method(that, 'output', output, _super);
+  common.method(that, 'describe', describe, _super);
 
   common.method(that, 'run_module', run_module, _super);
   common.method(that, 'kill_module', kill_module, _super);
+  common.method(that, 'run_modules', run_modules, _super);
+  common.method(that, 'set_restart_policy', set_restart_policy, _super);
+  common.method(that, 'set_hot_reload', set_hot_reload, _super);
+  common.method(that, 'grant_permissions', grant_permissions, _super);
+  common.method(that, 'signature_config', signature_config, _super);
+  common.method(that, 'set_signature_policy', set_signature_policy, _super);
+  common.method(that, 'trust_key', trust_key, _super);
+  common.method(that, 'untrust_key', untrust_key, _super);
+  common.method(that, 'confirm_key', confirm_key, _super);
+  common.method(that, 'dismiss_key', dismiss_key, _super);
+  common.method(that, 'health', health, _super);
+  common.method(that, 'stats', stats, _super);
 
   common.method(that, 'init', init, _super);
   common.method(that, 'kill', kill, _super);
@@ -0,0 +1,305 @@
+/*
+ * Breach: module_mirror.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var async = require('async');
+var fs = require('fs-extra');
+var mkdirp = require('mkdirp');
+
+var common = require('./common.js');
+
+// ## module_mirror
+//
+// Local directory mirroring what the module manager retrieves from the
+// network (github, npm registry, git remotes, tarball urls) so that modules
+// can be resolved and installed on machines without network access
+// (air-gapped machines, CI). The mirror is consulted first by the module
+// manager (refs only if they cannot be retrieved upstream) and populated with
+// `module_manager.populate_mirror`.
+//
+// Mirror layout:
+// ```
+// {path}/refs/{key}.json     tags (github), refs (git) or registry metadata
+//                            (npm) of a module base path
+// {path}/modules/{key}.tgz   tarball of a module exact path (its top-level
+//                            directory is stripped on extraction)
+// {path}/modules/{key}.json  package.json of a module exact path
+// {path}/modules/{key}.asc   signature of a module exact path (if signed)
+// {path}/npm_cache/          npm cache used to install module dependencies
+// ```
+// Keys are derived from module paths with `encodeURIComponent`.
+//
+// ```
+// @spec { path }
+// ```
+var module_mirror = function(spec, my) {
+  var _super = {};
+  my = my || {};
+  spec = spec || {};
+
+  my.path = require('path').resolve(spec.path);
+
+  //
+  // _public_
+  //
+  var refs;             /* refs(base, cb_); */
+  var put_refs;         /* put_refs(base, data, cb_); */
+  var tarball;          /* tarball(path, cb_); */
+  var put_tarball;      /* put_tarball(path, stream, cb_); */
+  var package_json;     /* package_json(path, cb_); */
+  var put_package_json; /* put_package_json(path, json, cb_); */
+  var signature;        /* signature(path, cb_); */
+  var put_signature;    /* put_signature(path, data, cb_); */
+  var npm_cache;        /* npm_cache(); */
+
+  var init;             /* init(cb_); */
+
+  //
+  // _private_
+  //
+  var key;              /* key(path); */
+  var read_json;        /* read_json(file, cb_); */
+  var write_file;       /* write_file(file, data, cb_); */
+
+  //
+  // #### _that_
+  //
+  var that = {};
+
+  /****************************************************************************/
+  /* PRIVATE HELPERS */
+  /****************************************************************************/
+  // ### key
+  //
+  // Computes the file name used to store entries for a module path. The
+  // encoding is reversible so that distinct paths never share an entry.
+  // ```
+  // @path {string} a module path
+  // ```
+  key = function(path) {
+    return encodeURIComponent(path);
+  };
+
+  // ### read_json
+  //
+  // Reads a JSON file, returning null if it does not exist
+  // ```
+  // @file {string} the file path
+  // @cb_  {function(err, json)}
+  // ```
+  read_json = function(file, cb_) {
+    fs.readFile(file, function(err, data) {
+      if(err && err.code === 'ENOENT') {
+        return cb_(null, null);
+      }
+      if(err) {
+        return cb_(err);
+      }
+      try {
+        return cb_(null, JSON.parse(data));
+      }
+      catch(err) {
+        return cb_(err);
+      }
+    });
+  };
+
+  // ### write_file
+  //
+  // Writes a file through a temporary file and a rename so that readers never
+  // see a partial entry.
+  // ```
+  // @file {string} the file path
+  // @data {string|stream} the content to write
+  // @cb_  {function(err)}
+  // ```
+  write_file = function(file, data, cb_) {
+    cb_ = common.once(cb_);
+    var tmp = file + '.tmp';
+    var done = function(err) {
+      if(err) {
+        return fs.remove(tmp, function() {
+          return cb_(err);
+        });
+      }
+      fs.rename(tmp, file, cb_);
+    };
+    if(typeof data === 'string') {
+      return fs.writeFile(tmp, data, done);
+    }
+    data.on('error', done)
+      .pipe(fs.createWriteStream(tmp))
+      .on('error', done)
+      .on('finish', function() {
+        return done();
+      });
+  };
+
+  /****************************************************************************/
+  /* PUBLIC METHODS */
+  /****************************************************************************/
+  // ### refs
+  //
+  // Retrieves the mirrored refs of a module base path (null if not mirrored)
+  // ```
+  // @base {string} the module base path (without tag)
+  // @cb_  {function(err, data)}
+  // ```
+  refs = function(base, cb_) {
+    read_json(require('path').join(my.path, 'refs', key(base) + '.json'), cb_);
+  };
+
+  // ### put_refs
+  //
+  // Records the refs of a module base path
+  // ```
+  // @base {string} the module base path (without tag)
+  // @data {object} the refs to record
+  // @cb_  {function(err)}
+  // ```
+  put_refs = function(base, data, cb_) {
+    write_file(require('path').join(my.path, 'refs', key(base) + '.json'),
+               JSON.stringify(data), cb_);
+  };
+
+  // ### tarball
+  //
+  // Retrieves the location of the mirrored tarball of a module exact path
+  // (null if not mirrored)
+  // ```
+  // @path {string} the module exact path
+  // @cb_  {function(err, file)}
+  // ```
+  tarball = function(path, cb_) {
+    var file = require('path').join(my.path, 'modules', key(path) + '.tgz');
+    fs.exists(file, function(exists) {
+      return cb_(null, exists ? file : null);
+    });
+  };
+
+  // ### put_tarball
+  //
+  // Records the tarball of a module exact path
+  // ```
+  // @path   {string} the module exact path
+  // @stream {stream} the tarball stream
+  // @cb_    {function(err, file)}
+  // ```
+  put_tarball = function(path, stream, cb_) {
+    var file = require('path').join(my.path, 'modules', key(path) + '.tgz');
+    write_file(file, stream, function(err) {
+      return cb_(err, file);
+    });
+  };
+
+  // ### package_json
+  //
+  // Retrieves the mirrored package.json of a module exact path (null if not
+  // mirrored)
+  // ```
+  // @path {string} the module exact path
+  // @cb_  {function(err, json)}
+  // ```
+  package_json = function(path, cb_) {
+    read_json(require('path').join(my.path, 'modules', key(path) + '.json'),
+              cb_);
+  };
+
+  // ### put_package_json
+  //
+  // Records the package.json of a module exact path
+  // ```
+  // @path {string} the module exact path
+  // @json {object} the package.json
+  // @cb_  {function(err)}
+  // ```
+  put_package_json = function(path, json, cb_) {
+    write_file(require('path').join(my.path, 'modules', key(path) + '.json'),
+               JSON.stringify(json, null, 2), cb_);
+  };
+
+  // ### signature
+  //
+  // Retrieves the mirrored signature of a module exact path (null if not
+  // mirrored)
+  // ```
+  // @path {string} the module exact path
+  // @cb_  {function(err, data)}
+  // ```
+  signature = function(path, cb_) {
+    var file = require('path').join(my.path, 'modules', key(path) + '.asc');
+    fs.readFile(file, 'utf8', function(err, data) {
+      if(err && err.code === 'ENOENT') {
+        return cb_(null, null);
+      }
+      return cb_(err, data);
+    });
+  };
+
+  // ### put_signature
+  //
+  // Records the signature of a module exact path
+  // ```
+  // @path {string} the module exact path
+  // @data {string} the armored signature
+  // @cb_  {function(err)}
+  // ```
+  put_signature = function(path, data, cb_) {
+    write_file(require('path').join(my.path, 'modules', key(path) + '.asc'),
+               data, cb_);
+  };
+
+  // ### npm_cache
+  //
+  // Returns the npm cache directory of the mirror
+  npm_cache = function() {
+    return require('path').join(my.path, 'npm_cache');
+  };
+
+  /****************************************************************************/
+  /* INIT */
+  /****************************************************************************/
+  // ### init
+  //
+  // Creates the mirror directories if needed
+  // ```
+  // @cb_ {function(err)}
+  // ```
+  init = function(cb_) {
+    async.each(['refs', 'modules', 'npm_cache'], function(d, cb_) {
+      mkdirp(require('path').join(my.path, d), cb_);
+    }, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      common.log.out('[module_mirror] Using mirror: ' + my.path);
+      return cb_();
+    });
+  };
+
+  common.method(that, 'refs', refs, _super);
+  common.method(that, 'put_refs', put_refs, _super);
+  common.method(that, 'tarball', tarball, _super);
+  common.method(that, 'put_tarball', put_tarball, _super);
+  common.method(that, 'package_json', package_json, _super);
+  common.method(that, 'put_package_json', put_package_json, _super);
+  common.method(that, 'signature', signature, _super);
+  common.method(that, 'put_signature', put_signature, _super);
+  common.method(that, 'npm_cache', npm_cache, _super);
+
+  common.method(that, 'init', init, _super);
+
+  common.getter(that, 'path', my, 'path');
+
+  return that;
+};
+
+exports.module_mirror = module_mirror;
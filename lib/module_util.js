@@ -0,0 +1,560 @@
+/*
+ * Breach: module_util.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var semver = require('semver');
+var crypto = require('crypto');
+var async = require('async');
+var fs = require('fs-extra');
+var path = require('path');
+
+var common = require('./common.js');
+
+// ## module_util
+//
+// Stateless helpers used by the `module_manager` on module records and module
+// directories. They do not depend on the ExoBrowser API so that they can be
+// tested on their own.
+
+// ### LEGACY_PERMISSIONS
+//
+// Capabilities granted to modules that do not declare permissions: modules
+// recorded before permissions were introduced and modules whose package.json
+// has no `breach.permissions` (these request them when added). They cover
+// what modules could do before permissions were enforced.
+exports.LEGACY_PERMISSIONS = [
+  'tabs:read', 'tabs:write', 'tabs:events',
+  'controls:write', 'controls:events',
+  'store:access',
+  'cookies:events',
+  'inst:events',
+  'browser:title',
+  'session:manage',
+  'modules:read', 'modules:manage', 'modules:events',
+  'auto_update:read', 'auto_update:install', 'auto_update:events'
+];
+
+// ### has_capability
+//
+// Tests whether a capability is part of a module permissions. Modules with no
+// recorded permissions are granted `LEGACY_PERMISSIONS`.
+// ```
+// @permissions {array} the module permissions (null if not recorded)
+// @capability  {string} the capability to test (null for none required)
+// @return      {boolean} whether the capability is granted
+// ```
+exports.has_capability = function(permissions, capability) {
+  if(!capability) {
+    return true;
+  }
+  if(!Array.isArray(permissions)) {
+    permissions = exports.LEGACY_PERMISSIONS;
+  }
+  return permissions.indexOf(capability) !== -1;
+};
+
+// ### manifest_permissions
+//
+// Extracts the permissions declared in a module package.json. Modules that
+// do not declare any request `LEGACY_PERMISSIONS`. Returns null if the
+// declared permissions are invalid.
+// ```
+// @package_json {object} the module package.json
+// @return       {array} the requested capabilities or null
+// ```
+exports.manifest_permissions = function(package_json) {
+  if(!package_json.breach || 
+     typeof package_json.breach.permissions === 'undefined') {
+    return exports.LEGACY_PERMISSIONS.slice();
+  }
+  var permissions = package_json.breach.permissions;
+  if(!Array.isArray(permissions) ||
+     permissions.some(function(c) { 
+       return typeof c !== 'string'; 
+     })) {
+    return null;
+  }
+  return permissions;
+};
+
+// ### request_permissions
+//
+// Computes the permissions of a module being added: the requested
+// capabilities already granted are kept, the others are recorded as
+// `requested_permissions` until the user grants them. Freshly added modules
+// have none granted.
+// ```
+// @granted   {array} the permissions granted so far (null if not recorded)
+// @requested {array} the requested capabilities
+// @return    {object} { permissions, requested_permissions }
+// ```
+exports.request_permissions = function(granted, requested) {
+  var permissions = requested.filter(function(c) {
+    return exports.has_capability(granted, c);
+  });
+  return {
+    permissions: permissions,
+    requested_permissions: permissions.length < requested.length ? 
+      requested : null
+  };
+};
+
+// ### valid_tag
+//
+// Tests whether a github or git tag is either an exact ref name (tag, branch
+// or commit) or a semver range. Tags starting with `-` are rejected as they
+// would be taken as options by `git`.
+// ```
+// @tag    {string} the tag
+// @return {boolean} whether the tag is valid
+// ```
+var valid_tag = function(tag) {
+  if(/^\-/.test(tag)) {
+    return false;
+  }
+  return /^[a-zA-Z0-9\-_\.\/]+$/.test(tag) || semver.validRange(tag) !== null;
+};
+
+// ### expand_path
+//
+// Transforms a path string into a parsed object. Returns `null` if the path
+// is invalid.
+// ```
+// @module_path {string} a module path
+// @return      {object} { type, ... } or `null`
+// ```
+exports.expand_path = function(module_path) {
+  var github_r = 
+    /^github\:([a-zA-Z0-9\-_\.]+)\/([a-zA-Z0-9\-_\.]+)(#(.+)){0,1}$/;
+  var github_m = github_r.exec(module_path);
+  if(github_m) {
+    if(github_m[4] && !valid_tag(github_m[4])) {
+      return null;
+    }
+    return {
+      type: 'github',
+      owner: github_m[1],
+      name: github_m[2],
+      tag: github_m[4] || null
+    };
+  }
+  var npm_r = /^npm\:((@[a-zA-Z0-9\-_\.]+\/)?[a-zA-Z0-9\-_\.]+)(@(.+)){0,1}$/;
+  var npm_m = npm_r.exec(module_path);
+  if(npm_m) {
+    return {
+      type: 'npm',
+      name: npm_m[1],
+      tag: npm_m[4] || null
+    };
+  }
+  var git_r = /^git\+((https|ssh)\:\/\/[^#]+)(#(.+)){0,1}$/;
+  var git_m = git_r.exec(module_path);
+  if(git_m) {
+    if(git_m[4] && !valid_tag(git_m[4])) {
+      return null;
+    }
+    return {
+      type: 'git',
+      url: git_m[1],
+      name: path.basename(git_m[1], '.git'),
+      tag: git_m[4] || null
+    };
+  }
+  var tarball_r = /^tarball\:(.+)$/;
+  var tarball_m = tarball_r.exec(module_path);
+  if(tarball_m) {
+    var url = /^https?\:\/\//.test(tarball_m[1]);
+    return {
+      type: 'tarball',
+      url: url,
+      location: (url || !/^~/.test(tarball_m[1])) ? tarball_m[1] :
+        /* Unix Only */
+        path.join(process.env['HOME'], tarball_m[1].substr(1))
+    };
+  }
+  var local_r = /^local\:(.+)$/;
+  var local_m = local_r.exec(module_path);
+  if(local_m) {
+    if(/^~/.test(local_m[1])) {
+      /* Unix Only */
+      return {
+        type: 'local',
+        path: path.join(process.env['HOME'], local_m[1].substr(1))
+      };
+    }
+    return {
+      type: 'local',
+      path: path.normalize(local_m[1])
+    };
+  }
+  return null;
+};
+
+// ### start_order
+//
+// Computes the order in which modules must be started so that each module
+// is started after the modules it depends on. Dependencies on modules that
+// are not part of the session are ignored. Modules that are part of a
+// dependency cycle are left out of the order and returned as `cycles`; the
+// modules depending on them are still ordered.
+// ```
+// @modules {array} the modules to order `[{ name, dependencies }]`
+// @return  {object} { ordered: [module], cycles: [[name]] }
+// ```
+exports.start_order = function(modules) {
+  var by_name = {};
+  modules.forEach(function(m) {
+    by_name[m.name] = m;
+  });
+
+  var ordered = [];
+  var cycles = [];
+  var state = {};
+  var visit = function(m, stack) {
+    if(state[m.name] === 'done' || state[m.name] === 'cycle') {
+      return;
+    }
+    if(state[m.name] === 'visiting') {
+      var cycle = stack.slice(stack.indexOf(m.name));
+      cycle.forEach(function(name) {
+        state[name] = 'cycle';
+      });
+      cycles.push(cycle);
+      return;
+    }
+    state[m.name] = 'visiting';
+    var deps = m.dependencies || [];
+    for(var i = 0; i < deps.length; i ++) {
+      if(!by_name[deps[i]]) {
+        common.log.out('[module_util] Ignoring missing dependency `' +
+                       deps[i] + '` of module: ' + m.name);
+        continue;
+      }
+      visit(by_name[deps[i]], stack.concat([m.name]));
+    }
+    /* A module found to be part of a cycle while visiting its dependencies */
+    /* is left out.                                                         */
+    if(state[m.name] === 'visiting') {
+      state[m.name] = 'done';
+      ordered.push(m);
+    }
+  };
+
+  modules.forEach(function(m) {
+    visit(m, []);
+  });
+  return {
+    ordered: ordered,
+    cycles: cycles
+  };
+};
+
+// ### restart_policy
+//
+// Computes the restart policy of a module by merging the fields of its
+// recorded policy that have the type of the default ones with the defaults.
+// ```
+// @defaults {object} the default restart policy
+// @policy   {object} the module restart policy (null if none)
+// @return   {object} the restart policy
+// ```
+exports.restart_policy = function(defaults, policy) {
+  var merged = {};
+  Object.keys(defaults).forEach(function(k) {
+    merged[k] = defaults[k];
+    if(policy && typeof policy[k] === typeof defaults[k]) {
+      merged[k] = policy[k];
+    }
+  });
+  return merged;
+};
+
+// ### invalid_policy
+//
+// Lists the fields of a restart policy that are unknown, not of the type of
+// the default ones or negative.
+// ```
+// @defaults {object} the default restart policy
+// @policy   {object} the restart policy to check
+// @return   {array} the invalid fields
+// ```
+exports.invalid_policy = function(defaults, policy) {
+  return Object.keys(policy).filter(function(k) {
+    return typeof defaults[k] === 'undefined' ||
+      typeof policy[k] !== typeof defaults[k] || 
+      policy[k] < 0;
+  });
+};
+
+// ### restart_delay
+//
+// Computes the delay before a module is restarted: `backoff` doubled for each
+// restart since the module was last healthy, capped to `max_backoff`.
+// ```
+// @policy  {object} the module restart policy
+// @restart {number} the number of restarts so far
+// @return  {number} the delay in ms
+// ```
+exports.restart_delay = function(policy, restart) {
+  return Math.min(policy.backoff * Math.pow(2, restart), policy.max_backoff);
+};
+
+// ### record_ping
+//
+// Records the outcome of a health ping on a module health. A module replying
+// (even with an error) is `healthy`, a module missing `max_missed`
+// consecutive pings is `unresponsive`.
+// ```
+// @health     {object} { status, latency, last_reply, missed }
+// @date       {number} the date the ping was sent
+// @timed_out  {boolean} whether the ping timed out
+// @max_missed {number} missed pings after which a module is unresponsive
+// @return     {boolean} whether the health status changed
+// ```
+exports.record_ping = function(health, date, timed_out, max_missed) {
+  var status = health.status;
+  if(timed_out) {
+    health.missed++;
+    if(health.missed >= max_missed) {
+      health.status = 'unresponsive';
+    }
+  }
+  else {
+    health.latency = Date.now() - date;
+    health.last_reply = Date.now();
+    health.missed = 0;
+    health.status = 'healthy';
+  }
+  return health.status !== status;
+};
+
+// ### valid_limits
+//
+// Tests whether the resource limits declared by a module (`breach.limits`)
+// are valid: positive `memory` (MB) and `cpu` (percent of one core) numbers.
+// ```
+// @limits {object} the declared limits
+// @return {boolean} whether the limits are valid
+// ```
+exports.valid_limits = function(limits) {
+  return typeof limits === 'object' && limits !== null &&
+    !Array.isArray(limits) &&
+    Object.keys(limits).every(function(k) {
+      return (k === 'memory' || k === 'cpu') &&
+        typeof limits[k] === 'number' && limits[k] > 0;
+    });
+};
+
+// ### proc_stats
+//
+// Parses the `/proc/{pid}/stat` and `/proc/{pid}/status` files of a process
+// into its cpu time in clock ticks and its resident set size in MB (null if
+// not reported).
+// ```
+// @stat   {string} the content of the `stat` file
+// @status {string} the content of the `status` file
+// @return {object} { ticks, memory }
+// ```
+exports.proc_stats = function(stat, status) {
+  /* The process name may contain spaces, fields are counted from the */
+  /* closing parenthesis (`utime` and `stime` are fields 14 and 15).  */
+  var fields = stat.substr(stat.lastIndexOf(')') + 2).split(' ');
+  var rss_m = /VmRSS:\s+(\d+)\s+kB/.exec(status);
+  return {
+    ticks: parseInt(fields[11], 10) + parseInt(fields[12], 10),
+    memory: rss_m ? Math.round(parseInt(rss_m[1], 10) / 1024) : null
+  };
+};
+
+// ### swap_staged
+//
+// Swaps a module staged in a directory in place of its storage directory with
+// renames. A version already stored there is kept as `{dst}.previous` (an
+// older previous copy is removed).
+// ```
+// @staging {string} the staging directory
+// @dst     {string} the storage directory
+// @cb_     {function(err)}
+// ```
+exports.swap_staged = function(staging, dst, cb_) {
+  fs.exists(dst, function(exists) {
+    if(!exists) {
+      return fs.rename(staging, dst, cb_);
+    }
+    fs.remove(dst + '.previous', function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      fs.rename(dst, dst + '.previous', function(err) {
+        if(err) {
+          return cb_(err);
+        }
+        fs.rename(staging, dst, cb_);
+      });
+    });
+  });
+};
+
+// ### restore_previous
+//
+// Restores the `{dst}.previous` copy of a storage directory kept by
+// `swap_staged`, if any.
+// ```
+// @dst {string} the storage directory
+// @cb_ {function(err)}
+// ```
+exports.restore_previous = function(dst, cb_) {
+  fs.exists(dst + '.previous', function(exists) {
+    if(!exists) {
+      return cb_();
+    }
+    fs.remove(dst, function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      fs.rename(dst + '.previous', dst, cb_);
+    });
+  });
+};
+
+// ### rollback_record
+//
+// Computes the record a module that failed after an update is rolled back
+// to: the record it was updated from, confirmed, with the failed path
+// recorded so that it is not retried (unless updated in place).
+// ```
+// @module {object} the module record (with `previous`)
+// @return {object} the record to restore
+// ```
+exports.rollback_record = function(module) {
+  var previous = {};
+  Object.keys(module.previous).forEach(function(k) {
+    previous[k] = module.previous[k];
+  });
+  previous.failed = (module.failed || []).slice();
+  if(module.path !== previous.path &&
+     previous.failed.indexOf(module.path) === -1) {
+    previous.failed.push(module.path);
+  }
+  previous.confirmed = true;
+  return previous;
+};
+
+// ### tree_hash
+//
+// Computes a content hash of an installed module tree: the relative path and
+// content of each file, in lexicographic order. `node_modules` and `.git`
+// directories are ignored as they depend on the machine the module was
+// installed on.
+// ```
+// @dir {string} the module directory
+// @cb_ {function(err, hash)}
+// ```
+exports.tree_hash = function(dir, cb_) {
+  var hash = crypto.createHash('sha256');
+  var walk = function(rel, cb_) {
+    fs.readdir(path.join(dir, rel), function(err, entries) {
+      if(err) {
+        return cb_(err);
+      }
+      async.eachSeries(entries.sort(), function(e, cb_) {
+        if(e === 'node_modules' || e === '.git') {
+          return cb_();
+        }
+        var r = rel ? rel + '/' + e : e;
+        fs.lstat(path.join(dir, r), function(err, stat) {
+          if(err) {
+            return cb_(err);
+          }
+          if(stat.isDirectory()) {
+            return walk(r, cb_);
+          }
+          if(!stat.isFile()) {
+            return cb_();
+          }
+          fs.readFile(path.join(dir, r), function(err, data) {
+            if(err) {
+              return cb_(err);
+            }
+            hash.update(r + '\0');
+            hash.update(data);
+            hash.update('\0');
+            return cb_();
+          });
+        });
+      }, cb_);
+    });
+  };
+  walk('', function(err) {
+    if(err) {
+      return cb_(err);
+    }
+    return cb_(null, 'sha256-' + hash.digest('hex'));
+  });
+};
+
+// ### lock_modules
+//
+// Computes the lockfile entries of the session modules, sorted by name. Their
+// content `hash` is computed once they are installed.
+// ```
+// @modules {object} the session module records by path
+// @return  {array} [{ name, path, range, tag, version, hash }]
+// ```
+exports.lock_modules = function(modules) {
+  return Object.keys(modules).map(function(p) {
+    return {
+      name: modules[p].name,
+      path: modules[p].path,
+      range: modules[p].range || null,
+      tag: exports.expand_path(p).tag || null,
+      version: modules[p].version,
+      hash: null
+    };
+  }).sort(function(a, b) {
+    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+  });
+};
+
+// ### valid_lock
+//
+// Tests whether a parsed lockfile is valid: each locked module has a name, a
+// valid path, a version and a hash.
+// ```
+// @lock   {object} the parsed lockfile
+// @return {boolean} whether the lockfile is valid
+// ```
+exports.valid_lock = function(lock) {
+  return !!lock && Array.isArray(lock.modules) &&
+    lock.modules.every(function(m) {
+      return !!m && typeof m.name === 'string' &&
+        typeof m.path === 'string' && !!exports.expand_path(m.path) &&
+        typeof m.version === 'string' && typeof m.hash === 'string';
+    });
+};
+
+// ### watched_file
+//
+// Computes the path relative to the module directory of a file changed in a
+// watched directory. Files under `node_modules` and `.git` are not watched.
+// ```
+// @root   {string} the module directory
+// @dir    {string} the watched directory
+// @file   {string} the changed file as reported by `fs.watch` (optional)
+// @return {string} the relative path or null if the file is not watched
+// ```
+exports.watched_file = function(root, dir, file) {
+  var rel = path.relative(root, path.join(dir, file || '')) || '.';
+  if(/^(node_modules|\.git)(\/|$)/.test(rel)) {
+    return null;
+  }
+  return rel;
+};
@@ -6,6 +6,7 @@
  * @author: spolu
  *
  * @log:
+ * - 2026-10-19 spolu   Control server started before modules
  * - 2014-05-14 spolu   [GiG.fs 0.2.x] local only
  * - 2014-04-11 spolu   GiG.fs Integration
  * - 2014-01-17 spolu   New Init/RunModules API
@@ -31,10 +32,12 @@ var common = require('./common.js');
 //  - `gig` to use as data store for the session. This `gig` can be in-memory.
 //     If `null`, an in-memory gig is created.
 //  - `off_the_record` whether the browser is authorised to cache data locally.
+//  - `direct` whether the session is only loaded to manage its modules from
+//     the command line (its modules are not run).
 //
 // ```
 // @emits `ready`
-// @spec { session_id, gig, off_the_record }
+// @spec { session_id, gig, off_the_record, direct }
 // ```
 var session = function(spec, my) {
   var _super = {};
@@ -44,6 +47,7 @@ var session = function(spec, my) {
   my.session_id = spec.session_id || 'NO_SESSION_ID';
 
   my.off_the_record = spec.off_the_record || false;
+  my.direct = spec.direct || false;
   my.data_path = my.off_the_record ? null : 
     path.join(api.data_path('breach'), 'sessions', my.session_id);
 
@@ -96,7 +100,8 @@ var session = function(spec, my) {
       },
       function(cb_) {
         my.module_manager = require('./module_manager.js').module_manager({
-          session: that
+          session: that,
+          direct: my.direct
         });
         my.module_manager.init(cb_);
       }
@@ -107,7 +112,10 @@ var session = function(spec, my) {
 
   // ### run_modules
   // 
-  // Starts the core_module and all installed modules
+  // Starts the core_module and all installed modules (in dependency order, see
+  // `module_manager.run_modules`). The control server is started before the
+  // modules so that the command line is served by this session and never
+  // operates on its gig store directly while modules are starting.
   // ```
   // @cb_ {function(err)} asynchronous callback
   // ```
@@ -120,15 +128,24 @@ var session = function(spec, my) {
         my.core_module.init(cb_);
       },
       function(cb_) {
-        my.module_manager.list(function(err, modules) {
+        /* Only one control server per instance (first session opened). */
+        if(common.control_server) {
+          return cb_();
+        }
+        common.control_server = 
+          require('./control_server.js').control_server({
+            session: that
+          });
+        common.control_server.init(function(err) {
           if(err) {
-            return cb_(err);
+            common.log.error(err);
           }
-          async.each(modules, function(m, cb_) {
-            my.module_manager.run_module(m.path, cb_);
-          }, cb_);
+          return cb_();
         });
       },
+      function(cb_) {
+        my.module_manager.run_modules(cb_);
+      },
       function(cb_) {
         that.emit('ready');
         return cb_();
@@ -145,6 +162,16 @@ var session = function(spec, my) {
   kill = function(cb_) {
     common.log.out('[session] {' + my.session_id + '} KILL');
     async.series([
+      function(cb_) {
+        /* The control server is owned by the session that started it. */
+        if(common.control_server &&
+           common.control_server.session() === that) {
+          var control_server = common.control_server;
+          common.control_server = null;
+          return control_server.kill(cb_);
+        }
+        return cb_();
+      },
       function(cb_) {
         my.module_manager.kill(cb_);
       },
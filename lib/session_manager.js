@@ -54,6 +54,7 @@ var session_manager = function(spec, my) {
   //
   var list_sessions;       /* list_sessions(cb_); */
   var open_session;        /* open_session(session_id, cb_); */
+  var load_session;        /* load_session(session_id, cb_); */
   var close_session;       /* close_session(session_id, cb_); */
   var new_session;         /* new_session(priv, name, cb_); */
   var destroy_session;     /* destroy_session(session_id, cb_); */
@@ -224,6 +225,33 @@ var session_manager = function(spec, my) {
     });
   };
 
+  // ### load_session
+  //
+  // Loads a session without opening it nor running its modules. Used to manage
+  // the modules of a session from the command line while Breach is not
+  // running.
+  // ```
+  // @session_id {string} the session_id
+  // @cb_        {function(err, session)}
+  // ```
+  load_session = function(session_id, cb_) {
+    my.gig.get('core', 'session', '/sessions', function(err, sessions) {
+      if(err) {
+        return cb_(err);
+      }
+      if(!sessions[session_id]) {
+        return cb_(common.err('Unknown `session_id`: ' + session_id,
+                              'session_manager:unknown_session_id'));
+      }
+      require('./session.js').session({
+        session_id: session_id,
+        gig: my.gig,
+        off_the_record: my.off_the_record,
+        direct: true
+      }).init(cb_);
+    });
+  };
+
   // ### close_session
   //
   // Closes the running session denoted by session_id
@@ -385,6 +413,7 @@ var session_manager = function(spec, my) {
 
   common.method(that, 'list_sessions', list_sessions, _super);
   common.method(that, 'open_session', open_session, _super);
+  common.method(that, 'load_session', load_session, _super);
   common.method(that, 'close_session', close_session, _super);
   common.method(that, 'new_session', new_session, _super);
   common.method(that, 'destroy_session', destroy_session, _super);
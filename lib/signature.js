@@ -0,0 +1,238 @@
+/*
+ * Breach: signature.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var crypto = require('crypto');
+var fs = require('fs-extra');
+var path = require('path');
+var pgp = require('openpgp');
+
+var common = require('./common.js');
+
+// ## signature
+//
+// OpenPGP helpers used by the `module_manager` to verify signed modules.
+//
+// Modules are signed the same way as Breach updates (see `auto_updater`),
+// with a cleartext signed file whose first token is the digest of the
+// release:
+// ```
+//   sha1sum $update > $update.sha1sum
+//   gpg --armor --clearsign $update.sha1sum
+// ```
+// Keyrings are stored in a directory containing the `openpgp-public-keys`
+// file (same layout as `openpgp` node stores).
+
+// ### store_handler
+//
+// Returns an `openpgp` keyring store handler bound to a store directory. The
+// default handler reads the process-wide `openpgp.config.node_store` which
+// cannot be shared by keyrings stored in different directories. Only public
+// keys are stored.
+// ```
+// @store   {string} the keyring store directory
+// @returns {object} the store handler
+// ```
+var store_handler = function(store) {
+  var file = path.join(store, 'openpgp-public-keys');
+  return {
+    loadPublic: function() {
+      var armored = [];
+      try {
+        armored = JSON.parse(fs.readFileSync(file, 'utf8')) || [];
+      }
+      catch(err) {
+        if(err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+      var keys = [];
+      armored.forEach(function(a) {
+        var read = pgp.key.readArmored(a);
+        if(!read.err && read.keys.length > 0) {
+          keys.push(read.keys[0]);
+        }
+      });
+      return keys;
+    },
+    loadPrivate: function() {
+      return [];
+    },
+    storePublic: function(keys) {
+      fs.mkdirsSync(store);
+      fs.writeFileSync(file, JSON.stringify(keys.map(function(key) {
+        return key.armor();
+      })));
+    },
+    storePrivate: function(keys) {
+    }
+  };
+};
+
+// ### keyring
+//
+// Loads the keyring stored in the given store directory
+// ```
+// @store   {string} the keyring store directory
+// @returns {Keyring} the openpgp keyring
+// ```
+exports.keyring = function(store) {
+  return new pgp.Keyring(store_handler(store));
+};
+
+// ### valid_keys
+//
+// Returns the keys of a keyring after verifying that all of them are valid.
+// Throws a `signature:invalid_key` error otherwise.
+// ```
+// @keyring {Keyring} the openpgp keyring
+// @returns {array} the keys
+// ```
+exports.valid_keys = function(keyring) {
+  var keys = keyring.getAllKeys();
+  keys.forEach(function(key) {
+    if(key.verifyPrimaryKey() !== pgp.enums.keyStatus.valid) {
+      throw common.err('Failed to verify key ' + key.primaryKey.fingerprint,
+                       'signature:invalid_key');
+    }
+  });
+  return keys;
+};
+
+// ### describe_key
+//
+// Returns a serializable description of a key
+// ```
+// @key     {Key} the openpgp key
+// @returns {object} { fingerprint, user }
+// ```
+exports.describe_key = function(key) {
+  return {
+    fingerprint: key.primaryKey.fingerprint,
+    user: (key.users[0] && key.users[0].userId) ?
+      key.users[0].userId.userid : null
+  };
+};
+
+// ### verify_cleartext
+//
+// Verifies a cleartext signed message against a list of (valid) keys. Throws
+// a `signature:invalid_signature` error if no key made a valid signature.
+// ```
+// @data    {string} the armored cleartext signed message
+// @keys    {array} the keys to verify against
+// @returns {object} { text, signer } signer is the key that signed
+// ```
+exports.verify_cleartext = function(data, keys) {
+  var msg = pgp.cleartext.readArmored(data);
+  var valid = (msg.verify(keys) || []).filter(function(v) {
+    return v.valid;
+  });
+  if(valid.length === 0) {
+    throw common.err('Invalid signature.',
+                     'signature:invalid_signature');
+  }
+  var signer = null;
+  keys.forEach(function(key) {
+    key.getKeyIds().forEach(function(id) {
+      if(id.toHex() === valid[0].keyid.toHex()) {
+        signer = key;
+      }
+    });
+  });
+  return {
+    text: msg.text,
+    signer: signer
+  };
+};
+
+// ### sha1sum
+//
+// Computes the sha1 (hex) of a file
+// ```
+// @file {string} the file path
+// @cb_  {function(err, sha1sum)}
+// ```
+exports.sha1sum = function(file, cb_) {
+  cb_ = common.once(cb_);
+  var hash = crypto.createHash('sha1');
+  hash.setEncoding('hex');
+  fs.createReadStream(file)
+    .on('error', cb_)
+    .on('end', function() {
+      hash.end();
+      return cb_(null, hash.read());
+    })
+    .pipe(hash);
+};
+
+// ### read_key
+//
+// Reads an armored public key (or several) and verifies them. Throws a
+// `signature:invalid_key` error if a key is invalid.
+// ```
+// @armored {string} the armored public key
+// @returns {array} the description of the keys
+// ```
+exports.read_key = function(armored) {
+  var read = pgp.key.readArmored(armored);
+  if((read.err && read.err.length > 0) || read.keys.length === 0) {
+    throw common.err('Invalid armored key',
+                     'signature:invalid_key');
+  }
+  read.keys.forEach(function(key) {
+    if(key.verifyPrimaryKey() !== pgp.enums.keyStatus.valid) {
+      throw common.err('Failed to verify key ' + key.primaryKey.fingerprint,
+                       'signature:invalid_key');
+    }
+  });
+  return read.keys.map(exports.describe_key);
+};
+
+// ### import_key
+//
+// Imports an armored public key (or several) into a keyring. Throws a
+// `signature:invalid_key` error if a key is invalid.
+// ```
+// @store   {string} the keyring store directory
+// @armored {string} the armored public key
+// @returns {array} the description of the imported keys
+// ```
+exports.import_key = function(store, armored) {
+  var keys = exports.read_key(armored);
+  var keyring = exports.keyring(store);
+  keyring.publicKeys.importKey(armored);
+  keyring.store();
+  return keys;
+};
+
+// ### remove_key
+//
+// Removes a key from a keyring by fingerprint. Throws a
+// `signature:unknown_key` error if the key is not part of the keyring.
+// ```
+// @store       {string} the keyring store directory
+// @fingerprint {string} the key fingerprint
+// ```
+exports.remove_key = function(store, fingerprint) {
+  var keyring = exports.keyring(store);
+  var found = keyring.getAllKeys().filter(function(key) {
+    return key.primaryKey.fingerprint === fingerprint.toLowerCase();
+  });
+  if(found.length === 0) {
+    throw common.err('Unknown key ' + fingerprint,
+                     'signature:unknown_key');
+  }
+  found.forEach(function(key) {
+    keyring.removeKeysForId(key.primaryKey.getKeyId().toHex());
+  });
+  keyring.store();
+};
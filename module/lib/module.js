@@ -15,9 +15,13 @@ var common = require('./common.js');
 
 // ## module_proxy
 //
+// Each pending `rpc_call` is failed with an `rpc_timeout` error if no reply
+// is received within its timeout (`default_timeout()` unless specified per
+// call). A timeout of `0` disables it.
+//
 // ```
 // @extends events.EventEmitter
-// @spec { name, send_message }
+// @spec { name, send_message, default_timeout }
 // ```
 var module_proxy = function(spec, my) {
   var _super = {};
@@ -26,13 +30,16 @@ var module_proxy = function(spec, my) {
 
   my.name = spec.name || 'INVALID';
   my.send_message = spec.send_message;
+  my.default_timeout = spec.default_timeout || function() { return 0; };
   
+  /* { mid: { cb_, itv } } */
   my.rpc_calls = {};
 
   // 
   // ### _public_
   //
-  var call;  /* call(name, args, cb_); */
+  var call;   /* call(name, args, [options], cb_); */
+  var cancel; /* cancel(mid); */
 
   // 
   // ### _protected_
@@ -57,25 +64,36 @@ var module_proxy = function(spec, my) {
   // ```
   rpc_reply = function(oid, err, res) {
     if(my.rpc_calls[oid]) {
-      my.rpc_calls[oid](err, res);
+      var c = my.rpc_calls[oid];
       delete my.rpc_calls[oid];
+      clearTimeout(c.itv);
+      c.cb_(err, res);
     }
   };
 
   /****************************************************************************/
   /* PUBLIC METHODS */                     
   /****************************************************************************/
-  // ###
+  // ### call
   //
   // Calls a remote procedure. It generates a message and sends it through the
   // `send_message` method. When the reply is received, `rpc_reply` will be
-  // triggered, and eventually the callback called
+  // triggered, and eventually the callback called. If no reply is received
+  // before the timeout expires, the call is cancelled and the callback called
+  // with an `rpc_timeout` error.
   // ```
-  // @proc {string} the procedure name
-  // @args {object} serializable JSON arguments
-  // @cb_  {function(err, res)} the callback when the rpc completes
+  // @proc    {string} the procedure name
+  // @args    {object} serializable JSON arguments
+  // @options {object} { timeout } in ms [optional]
+  // @cb_     {function(err, res)} the callback when the rpc completes
+  // @returns {number} the message id of the call
   // ```
-  call = function(proc, args, cb_) {
+  call = function(proc, args, options, cb_) {
+    if(typeof options === 'function') {
+      cb_ = options;
+      options = {};
+    }
+    options = options || {};
     if(my.name === 'INVALID' || my.name === '__ALL__') {
       return cb_(common.err('Cannot use `call` on the wildcard proxy',
                             'breach_module:call_on_wildcard'));
@@ -89,13 +107,54 @@ var module_proxy = function(spec, my) {
       arg: args
     };
     var mid = my.send_message(msg);
-    my.rpc_calls[mid] = cb_;
+    var timeout = (typeof options.timeout === 'number') ? 
+      options.timeout : my.default_timeout();
+
+    my.rpc_calls[mid] = {
+      cb_: cb_,
+      itv: null
+    };
+    if(timeout > 0) {
+      my.rpc_calls[mid].itv = setTimeout(function() {
+        cancel(mid, common.err('RPC timeout: `' + proc + '` on `' + 
+                               my.name + '` after ' + timeout + 'ms',
+                               'rpc_timeout'));
+      }, timeout);
+    }
     return mid;
   };
 
+  // ### cancel
+  //
+  // Cancels a pending `rpc_call`. A `cancel` message is sent to the
+  // destination module and the callback is called with an `rpc_cancelled`
+  // error (or the error provided). Any later reply is ignored.
+  // ```
+  // @mid     {number} the message id returned by `call`
+  // @err     {Error} the error to fail the call with [optional]
+  // @returns {boolean} whether a pending call was cancelled
+  // ```
+  cancel = function(mid, err) {
+    if(!my.rpc_calls[mid]) {
+      return false;
+    }
+    my.send_message({
+      hdr: {
+        typ: 'cancel'
+      },
+      dst: my.name,
+      oid: mid
+    });
+    rpc_reply(mid, err || common.err('RPC cancelled: ' + mid + 
+                                     ' on `' + my.name + '`',
+                                     'rpc_cancelled'));
+    return true;
+  };
+
   common.method(that, 'rpc_reply', rpc_reply, _super);
 
   common.method(that, 'call', call, _super);
+  common.method(that, 'cancel', cancel, _super);
 
   return that;
 };
@@ -123,19 +182,38 @@ var module = function(spec, my) {
   my.procedures = {};
   my.message_id = 0;
 
+  /* Default timeout applied to `rpc_call`s (`0`, disabled, unless set with */
+  /* `set_rpc_timeout` as some core procedures run for minutes).           */
+  my.rpc_timeout = 0;
+  /* Incoming `rpc_call`s not yet replied `{ src:mid: true }`. */
+  my.incoming = {};
+  /* Callbacks of registrations that may still be refused `{ rid: cb_ }`. */
+  my.registrations = {};
+
+  /* Interface advertised to the core module (procedures and events). */
+  my.interface = {
+    procedures: {},
+    events: {}
+  };
+  my.interface_itv = null;
+  my.initialized = false;
+
   //
   // #### _public_
   //
   var emit;           /* emit(type, event); */
 
-  var register;       /* register(source, type); */
+  var register;       /* register(source, type, [options], [cb_]); */
   var unregister;     /* register(rid); */
 
-  var expose;         /* expose(name, proc(src, args, cb_(err, res))); */
+  var expose;         /* expose(name, proc(src, args, cb_(err, res)), [spec]); */
   var remove;         /* remove(name); */
+  var advertise;      /* advertise(type, [spec]); */
 
   var module;         /* module(name); */
 
+  var set_rpc_timeout; /* set_rpc_timeout(timeout); */
+
   var init;           /* init(cb_); */
 
   //
@@ -143,6 +221,7 @@ var module = function(spec, my) {
   //
   var send_message;   /* send_message(msg); */
   var handle_message; /* handle_message(msg); */
+  var send_interface; /* send_interface(); */
 
   //
   // ### _that_
@@ -185,9 +264,16 @@ var module = function(spec, my) {
       /* `rpc_call` messages are received when an other module wants to call  */
       /* a local procedure previously exposed.                                */
       case 'rpc_call': {
+        var key = msg.hdr.src + ':' + msg.hdr.mid;
+        my.incoming[key] = true;
         /* This is an helper function to reply to an `rpc_call` message. It */
-        /* setps up the headers and store the error or result.              */
+        /* setps up the headers and store the error or result. If the call  */
+        /* was cancelled in the meantime, no reply is sent.                 */
         var rpc_reply = function(err, result) {
+          if(!my.incoming[key]) {
+            return;
+          }
+          delete my.incoming[key];
           msg.oid = msg.hdr.mid; delete msg.hdr.mid;
           msg.hdr.typ = 'rpc_reply';
           msg.dst = msg.hdr.src; delete msg.hdr.src;
@@ -221,6 +307,22 @@ var module = function(spec, my) {
         }
         break;
       }
+      /* `cancel` messages are received when a module cancelled (or timed    */
+      /* out) an `rpc_call` it sent us. The reply will not be sent.           */
+      case 'cancel': {
+        delete my.incoming[msg.hdr.src + ':' + msg.oid];
+        break;
+      }
+      /* `register_error` messages are received when the core module refused */
+      /* a registration (missing permission, invalid options).               */
+      case 'register_error': {
+        var cb_ = my.registrations[msg.oid];
+        delete my.registrations[msg.oid];
+        if(cb_) {
+          cb_(common.err(msg.err.msg, msg.err.nme));
+        }
+        break;
+      }
     }
   };
 
@@ -245,6 +347,27 @@ var module = function(spec, my) {
     return mid;
   };
 
+  // ### send_interface
+  //
+  // Advertises the module interface (exposed procedures and advertised events)
+  // to the core module with an `interface` message. Calls are coalesced so that
+  // only one message is sent for a series of `expose`.
+  send_interface = function() {
+    if(!my.initialized || my.interface_itv) {
+      return;
+    }
+    my.interface_itv = setTimeout(function() {
+      my.interface_itv = null;
+      send_message({
+        hdr: {
+          typ: 'interface'
+        },
+        prc: my.interface.procedures,
+        evt: my.interface.events
+      });
+    });
+  };
+
   /****************************************************************************/
   /* PUBLIC METHODS */
   /****************************************************************************/
@@ -268,13 +391,27 @@ var module = function(spec, my) {
 
   // ### register
   //
-  // Registers for remove events from a given module for a given type
+  // Registers for remove events from a given module for a given type. Options
+  // are enforced by the core module before events are sent:
+  // - `filter` list of predicates on the event payload that must all match:
+  //   `{ path: 'tab.id', equals: '1-2' }` or `{ path: 'url', exists: true }`
+  // - `once` removes the registration after the first matching event
+  // - `rate` max number of events per second, bursts being coalesced to the
+  //   last event received
+  // The callback is only called if the core module refuses the registration.
   // ```
   // @source  {string} a regexp string to test against module names [optional]
   // @type    {string} a regexp string to test against event type [optional]
+  // @options {object} { filter, once, rate } [optional]
+  // @cb_     {function(err)} called if the registration is refused [optional]
   // @returns {number} registration id
   // ```
-  register = function(source, type) {
+  register = function(source, type, options, cb_) {
+    if(typeof options === 'function') {
+      cb_ = options;
+      options = null;
+    }
+    options = options || {};
     var msg = {
       hdr: {
         typ: 'register'
@@ -282,7 +419,29 @@ var module = function(spec, my) {
       src: source || '.*',
       typ: type || '.*'
     };
-    return send_message(msg);
+    if(Array.isArray(options.filter)) {
+      msg.flt = options.filter.map(function(p) {
+        var pred = { pth: p.path };
+        if(typeof p.exists === 'boolean') {
+          pred.ex = p.exists;
+        }
+        else {
+          pred.eq = p.equals;
+        }
+        return pred;
+      });
+    }
+    if(options.once) {
+      msg.onc = true;
+    }
+    if(typeof options.rate === 'number') {
+      msg.rte = options.rate;
+    }
+    var rid = send_message(msg);
+    if(typeof cb_ === 'function') {
+      my.registrations[rid] = cb_;
+    }
+    return rid;
   };
 
   // ### unregister
@@ -292,6 +451,7 @@ var module = function(spec, my) {
   // @rid {number} registartion id
   // ```
   unregister = function(rid) {
+    delete my.registrations[rid];
     var msg = {
       hdr: {
         typ: 'unregister'
@@ -303,14 +463,23 @@ var module = function(spec, my) {
 
   // ### expose
   //
-  // Exposes a new procedure to the other modules
+  // Exposes a new procedure to the other modules. The procedure is advertised
+  // to the core module along with its optional description and arguments
+  // schema so that other modules can discover it (`modules_describe`).
   // ```
   // @name {string} the procedure call name
   // @proc {function(args, cb_(err, res))} the actual procedure
+  // @spec {object} { description, args } [optional]
   // ```
-  expose = function(name, proc) {
+  expose = function(name, proc, spec) {
     console.log('EXPOSED: ' + name);
     my.procedures[name] = proc;
+    spec = spec || {};
+    my.interface.procedures[name] = {
+      description: spec.description || null,
+      args: spec.args || null
+    };
+    send_interface();
   };
 
   // ### remove
@@ -321,6 +490,25 @@ var module = function(spec, my) {
   // ```
   remove = function(name) {
     delete my.procedures[name];
+    delete my.interface.procedures[name];
+    send_interface();
+  };
+
+  // ### advertise
+  //
+  // Advertises an event type emitted by this module so that other modules can
+  // discover it (`modules_describe`).
+  // ```
+  // @type {string} the event type
+  // @spec {object} { description, evt } evt is the payload schema [optional]
+  // ```
+  advertise = function(type, spec) {
+    spec = spec || {};
+    my.interface.events[type] = {
+      description: spec.description || null,
+      evt: spec.evt || null
+    };
+    send_interface();
   };
 
   // ### module
@@ -336,17 +524,34 @@ var module = function(spec, my) {
     if(!my.proxies[name]) {
       my.proxies[name] = module_proxy({
         name: name,
-        send_message: send_message
+        send_message: send_message,
+        default_timeout: function() {
+          return my.rpc_timeout;
+        }
       });
     }
     return my.proxies[name];
   };
 
+  // ### set_rpc_timeout
+  //
+  // Sets the default timeout applied to `rpc_call`s emitted by this module
+  // ```
+  // @timeout {number} the timeout in ms (`0` to disable)
+  // ```
+  set_rpc_timeout = function(timeout) {
+    my.rpc_timeout = timeout;
+  };
+
   // ### init
   //
   // Inits the module system. Must be call before registering the `init` proc
   // which must be registered within the callback of that method. This lets the
   // module perform some work before installing the `init` proc.
+  //
+  // At startup, `init` is called on all modules (in dependency order) before
+  // `start` is called on any of them. Calls to other modules should therefore
+  // be deferred to `start`.
   // ```
   // @cb_ {function(err)}
   // ```
@@ -356,17 +561,28 @@ var module = function(spec, my) {
     that.expose('init', function(src, args, cb_) {
       return cb_();
     });
+    that.expose('start', function(src, args, cb_) {
+      return cb_();
+    });
     that.expose('kill', function(src, args, cb_) {
       process.nextTick(function() {
         process.exit(0);
       });
       return cb_();
     });
+    /* Health check from the core. Replied to by the event loop so that a */
+    /* hanging module gets detected.                                      */
+    that.expose('ping', function(src, args, cb_) {
+      return cb_(null, { pong: Date.now() });
+    });
 
     process.on('message', function(msg) {
       handle_message(msg);
     });
 
+    my.initialized = true;
+    send_interface();
+
     process.nextTick(function() {
       that.emit('internal:ready', {
         ver: my.VERSION
@@ -384,9 +600,12 @@ var module = function(spec, my) {
 
   common.method(that, 'expose', expose, _super);
   common.method(that, 'remove', remove, _super);
+  common.method(that, 'advertise', advertise, _super);
 
   common.method(that, 'module', module, _super);
 
+  common.method(that, 'set_rpc_timeout', set_rpc_timeout, _super);
+
   common.method(that, 'init', init, _super);
 
   return that;
@@ -0,0 +1,113 @@
+/*
+ * Breach: test/bus_c.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+describe('BusCtrl', function() {
+  var $scope = null;
+  var handlers = null;
+
+  /* The controller is loaded out of the page, with its socket faked. */
+  beforeEach(function() {
+    var context = {};
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..',
+                                                 'controls', 'bus', 'js',
+                                                 'bus_c.js'), 'utf8'),
+                       context);
+    $scope = {};
+    handlers = {};
+    context.BusCtrl($scope, null, null, null, null, null, {
+      emit: function() {},
+      on: function(type, handler) {
+        handlers[type] = handler;
+      }
+    });
+  });
+
+  var call = function(ts, src, mid) {
+    handlers.message({
+      ts: ts, typ: 'rpc_call', src: src, mid: mid, dst: 'mod_b',
+      prc: 'do', size: 10
+    });
+  };
+
+  it('pairs replies with their call', function() {
+    call(100, 'mod_a', 1);
+    call(110, 'mod_c', 1);
+    handlers.message({
+      ts: 150, typ: 'rpc_reply', src: 'mod_b', mid: 3, dst: 'mod_a', oid: 1,
+      err: null, size: 20
+    });
+    var row = $scope.rows[1];
+    assert.equal(row.src, 'mod_a');
+    assert.equal(row.status, 'ok');
+    assert.equal(row.latency, 50);
+    assert.equal(row.res_size, 20);
+    assert.equal($scope.rows[0].status, 'pending');
+  });
+
+  it('marks failed and cancelled calls', function() {
+    call(100, 'mod_a', 1);
+    call(100, 'mod_a', 2);
+    handlers.message({
+      ts: 120, typ: 'rpc_reply', src: 'mod_b', mid: 3, dst: 'mod_a', oid: 1,
+      err: { msg: 'failed', nme: 'error' }, size: 4
+    });
+    handlers.message({
+      ts: 130, typ: 'cancel', src: 'mod_a', mid: 4, dst: 'mod_b', oid: 2
+    });
+    assert.equal($scope.rows[1].status, 'error');
+    assert.equal($scope.rows[1].err.msg, 'failed');
+    assert.equal($scope.rows[0].status, 'cancelled');
+    assert.equal($scope.rows[0].latency, 30);
+    /* Later replies are not paired anymore. */
+    handlers.message({
+      ts: 140, typ: 'rpc_reply', src: 'mod_b', mid: 5, dst: 'mod_a', oid: 2,
+      err: null, size: 4
+    });
+    assert.equal($scope.rows[0].status, 'cancelled');
+  });
+
+  it('pairs replies to calls made while paused', function() {
+    call(100, 'mod_a', 1);
+    $scope.toggle_pause();
+    call(105, 'mod_a', 2);
+    handlers.message({
+      ts: 110, typ: 'rpc_reply', src: 'mod_b', mid: 3, dst: 'mod_a', oid: 1,
+      err: null, size: 4
+    });
+    assert.equal($scope.rows.length, 1);
+    assert.equal($scope.rows[0].status, 'ok');
+  });
+
+  it('filters rows by module and procedure', function() {
+    call(100, 'mod_a', 1);
+    handlers.message({
+      ts: 100, typ: 'event', src: 'core', mid: 2, evt: 'tabs:state', size: 2
+    });
+    var visible = function() {
+      return $scope.rows.filter($scope.visible).length;
+    };
+    assert.equal(visible(), 2);
+    $scope.filter.events = false;
+    assert.equal(visible(), 1);
+    $scope.filter.events = true;
+    $scope.filter.module = 'mod_b';
+    assert.equal(visible(), 1);
+    $scope.filter.module = '';
+    $scope.filter.procedure = 'tabs';
+    assert.equal(visible(), 1);
+  });
+});
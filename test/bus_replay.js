@@ -0,0 +1,107 @@
+/*
+ * Breach: test/bus_replay.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs-extra');
+var path = require('path');
+var os = require('os');
+var common = require('../lib/common.js');
+var bus_replay = require('../lib/bus_replay.js');
+
+describe('bus_replay', function() {
+  var dir = path.join(os.tmpdir(), 'breach_test_replay_' + process.pid);
+  var log_out = common.log.out;
+
+  /* Module recording the messages it receives. It registers for `tabs:` */
+  /* events and calls `tabs_list` on `core` once its call is received.    */
+  var module = [
+    'var fs = require("fs");',
+    'var received = [];',
+    'process.on("message", function(msg) {',
+    '  received.push(msg);',
+    '  fs.writeFileSync(__dirname + "/received.json", ',
+    '                   JSON.stringify(received));',
+    '  if(msg.hdr.typ === "rpc_call") {',
+    '    process.send({ hdr: { typ: "rpc_call", mid: 3 }, dst: "core", ',
+    '                   prc: "tabs_list", arg: {} });',
+    '  }',
+    '});',
+    'process.send({ hdr: { typ: "register", mid: 1 }, ',
+    '               src: "core", typ: "tabs:.*" });',
+    'process.send({ hdr: { typ: "event", mid: 2 }, ',
+    '               typ: "internal:ready", evt: {} });'
+  ].join('\n');
+
+  var entry = function(ts, msg) {
+    return JSON.stringify({
+      ts: ts,
+      src: msg.hdr.src,
+      dst: msg.dst || null,
+      typ: msg.hdr.typ,
+      mid: msg.hdr.mid,
+      prc: msg.prc,
+      evt: msg.hdr.typ === 'event' ? msg.typ : undefined,
+      msg: msg
+    });
+  };
+
+  before(function() {
+    common.log.out = function() {};
+    fs.mkdirsSync(dir);
+    fs.writeFileSync(path.join(dir, 'package.json'),
+                     JSON.stringify({ name: 'mod_replay' }));
+    fs.writeFileSync(path.join(dir, 'index.js'), module);
+    fs.writeFileSync(path.join(dir, 'trace'), [
+      entry(1, {
+        hdr: { typ: 'event', src: 'core', mid: 1 },
+        typ: 'tabs:state', evt: { a: 1 }
+      }),
+      entry(2, {
+        hdr: { typ: 'event', src: 'core', mid: 2 },
+        typ: 'cookies:changed', evt: {}
+      }),
+      entry(3, {
+        hdr: { typ: 'rpc_call', src: 'mod_a', mid: 7 },
+        dst: 'mod_replay', prc: 'do', arg: { v: 1 }
+      }),
+      entry(4, {
+        hdr: { typ: 'rpc_reply', src: 'core', mid: 3 },
+        dst: 'mod_replay', prc: 'tabs_list', oid: 1, res: { tabs: 1 }
+      })
+    ].join('\n') + '\n');
+  });
+
+  after(function(done) {
+    common.log.out = log_out;
+    fs.remove(dir, done);
+  });
+
+  it('replays recorded messages to the module', function(done) {
+    this.timeout(10000);
+    bus_replay.bus_replay({
+      trace: path.join(dir, 'trace'),
+      path: dir,
+      speed: 0
+    }).run(function(err) {
+      assert.equal(err, null);
+      var received = JSON.parse(fs.readFileSync(path.join(dir,
+                                                          'received.json')));
+      assert.deepEqual(received.map(function(msg) {
+        return msg.hdr.typ + ' ' + (msg.prc || msg.typ);
+      }), ['event tabs:state', 'rpc_call do', 'rpc_reply tabs_list']);
+      /* The recorded reply answers the call made by the module. */
+      assert.equal(received[2].oid, 3);
+      assert.deepEqual(received[2].res, { tabs: 1 });
+      return done();
+    });
+  });
+});
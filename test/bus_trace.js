@@ -0,0 +1,116 @@
+/*
+ * Breach: test/bus_trace.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var common = require('../lib/common.js');
+var bus_trace = require('../lib/bus_trace.js');
+
+describe('bus_trace', function() {
+  var file = path.join(os.tmpdir(), 'breach_test_trace_' + process.pid);
+  var log_out = common.log.out;
+  before(function() {
+    common.log.out = function() {};
+  });
+  after(function() {
+    common.log.out = log_out;
+    if(fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  /* Records the messages and returns the entries written. */
+  var trace = function(filter, msgs, cb_) {
+    var t = bus_trace.bus_trace({ path: file, filter: filter });
+    t.init(function(err) {
+      if(err) {
+        return cb_(err);
+      }
+      msgs.forEach(function(msg) {
+        t.record(msg);
+      });
+      t.kill(function() {
+        var lines = fs.readFileSync(file, 'utf8').split('\n');
+        return cb_(null, lines.filter(function(l) {
+          return l.length > 0;
+        }).map(function(l) {
+          return JSON.parse(l);
+        }));
+      });
+    });
+  };
+
+  describe('parse_filter', function() {
+    it('matches equality and regexp terms', function() {
+      var f = bus_trace.parse_filter('typ~^rpc_,prc!=ping');
+      assert.ok(f({ typ: 'rpc_call', prc: 'tabs_list' }));
+      assert.ok(!f({ typ: 'rpc_call', prc: 'ping' }));
+      assert.ok(!f({ typ: 'event', prc: 'tabs_list' }));
+      assert.ok(bus_trace.parse_filter('evt!~^tabs:')({ typ: 'rpc_call' }));
+      assert.ok(bus_trace.parse_filter('')({ typ: 'event' }));
+    });
+
+    it('rejects invalid expressions', function() {
+      assert.throws(function() {
+        bus_trace.parse_filter('typ');
+      }, /Invalid filter term/);
+      assert.throws(function() {
+        bus_trace.parse_filter('prc~(');
+      }, /Invalid filter regexp/);
+    });
+  });
+
+  describe('record', function() {
+    it('records entries with rpc latency', function(done) {
+      trace(null, [{
+        hdr: { typ: 'rpc_call', src: 'mod_a', mid: 1 },
+        dst: 'mod_b', prc: 'do', arg: { v: 1 }
+      }, {
+        hdr: { typ: 'rpc_reply', src: 'mod_b', mid: 4 },
+        dst: 'mod_a', prc: 'do', oid: 1, res: { ok: true }
+      }, {
+        hdr: { typ: 'event', src: 'core', mid: 5 },
+        typ: 'tabs:state', evt: {}
+      }], function(err, entries) {
+        assert.equal(err, null);
+        assert.equal(entries.length, 3);
+        assert.equal(entries[0].typ, 'rpc_call');
+        assert.equal(entries[0].prc, 'do');
+        assert.deepEqual(entries[0].msg.arg, { v: 1 });
+        assert.equal(entries[1].oid, 1);
+        assert.equal(typeof entries[1].lat, 'number');
+        assert.equal(entries[2].evt, 'tabs:state');
+        assert.equal(entries[2].size,
+                     JSON.stringify(entries[2].msg).length);
+        return done();
+      });
+    });
+
+    it('records only the entries matching the filter', function(done) {
+      trace('typ=event', [{
+        hdr: { typ: 'rpc_call', src: 'mod_a', mid: 1 },
+        dst: 'mod_b', prc: 'do', arg: {}
+      }, {
+        hdr: { typ: 'event', src: 'core', mid: 2 },
+        typ: 'tabs:state', evt: {}
+      }], function(err, entries) {
+        assert.equal(err, null);
+        assert.deepEqual(entries.map(function(e) {
+          return e.typ;
+        }), ['event']);
+        return done();
+      });
+    });
+  });
+});
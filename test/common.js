@@ -0,0 +1,129 @@
+/*
+ * Breach: test/common.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var common = require('../lib/common.js');
+
+describe('common', function() {
+  describe('match_filter', function() {
+    var evt = {
+      tab: { id: '1-2', url: 'http://breach.cc/' },
+      state: { loading: false, title: null },
+      tags: ['a', 'b']
+    };
+
+    it('matches an empty filter', function() {
+      assert.ok(common.match_filter([], evt));
+    });
+
+    it('tests equality on dot separated paths', function() {
+      assert.ok(common.match_filter([{ pth: 'tab.id', eq: '1-2' }], evt));
+      assert.ok(!common.match_filter([{ pth: 'tab.id', eq: '1-3' }], evt));
+      assert.ok(common.match_filter([{ pth: 'state.title', eq: null }], evt));
+    });
+
+    it('tests deep equality of objects', function() {
+      assert.ok(common.match_filter([{ pth: 'tags', eq: ['a', 'b'] }], evt));
+      assert.ok(!common.match_filter([{ pth: 'tags', eq: ['a'] }], evt));
+    });
+
+    it('tests existence and absence', function() {
+      assert.ok(common.match_filter([{ pth: 'tab.url', ex: true }], evt));
+      assert.ok(common.match_filter([{ pth: 'tab.foo', ex: false }], evt));
+      assert.ok(common.match_filter([{ pth: 'state.title', ex: true }], evt));
+      assert.ok(!common.match_filter([{ pth: 'foo.bar', ex: true }], evt));
+    });
+
+    it('does not traverse non objects', function() {
+      assert.ok(common.match_filter([{ pth: 'tab.id.length', ex: false }],
+                                    evt));
+      assert.ok(!common.match_filter([{ pth: 'tab.id', eq: '1-2' }], null));
+    });
+
+    it('requires all predicates to match', function() {
+      assert.ok(common.match_filter([
+        { pth: 'tab.id', eq: '1-2' }, { pth: 'state.loading', eq: false }
+      ], evt));
+      assert.ok(!common.match_filter([
+        { pth: 'tab.id', eq: '1-2' }, { pth: 'state.loading', eq: true }
+      ], evt));
+    });
+  });
+
+  describe('valid_filter', function() {
+    it('accepts lists of predicates', function() {
+      assert.ok(common.valid_filter([]));
+      assert.ok(common.valid_filter([{ pth: 'a', eq: 1 },
+                                     { pth: 'b', ex: false }]));
+      assert.ok(common.valid_filter([{ pth: 'a', eq: null }]));
+    });
+
+    it('rejects predicates without path', function() {
+      assert.ok(!common.valid_filter([{ eq: 1 }]));
+      assert.ok(!common.valid_filter([{ pth: '', eq: 1 }]));
+    });
+
+    it('rejects predicates without test', function() {
+      assert.ok(!common.valid_filter([{ pth: 'a' }]));
+      assert.ok(!common.valid_filter([{ pth: 'a', ex: 'yes' }]));
+    });
+
+    it('rejects non arrays', function() {
+      assert.ok(!common.valid_filter({ pth: 'a', eq: 1 }));
+      assert.ok(!common.valid_filter([null]));
+    });
+  });
+
+  describe('state_delta', function() {
+    it('returns no op for equal values', function() {
+      assert.deepEqual(common.state_delta({ a: [1, { b: 2 }] },
+                                          { a: [1, { b: 2 }] }, '', []), []);
+    });
+
+    it('adds, removes and replaces object keys', function() {
+      var ops = common.state_delta({ a: 1, b: 2 }, { b: 3, c: 4 }, '', []);
+      assert.deepEqual(ops, [
+        { op: 'remove', path: '/a' },
+        { op: 'replace', path: '/b', value: 3 },
+        { op: 'add', path: '/c', value: 4 }
+      ]);
+    });
+
+    it('compares arrays by index and removes from the end', function() {
+      assert.deepEqual(common.state_delta([1, 2, 3], [1, 5], '', []), [
+        { op: 'replace', path: '/1', value: 5 },
+        { op: 'remove', path: '/2' }
+      ]);
+      assert.deepEqual(common.state_delta([1], [1, 2, 3], '', []), [
+        { op: 'add', path: '/1', value: 2 },
+        { op: 'add', path: '/2', value: 3 }
+      ]);
+      assert.deepEqual(common.state_delta([1, 2, 3], [], '', []), [
+        { op: 'remove', path: '/2' },
+        { op: 'remove', path: '/1' },
+        { op: 'remove', path: '/0' }
+      ]);
+    });
+
+    it('replaces values changing type', function() {
+      assert.deepEqual(common.state_delta({ a: [1] }, { a: { 0: 1 } }, '', []),
+                       [{ op: 'replace', path: '/a', value: { 0: 1 } }]);
+      assert.deepEqual(common.state_delta({ a: null }, { a: {} }, '', []),
+                       [{ op: 'replace', path: '/a', value: {} }]);
+    });
+
+    it('escapes keys in JSON pointers', function() {
+      assert.deepEqual(common.state_delta({}, { 'a/b~c': 1 }, '/s', []),
+                       [{ op: 'add', path: '/s/a~1b~0c', value: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/*
+ * Breach: test/control_server.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var events = require('events');
+var net = require('net');
+var fs = require('fs-extra');
+var path = require('path');
+var os = require('os');
+var common = require('../lib/common.js');
+
+describe('control_server', function() {
+  var home = path.join(os.tmpdir(), 'breach_test_home_' + process.pid);
+  var env_home = process.env['HOME'];
+  var log_out = common.log.out;
+  var control_server = null;
+  var module_manager = null;
+  var calls = null;
+  var server = null;
+
+  /* Module manager of the session, recording the calls made to it. */
+  var fake_module_manager = function() {
+    var mm = new events.EventEmitter();
+    var record = function(name) {
+      return function(path, cb_) {
+        calls.push([name, path]);
+        return cb_(null, { path: path });
+      };
+    };
+    mm.list = function(cb_) {
+      return cb_(null, [{
+        name: 'mod_test', path: 'github:breach/mod_test#v0.1.0'
+      }, {
+        name: 'mod_npm', path: 'npm:mod_npm@1.0.0'
+      }]);
+    };
+    mm.core_call = function(dst, prc, arg, options, cb_) {
+      return cb_(null, { dst: dst, prc: prc, arg: arg, options: options });
+    };
+    mm.grant_permissions = record('grant_permissions');
+    mm.run_module = record('run_module');
+    mm.update = record('update');
+    return mm;
+  };
+
+  /* Sends raw requests and collects the replies. */
+  var request = function(reqs, count, cb_) {
+    var socket = net.connect(control_server.socket_path());
+    var lines = [];
+    var buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('connect', function() {
+      reqs.forEach(function(req) {
+        socket.write((typeof req === 'string' ? req : JSON.stringify(req)) +
+                     '\n');
+      });
+    });
+    socket.on('data', function(data) {
+      buffer += data;
+      var l = buffer.split('\n');
+      buffer = l.pop();
+      lines = lines.concat(l.map(JSON.parse));
+      if(lines.length >= count) {
+        socket.end();
+        return cb_(lines, socket);
+      }
+    });
+  };
+  var token = function() {
+    return fs.readFileSync(control_server.token_path(), 'utf8');
+  };
+
+  before(function() {
+    process.env['HOME'] = home;
+    fs.mkdirsSync(path.join(home, '.breach'));
+    common.log.out = function() {};
+    /* The ExoBrowser API is only used here to compute the data path. */
+    if(typeof global.apiDispatcher === 'undefined') {
+      global.apiDispatcher = {
+        requireExoBrowser: function() {
+          return {};
+        }
+      };
+    }
+    control_server = require('../lib/control_server.js');
+  });
+
+  after(function(done) {
+    process.env['HOME'] = env_home;
+    common.log.out = log_out;
+    fs.remove(home, done);
+  });
+
+  beforeEach(function(done) {
+    calls = [];
+    module_manager = fake_module_manager();
+    server = control_server.control_server({
+      session: { module_manager: function() { return module_manager; } }
+    });
+    server.init(done);
+  });
+
+  afterEach(function(done) {
+    server.kill(done);
+  });
+
+  it('writes a token only readable by the user', function() {
+    var stat = fs.statSync(control_server.token_path());
+    assert.equal(stat.mode & parseInt('777', 8), parseInt('600', 8));
+    assert.equal(token().length, 64);
+    stat = fs.statSync(control_server.socket_path());
+    assert.equal(stat.mode & parseInt('777', 8), parseInt('600', 8));
+  });
+
+  it('rejects requests without a valid token', function(done) {
+    request([
+      { id: 1, cmd: 'list' },
+      { id: 2, tok: 'invalid', cmd: 'list' },
+      'not json'
+    ], 3, function(replies) {
+      assert.equal(replies[0].id, 1);
+      assert.equal(replies[0].err.nme, 'control_server:unauthorized');
+      assert.equal(replies[1].err.nme, 'control_server:unauthorized');
+      assert.equal(replies[2].err.nme, 'control_server:invalid');
+      return done();
+    });
+  });
+
+  it('executes authenticated commands', function(done) {
+    control_server.control_call('call', {
+      prc: 'tabs_list', arg: { a: 1 }, timeout: 10
+    }, function(err, res) {
+      assert.equal(err, null);
+      assert.deepEqual(res, {
+        dst: 'core', prc: 'tabs_list', arg: { a: 1 },
+        options: { timeout: 10 }
+      });
+      control_server.control_call('grant', {
+        ref: 'mod_test'
+      }, function(err, res) {
+        assert.equal(err, null);
+        assert.deepEqual(calls, [['grant_permissions',
+                                  'github:breach/mod_test#v0.1.0']]);
+        return done();
+      });
+    });
+  });
+
+  it('keeps the token of the instance running', function(done) {
+    var t = token();
+    var other = control_server.control_server({
+      session: { module_manager: function() { return module_manager; } }
+    });
+    other.init(function(err) {
+      assert.equal(err.name, 'control_server:socket_in_use');
+      assert.equal(token(), t);
+      other.kill(function() {
+        control_server.control_call('list', {}, function(err, res) {
+          assert.equal(err, null);
+          assert.equal(res.length, 2);
+          return done();
+        });
+      });
+    });
+  });
+
+  it('replaces a socket left over by a crashed instance', function(done) {
+    server.kill(function() {
+      fs.writeFileSync(control_server.socket_path(), '');
+      server.init(function(err) {
+        assert.equal(err, null);
+        control_server.control_call('list', {}, function(err, res) {
+          assert.equal(err, null);
+          return done();
+        });
+      });
+    });
+  });
+
+  it('forwards subscribed events', function(done) {
+    var t = token();
+    var socket = net.connect(control_server.socket_path());
+    var buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('connect', function() {
+      socket.write(JSON.stringify({
+        id: 1, tok: t, cmd: 'subscribe',
+        args: { src: 'core', typ: '^tabs:', flt: [{ pth: 'id', eq: '1' }] }
+      }) + '\n');
+    });
+    socket.on('data', function(data) {
+      buffer += data;
+      var lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.map(JSON.parse).forEach(function(msg) {
+        if(msg.id === 1) {
+          assert.ok(server.registered('core', 'tabs:created'));
+          assert.ok(!server.registered('core', 'cookies:changed'));
+          ['2', '1'].forEach(function(id) {
+            module_manager.emit('message', {
+              hdr: { typ: 'event', src: 'core', mid: 1 },
+              typ: 'tabs:created', evt: { id: id }
+            });
+          });
+          module_manager.emit('message', {
+            hdr: { typ: 'event', src: 'core', mid: 2 },
+            typ: 'cookies:changed', evt: { id: '1' }
+          });
+        }
+        else {
+          assert.deepEqual(msg, {
+            rid: 1, src: 'core', typ: 'tabs:created', evt: { id: '1' }
+          });
+          socket.end();
+          return done();
+        }
+      });
+    });
+  });
+
+  it('resolves modules by name and path', function(done) {
+    var command = function(cmd, args, options, cb_) {
+      control_server.module_command(module_manager, cmd, args, options, cb_);
+    };
+    command('update', { ref: 'github:breach/mod_test' }, {}, function(err) {
+      assert.equal(err, null);
+      command('run', { ref: 'npm:mod_npm' }, {}, function(err) {
+        assert.equal(err, null);
+        assert.deepEqual(calls, [
+          ['update', 'github:breach/mod_test#v0.1.0'],
+          ['run_module', 'npm:mod_npm@1.0.0']
+        ]);
+        command('run', { ref: 'mod_npm' }, { direct: true }, function(err) {
+          assert.equal(err.name, 'control_server:not_running');
+          command('info', { ref: 'mod_other' }, {}, function(err) {
+            assert.equal(err.name, 'control_server:module_not_found');
+            command('unknown', {}, {}, function(err) {
+              assert.equal(err.name, 'control_server:unknown_command');
+              return done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('removes the token when killed', function(done) {
+    server.kill(function() {
+      assert.ok(!fs.existsSync(control_server.token_path()));
+      control_server.control_call('list', {}, function(err) {
+        assert.equal(err.code, 'ENOENT');
+        server.init(done);
+      });
+    });
+  });
+});
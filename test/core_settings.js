@@ -0,0 +1,153 @@
+/*
+ * Breach: test/core_settings.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var core_settings = require('../lib/core_settings.js');
+
+describe('core_settings', function() {
+  describe('check_value', function() {
+    var check_value = core_settings.check_value;
+
+    it('checks scalar types', function() {
+      assert.equal(check_value({ type: 'string' }, 'a'), null);
+      assert.equal(check_value({ type: 'boolean' }, false), null);
+      assert.equal(check_value({ type: 'number' }, 1.5), null);
+      assert.ok(check_value({ type: 'string' }, 1));
+      assert.ok(check_value({ type: 'boolean' }, 'true'));
+      assert.ok(check_value({ type: 'number' }, '1'));
+    });
+
+    it('rejects non finite numbers', function() {
+      assert.ok(check_value({ type: 'number' }, NaN));
+      assert.ok(check_value({ type: 'number' }, Infinity));
+      assert.ok(check_value({ type: 'integer' }, NaN));
+      assert.ok(check_value({ type: 'integer' }, -Infinity));
+    });
+
+    it('checks integers', function() {
+      assert.equal(check_value({ type: 'integer' }, 3), null);
+      assert.ok(check_value({ type: 'integer' }, 3.5));
+      assert.ok(check_value({ type: 'integer' }, '3'));
+    });
+
+    it('checks enums', function() {
+      var p = { type: 'string', enum: ['a', 'b'] };
+      assert.equal(check_value(p, 'a'), null);
+      assert.ok(check_value(p, 'c'));
+    });
+
+    it('checks bounds', function() {
+      var p = { type: 'integer', minimum: 1, maximum: 10 };
+      assert.equal(check_value(p, 1), null);
+      assert.equal(check_value(p, 10), null);
+      assert.ok(check_value(p, 0));
+      assert.ok(check_value(p, 11));
+    });
+  });
+
+  describe('settings', function() {
+    var settings = null;
+    var events = [];
+
+    /* Minimal session whose gig store replays the ops on each `get`. */
+    beforeEach(function(done) {
+      var reducer = null;
+      var oplog = [];
+      events = [];
+      settings = core_settings.core_settings({
+        session: {
+          session_id: function() { return 'test'; },
+          gig: function() {
+            return {
+              register: function(type, r) { reducer = r; },
+              get: function(channel, type, path, cb_) {
+                return cb_(null, reducer(oplog));
+              },
+              push: function(channel, type, path, payload, cb_) {
+                oplog.push({ payload: payload });
+                return cb_();
+              }
+            };
+          },
+          module_manager: function() {
+            return {
+              core_emit: function(type, evt) { events.push(evt); }
+            };
+          }
+        }
+      });
+      settings.init(function(err) {
+        if(err) {
+          return done(err);
+        }
+        settings.settings_declare('mod_test', {
+          schema: {
+            type: 'object',
+            properties: {
+              size: { type: 'integer', default: 12, minimum: 8 }
+            }
+          }
+        }, done);
+      });
+    });
+
+    it('defaults to the schema values', function(done) {
+      settings.settings_get('mod_test', {}, function(err, res) {
+        assert.equal(err, null);
+        assert.deepEqual(res.values, { size: 12 });
+        return done();
+      });
+    });
+
+    it('sets valid values', function(done) {
+      settings.settings_set('mod_test', {
+        key: 'size',
+        value: 14
+      }, function(err) {
+        assert.equal(err, null);
+        assert.deepEqual(events, [{ module: 'mod_test', key: 'size' }]);
+        settings.settings_get('mod_test', {}, function(err, res) {
+          assert.deepEqual(res.values, { size: 14 });
+          return done();
+        });
+      });
+    });
+
+    it('rejects invalid values', function(done) {
+      settings.settings_set('mod_test', {
+        key: 'size',
+        value: 4
+      }, function(err) {
+        assert.equal(err.name, 'core_settings:invalid_value');
+        return done();
+      });
+    });
+
+    it('rejects unknown and inherited keys', function(done) {
+      var keys = ['color', 'constructor', '__proto__', 'hasOwnProperty'];
+      var next = function() {
+        if(keys.length === 0) {
+          assert.deepEqual(events, []);
+          return done();
+        }
+        settings.settings_set('mod_test', {
+          key: keys.shift(),
+          value: 1
+        }, function(err) {
+          assert.equal(err.name, 'core_settings:unknown_key');
+          return next();
+        });
+      };
+      next();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/*
+ * Breach: test/core_tabs.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+
+describe('core_tabs', function() {
+  var core_tabs = null;
+
+  before(function() {
+    /* The ExoBrowser API is not used by the helpers tested here. */
+    if(typeof global.apiDispatcher === 'undefined') {
+      global.apiDispatcher = {
+        requireExoBrowser: function() {
+          return {};
+        }
+      };
+    }
+    core_tabs = require('../lib/core_tabs.js');
+  });
+
+  describe('tabs_reducer', function() {
+    var record = function(id) {
+      return { id: id, entries: [{ url: 'http://' + id, visible: true }] };
+    };
+    var session = function(ids, visible) {
+      return { payload: { type: 'session', tabs: ids.map(record),
+                          visible: visible } };
+    };
+
+    it('starts from a clean empty session', function() {
+      var value = core_tabs.tabs_reducer([], 20);
+      assert.deepEqual(value.tabs, []);
+      assert.equal(value.visible, null);
+      assert.ok(value.clean);
+      assert.deepEqual(value.closed, []);
+    });
+
+    it('keeps the last session until it is killed properly', function() {
+      var value = core_tabs.tabs_reducer([
+        session(['a', 'b'], 'a'),
+        session(['a', 'b', 'c'], 'c')
+      ], 20);
+      assert.deepEqual(value.tabs.map(function(r) {
+        return r.id;
+      }), ['a', 'b', 'c']);
+      assert.equal(value.visible, 'c');
+      assert.ok(!value.clean);
+      value = core_tabs.tabs_reducer([
+        session(['a'], 'a'),
+        { payload: { type: 'clean' } }
+      ], 20);
+      assert.equal(value.tabs.length, 1);
+      assert.ok(value.clean);
+    });
+
+    it('keeps recently closed tabs most recent first', function() {
+      var value = core_tabs.tabs_reducer(['a', 'b', 'c', 'a'].map(function(id) {
+        return { payload: { type: 'closed', tab: record(id) } };
+      }), 2);
+      assert.deepEqual(value.closed.map(function(r) {
+        return r.id;
+      }), ['a', 'c']);
+      value = core_tabs.tabs_reducer([
+        { payload: { type: 'closed', tab: record('a') } },
+        { payload: { type: 'closed', tab: record('b') } },
+        { payload: { type: 'restored', id: 'a' } }
+      ], 20);
+      assert.deepEqual(value.closed, [record('b')]);
+    });
+
+    it('restarts from stored values', function() {
+      var value = core_tabs.tabs_reducer([
+        { payload: { type: 'closed', tab: record('a') } },
+        { value: null },
+        session(['b'], 'b')
+      ], 20);
+      assert.deepEqual(value.closed, []);
+      assert.equal(value.visible, 'b');
+    });
+  });
+
+  describe('navigation_events', function() {
+    var entry = function(href, title, favicon) {
+      return { url: { href: href }, title: title, favicon: favicon };
+    };
+    var types = function(events) {
+      return events.map(function(e) {
+        return e.type;
+      });
+    };
+
+    it('emits the events of a first navigation', function() {
+      var events = core_tabs.navigation_events('t1', null,
+                                               entry('http://a/', 'A', null));
+      assert.deepEqual(events, [{
+        type: 'tabs:navigated',
+        evt: { id: 't1', from: null, to: 'http://a/' }
+      }, {
+        type: 'tabs:title_changed',
+        evt: { id: 't1', title: 'A' }
+      }]);
+    });
+
+    it('emits only the events of what changed', function() {
+      var from = entry('http://a/', 'A', 'http://a/favicon.ico');
+      var changed = function(href, title, favicon) {
+        return types(core_tabs.navigation_events('t1', from,
+                                                 entry(href, title, favicon)));
+      };
+      assert.deepEqual(changed('http://a/', 'A', from.favicon), []);
+      assert.deepEqual(changed('http://b/', 'A', from.favicon),
+                       ['tabs:navigated']);
+      assert.deepEqual(changed('http://a/', 'A2', null),
+                       ['tabs:title_changed']);
+      var events = core_tabs.navigation_events('t1', from,
+                                               entry('http://a/', 'A',
+                                                     'http://a/f.png'));
+      assert.deepEqual(events, [{
+        type: 'tabs:favicon_changed',
+        evt: { id: 't1', favicon: 'http://a/f.png' }
+      }]);
+    });
+
+    it('emits nothing without a visible entry', function() {
+      assert.deepEqual(core_tabs.navigation_events('t1',
+                                                   entry('http://a/', 'A'),
+                                                   null), []);
+    });
+  });
+
+  describe('lru_tabs', function() {
+    var tabs = null;
+    beforeEach(function() {
+      tabs = {};
+      ['a', 'b', 'c', 'd'].forEach(function(id, i) {
+        tabs[id] = { discarded: false, pinned: false, last_active: 10 - i };
+      });
+    });
+    var lru = function(visible, max_live) {
+      return core_tabs.lru_tabs(tabs, Object.keys(tabs), visible, max_live);
+    };
+
+    it('discards the least recently visible tabs', function() {
+      assert.deepEqual(lru('a', 4), []);
+      assert.deepEqual(lru('a', 2), ['d', 'c']);
+      tabs.c.discarded = true;
+      assert.deepEqual(lru('a', 2), ['d']);
+    });
+
+    it('keeps the visible, pinned and reviving tabs', function() {
+      tabs.b.pinned = true;
+      tabs.c.reviving = [];
+      assert.deepEqual(lru('d', 1), ['a']);
+      assert.deepEqual(core_tabs.lru_tabs(tabs, ['a', 'b'], 'a', 1), []);
+    });
+  });
+
+  describe('order and groups', function() {
+    var order = null;
+    var tabs = null;
+    beforeEach(function() {
+      order = ['a', 'b', 'c', 'd'];
+      tabs = {};
+      order.forEach(function(id) {
+        tabs[id] = { group: null };
+      });
+    });
+
+    it('moves ids within bounds', function() {
+      core_tabs.move_id(order, 'a', 2);
+      assert.deepEqual(order, ['b', 'c', 'a', 'd']);
+      core_tabs.move_id(order, 'a', 10);
+      assert.deepEqual(order, ['b', 'c', 'd', 'a']);
+      core_tabs.move_id(order, 'a', -1);
+      assert.deepEqual(order, ['a', 'b', 'c', 'd']);
+    });
+
+    it('keeps the tabs of a group contiguous', function() {
+      core_tabs.group_order(order, tabs, 'g1', ['b', 'd']);
+      assert.deepEqual(order, ['a', 'b', 'd', 'c']);
+      assert.equal(tabs.d.group, 'g1');
+      core_tabs.group_order(order, tabs, 'g1', ['a']);
+      assert.deepEqual(order, ['a', 'b', 'd', 'c']);
+    });
+
+    it('joins and leaves groups when moved', function() {
+      core_tabs.group_order(order, tabs, 'g1', ['a', 'b']);
+      core_tabs.move_id(order, 'd', 1);
+      assert.equal(core_tabs.moved_group(order, tabs, 'd'), 'g1');
+      tabs.d.group = 'g1';
+      core_tabs.move_id(order, 'a', 3);
+      assert.equal(core_tabs.moved_group(order, tabs, 'a'), null);
+      /* A tab moved next to its group stays in it. */
+      core_tabs.move_id(order, 'b', 0);
+      assert.deepEqual(order, ['b', 'd', 'c', 'a']);
+      assert.equal(core_tabs.moved_group(order, tabs, 'b'), 'g1');
+    });
+
+    it('lists groups with no tab left', function() {
+      var groups = { g1: {}, g2: {} };
+      core_tabs.group_order(order, tabs, 'g1', ['c']);
+      assert.deepEqual(core_tabs.unused_groups(order, tabs, groups), ['g2']);
+      tabs.c.group = null;
+      assert.deepEqual(core_tabs.unused_groups(order, tabs, groups),
+                       ['g1', 'g2']);
+    });
+  });
+});
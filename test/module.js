@@ -0,0 +1,171 @@
+/*
+ * Breach: test/module.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var breach = require('../module/lib/module.js');
+
+describe('module', function() {
+  var sent = [];
+  var send = process.send;
+  var log = console.log;
+  var m = null;
+
+  before(function(done) {
+    process.send = function(msg) {
+      sent.push(msg);
+    };
+    console.log = function() {};
+    m = breach.module({});
+    m.init(done);
+  });
+
+  after(function(done) {
+    /* Lets the coalesced `interface` message be sent first. */
+    setTimeout(function() {
+      process.send = send;
+      console.log = log;
+      process.removeAllListeners('message');
+      return done();
+    });
+  });
+
+  beforeEach(function() {
+    sent = [];
+  });
+
+  /* Delivers a message to the module as the core module would. */
+  var receive = function(msg) {
+    process.emit('message', msg);
+  };
+
+  describe('rpc_call', function() {
+    it('has no timeout by default', function(done) {
+      var replied = false;
+      var mid = m.module('mod_test').call('long', {}, function(err, res) {
+        replied = true;
+      });
+      setTimeout(function() {
+        assert.ok(!replied);
+        assert.ok(m.module('mod_test').cancel(mid));
+        assert.ok(replied);
+        return done();
+      }, 20);
+    });
+
+    it('times out and sends a cancel message', function(done) {
+      var mid = m.module('mod_test').call('long', {}, {
+        timeout: 10
+      }, function(err, res) {
+        assert.equal(err.name, 'rpc_timeout');
+        var cancel = sent[sent.length - 1];
+        assert.equal(cancel.hdr.typ, 'cancel');
+        assert.equal(cancel.dst, 'mod_test');
+        assert.equal(cancel.oid, mid);
+        return done();
+      });
+    });
+
+    it('applies the timeout set with set_rpc_timeout', function(done) {
+      m.set_rpc_timeout(10);
+      m.module('mod_test').call('long', {}, function(err, res) {
+        m.set_rpc_timeout(0);
+        assert.equal(err.name, 'rpc_timeout');
+        return done();
+      });
+    });
+
+    it('ignores replies to cancelled calls', function() {
+      var calls = 0;
+      var mid = m.module('mod_test').call('long', {}, function(err, res) {
+        calls++;
+        assert.equal(err.name, 'rpc_cancelled');
+      });
+      assert.ok(m.module('mod_test').cancel(mid));
+      assert.ok(!m.module('mod_test').cancel(mid));
+      receive({
+        hdr: { typ: 'rpc_reply', mid: 1, src: 'mod_test' },
+        oid: mid,
+        res: { ok: true }
+      });
+      assert.equal(calls, 1);
+    });
+
+    it('delivers replies', function(done) {
+      var mid = m.module('mod_test').call('short', {}, function(err, res) {
+        assert.equal(err, null);
+        assert.deepEqual(res, { ok: true });
+        return done();
+      });
+      receive({
+        hdr: { typ: 'rpc_reply', mid: 1, src: 'mod_test' },
+        oid: mid,
+        res: { ok: true }
+      });
+    });
+  });
+
+  describe('incoming rpc_call', function() {
+    it('does not reply to cancelled calls', function(done) {
+      var reply = null;
+      m.expose('slow', function(src, args, cb_) {
+        reply = cb_;
+      });
+      receive({
+        hdr: { typ: 'rpc_call', mid: 7, src: 'mod_test' },
+        prc: 'slow',
+        arg: {}
+      });
+      receive({
+        hdr: { typ: 'cancel', mid: 8, src: 'mod_test' },
+        oid: 7
+      });
+      reply(null, { ok: true });
+      setTimeout(function() {
+        assert.ok(!sent.some(function(msg) {
+          return msg.hdr.typ === 'rpc_reply';
+        }));
+        return done();
+      });
+    });
+
+    it('replies to pending calls', function() {
+      m.expose('fast', function(src, args, cb_) {
+        return cb_(null, { ok: args.v });
+      });
+      receive({
+        hdr: { typ: 'rpc_call', mid: 9, src: 'mod_test' },
+        prc: 'fast',
+        arg: { v: 1 }
+      });
+      var reply = sent.filter(function(msg) {
+        return msg.hdr.typ === 'rpc_reply';
+      })[0];
+      assert.equal(reply.dst, 'mod_test');
+      assert.equal(reply.oid, 9);
+      assert.deepEqual(reply.res, { ok: 1 });
+    });
+  });
+
+  describe('register', function() {
+    it('calls back when the registration is refused', function(done) {
+      var rid = m.register('core', 'tabs:.*', function(err) {
+        assert.equal(err.name, 'permission_denied');
+        return done();
+      });
+      receive({
+        hdr: { typ: 'register_error', mid: 10, src: 'core' },
+        oid: rid,
+        err: { msg: 'Permission denied', nme: 'permission_denied' }
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/*
+ * Breach: test/module_mirror.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs-extra');
+var path = require('path');
+var os = require('os');
+var stream = require('stream');
+var common = require('../lib/common.js');
+var module_mirror = require('../lib/module_mirror.js');
+
+describe('module_mirror', function() {
+  var dir = path.join(os.tmpdir(), 'breach_test_mirror_' + process.pid);
+  var log_out = common.log.out;
+  var mirror = null;
+
+  before(function(done) {
+    common.log.out = function() {};
+    mirror = module_mirror.module_mirror({ path: dir });
+    mirror.init(done);
+  });
+
+  after(function(done) {
+    common.log.out = log_out;
+    fs.remove(dir, done);
+  });
+
+  it('returns null for entries not mirrored', function(done) {
+    mirror.refs('github:breach/mod_test', function(err, data) {
+      assert.equal(err, null);
+      assert.equal(data, null);
+      mirror.tarball('github:breach/mod_test#v0.1.0', function(err, file) {
+        assert.equal(err, null);
+        assert.equal(file, null);
+        return done();
+      });
+    });
+  });
+
+  it('keeps distinct paths in distinct entries', function(done) {
+    mirror.put_refs('github:breach/mod_test', { tags: ['a'] }, function(err) {
+      assert.equal(err, null);
+      mirror.put_refs('github:breach:mod_test', { tags: ['b'] }, function(err) {
+        assert.equal(err, null);
+        mirror.refs('github:breach/mod_test', function(err, data) {
+          assert.deepEqual(data, { tags: ['a'] });
+          mirror.refs('github:breach:mod_test', function(err, data) {
+            assert.deepEqual(data, { tags: ['b'] });
+            return done();
+          });
+        });
+      });
+    });
+  });
+
+  it('stores entries inside the mirror', function(done) {
+    var p = 'git+ssh://git@host/../../mod_test#v1';
+    mirror.put_signature(p, 'SIG', function(err) {
+      assert.equal(err, null);
+      var files = fs.readdirSync(path.join(dir, 'modules'));
+      assert.deepEqual(files, [encodeURIComponent(p) + '.asc']);
+      mirror.signature(p, function(err, data) {
+        assert.equal(data, 'SIG');
+        return done();
+      });
+    });
+  });
+
+  it('stores tarballs from streams', function(done) {
+    var s = new stream.PassThrough();
+    var p = 'npm:mod_test#0.1.0';
+    mirror.put_tarball(p, s, function(err, file) {
+      assert.equal(err, null);
+      mirror.tarball(p, function(err, found) {
+        assert.equal(found, file);
+        assert.equal(fs.readFileSync(file, 'utf8'), 'TGZ');
+        return done();
+      });
+    });
+    s.end('TGZ');
+  });
+});
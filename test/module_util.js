@@ -0,0 +1,501 @@
+/*
+ * Breach: test/module_util.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs-extra');
+var path = require('path');
+var os = require('os');
+var common = require('../lib/common.js');
+var module_util = require('../lib/module_util.js');
+
+describe('module_util', function() {
+  var log_out = common.log.out;
+  before(function() {
+    common.log.out = function() {};
+  });
+  after(function() {
+    common.log.out = log_out;
+  });
+
+  describe('permissions', function() {
+    it('grants legacy modules the capabilities they had', function() {
+      /* `tabs_new` requires `tabs:write`. */
+      assert.ok(module_util.has_capability(null, 'tabs:write'));
+      assert.ok(module_util.has_capability(undefined, 'tabs:events'));
+      assert.ok(module_util.has_capability(null, 'store:access'));
+      assert.ok(!module_util.has_capability(null, 'settings:access'));
+    });
+
+    it('restricts modules to their recorded permissions', function() {
+      assert.ok(module_util.has_capability(['tabs:read'], 'tabs:read'));
+      assert.ok(!module_util.has_capability(['tabs:read'], 'tabs:write'));
+      assert.ok(!module_util.has_capability([], 'tabs:write'));
+      assert.ok(module_util.has_capability([], null));
+    });
+
+    it('requests legacy capabilities for modules without manifest', function() {
+      var requested = module_util.manifest_permissions({ name: 'mod' });
+      assert.deepEqual(requested, module_util.LEGACY_PERMISSIONS);
+      assert.deepEqual(module_util.manifest_permissions({ breach: {} }),
+                       module_util.LEGACY_PERMISSIONS);
+      /* Granted, a module without manifest can call `tabs_new`. */
+      var p = module_util.request_permissions([], requested);
+      assert.ok(module_util.has_capability(p.requested_permissions, 
+                                           'tabs:write'));
+    });
+
+    it('validates declared permissions', function() {
+      assert.deepEqual(module_util.manifest_permissions({
+        breach: { permissions: ['tabs:read'] }
+      }), ['tabs:read']);
+      assert.deepEqual(module_util.manifest_permissions({
+        breach: { permissions: [] }
+      }), []);
+      assert.equal(module_util.manifest_permissions({
+        breach: { permissions: 'tabs:read' }
+      }), null);
+      assert.equal(module_util.manifest_permissions({
+        breach: { permissions: [1] }
+      }), null);
+    });
+
+    it('keeps requested permissions pending for new modules', function() {
+      assert.deepEqual(module_util.request_permissions([], ['tabs:read']), {
+        permissions: [], requested_permissions: ['tabs:read']
+      });
+      assert.deepEqual(module_util.request_permissions([], []), {
+        permissions: [], requested_permissions: null
+      });
+    });
+
+    it('keeps granted permissions when a module is added again', function() {
+      assert.deepEqual(
+        module_util.request_permissions(['tabs:read'], 
+                                        ['tabs:read', 'tabs:write']), {
+          permissions: ['tabs:read'],
+          requested_permissions: ['tabs:read', 'tabs:write']
+        });
+      assert.deepEqual(
+        module_util.request_permissions(['tabs:read', 'tabs:write'], 
+                                        ['tabs:read']), {
+          permissions: ['tabs:read'], requested_permissions: null
+        });
+      assert.deepEqual(module_util.request_permissions(null, ['tabs:write']), {
+        permissions: ['tabs:write'], requested_permissions: null
+      });
+    });
+  });
+
+  describe('expand_path', function() {
+    it('parses github paths', function() {
+      assert.deepEqual(module_util.expand_path('github:breach/mod_stack'), {
+        type: 'github', owner: 'breach', name: 'mod_stack', tag: null
+      });
+      assert.deepEqual(module_util.expand_path('github:breach/mod#v0.3'), {
+        type: 'github', owner: 'breach', name: 'mod', tag: 'v0.3'
+      });
+    });
+
+    it('accepts semver ranges as github tags', function() {
+      assert.equal(module_util.expand_path('github:breach/mod#^0.3.0').tag,
+                   '^0.3.0');
+      assert.equal(module_util.expand_path('github:breach/mod#~0.3').tag,
+                   '~0.3');
+      assert.equal(module_util.expand_path('github:breach/m#>=0.3 <0.5').tag,
+                   '>=0.3 <0.5');
+    });
+
+    it('rejects invalid github paths and tags', function() {
+      assert.equal(module_util.expand_path('github:breach/mod_stack/x'), null);
+      assert.equal(module_util.expand_path('github:breach/mod_stack#a b'),
+                   null);
+      assert.equal(module_util.expand_path('github:breach/mod_stack#-x'), null);
+      assert.equal(module_util.expand_path('github:breach#master'), null);
+    });
+
+    it('parses npm paths', function() {
+      assert.deepEqual(module_util.expand_path('npm:mod_stack'), {
+        type: 'npm', name: 'mod_stack', tag: null
+      });
+      assert.deepEqual(module_util.expand_path('npm:@breach/mod_stack@^1.2'), {
+        type: 'npm', name: '@breach/mod_stack', tag: '^1.2'
+      });
+    });
+
+    it('parses git paths', function() {
+      assert.deepEqual(
+        module_util.expand_path('git+https://host.com/breach/mod.git#v1.0.0'), {
+          type: 'git', url: 'https://host.com/breach/mod.git', 
+          name: 'mod', tag: 'v1.0.0'
+        });
+      assert.equal(module_util.expand_path('git+ssh://host.com/mod').tag, null);
+      assert.equal(module_util.expand_path('git+https://host.com/m#--upload'),
+                   null);
+      assert.equal(module_util.expand_path('git+ftp://host.com/mod'), null);
+    });
+
+    it('parses tarball and local paths', function() {
+      assert.deepEqual(module_util.expand_path('tarball:https://a.com/m.tgz'), {
+        type: 'tarball', url: true, location: 'https://a.com/m.tgz'
+      });
+      assert.deepEqual(module_util.expand_path('tarball:/tmp/m.tgz'), {
+        type: 'tarball', url: false, location: '/tmp/m.tgz'
+      });
+      assert.deepEqual(module_util.expand_path('local:/tmp/a/../mod'), {
+        type: 'local', path: '/tmp/mod'
+      });
+      assert.equal(module_util.expand_path('local:~/mod').path, 
+                   require('path').join(process.env['HOME'], 'mod'));
+    });
+
+    it('rejects unknown path types', function() {
+      assert.equal(module_util.expand_path('ftp:breach/mod_stack'), null);
+      assert.equal(module_util.expand_path(''), null);
+    });
+  });
+
+  describe('start_order', function() {
+    var names = function(modules) {
+      return modules.map(function(m) {
+        return m.name;
+      });
+    };
+
+    it('orders modules after their dependencies', function() {
+      var res = module_util.start_order([
+        { name: 'a', dependencies: ['b', 'c'] },
+        { name: 'b', dependencies: ['c'] },
+        { name: 'c' }
+      ]);
+      assert.deepEqual(names(res.ordered), ['c', 'b', 'a']);
+      assert.deepEqual(res.cycles, []);
+    });
+
+    it('keeps the original order of independent modules', function() {
+      var res = module_util.start_order([
+        { name: 'a' }, { name: 'b' }, { name: 'c' }
+      ]);
+      assert.deepEqual(names(res.ordered), ['a', 'b', 'c']);
+    });
+
+    it('ignores missing dependencies', function() {
+      var res = module_util.start_order([
+        { name: 'a', dependencies: ['missing'] }
+      ]);
+      assert.deepEqual(names(res.ordered), ['a']);
+      assert.deepEqual(res.cycles, []);
+    });
+
+    it('skips only the modules part of a cycle', function() {
+      var res = module_util.start_order([
+        { name: 'a', dependencies: ['b'] },
+        { name: 'b', dependencies: ['c'] },
+        { name: 'c', dependencies: ['b'] },
+        { name: 'd' }
+      ]);
+      assert.deepEqual(names(res.ordered), ['a', 'd']);
+      assert.deepEqual(res.cycles, [['b', 'c']]);
+    });
+
+    it('skips modules depending on themselves', function() {
+      var res = module_util.start_order([
+        { name: 'a', dependencies: ['a'] },
+        { name: 'b', dependencies: ['a'] }
+      ]);
+      assert.deepEqual(names(res.ordered), ['b']);
+      assert.deepEqual(res.cycles, [['a']]);
+    });
+  });
+
+  describe('restart_policy', function() {
+    var defaults = {
+      max_restarts: 3,
+      backoff: 1000,
+      max_backoff: 1000 * 60,
+      restart_unresponsive: false
+    };
+
+    it('defaults missing or mistyped fields', function() {
+      assert.deepEqual(module_util.restart_policy(defaults, null), defaults);
+      assert.deepEqual(module_util.restart_policy(defaults, {
+        max_restarts: 5, backoff: '10', other: 1
+      }), {
+        max_restarts: 5,
+        backoff: 1000,
+        max_backoff: 1000 * 60,
+        restart_unresponsive: false
+      });
+    });
+
+    it('lists invalid fields', function() {
+      assert.deepEqual(module_util.invalid_policy(defaults, {
+        max_restarts: 5, restart_unresponsive: true
+      }), []);
+      assert.deepEqual(module_util.invalid_policy(defaults, {
+        max_restarts: -1, backoff: '10', other: 1
+      }), ['max_restarts', 'backoff', 'other']);
+    });
+
+    it('backs off exponentially up to max_backoff', function() {
+      var delays = [0, 1, 2, 3, 10].map(function(restart) {
+        return module_util.restart_delay(defaults, restart);
+      });
+      assert.deepEqual(delays, [1000, 2000, 4000, 8000, 1000 * 60]);
+    });
+  });
+
+  describe('record_ping', function() {
+    var health = null;
+    beforeEach(function() {
+      health = { status: 'healthy', latency: null, missed: 0 };
+    });
+
+    it('marks modules missing max_missed pings unresponsive', function() {
+      var date = Date.now();
+      assert.ok(!module_util.record_ping(health, date, true, 3));
+      assert.ok(!module_util.record_ping(health, date, true, 3));
+      assert.equal(health.status, 'healthy');
+      assert.ok(module_util.record_ping(health, date, true, 3));
+      assert.equal(health.status, 'unresponsive');
+      assert.equal(health.missed, 3);
+      /* The change is only reported once. */
+      assert.ok(!module_util.record_ping(health, date, true, 3));
+      assert.equal(health.missed, 4);
+    });
+
+    it('marks modules replying healthy again', function() {
+      var date = Date.now();
+      module_util.record_ping(health, date, true, 1);
+      assert.equal(health.status, 'unresponsive');
+      assert.ok(module_util.record_ping(health, date, false, 1));
+      assert.equal(health.status, 'healthy');
+      assert.equal(health.missed, 0);
+      assert.ok(health.latency >= 0);
+      assert.ok(!module_util.record_ping(health, date, false, 1));
+    });
+  });
+
+  describe('limits', function() {
+    it('validates declared limits', function() {
+      assert.ok(module_util.valid_limits({ memory: 128 }));
+      assert.ok(module_util.valid_limits({ memory: 128, cpu: 50 }));
+      assert.ok(!module_util.valid_limits({ memory: 0 }));
+      assert.ok(!module_util.valid_limits({ cpu: '50' }));
+      assert.ok(!module_util.valid_limits({ disk: 10 }));
+      assert.ok(!module_util.valid_limits([128]));
+      assert.ok(!module_util.valid_limits('128'));
+    });
+
+    it('parses process stats', function() {
+      var stat = '1234 (node (mod) x) S 1 2 3 4 5 6 7 8 9 10 150 50 0 0';
+      var status = 'Name:\tnode\nVmRSS:\t   20480 kB\nThreads:\t6\n';
+      assert.deepEqual(module_util.proc_stats(stat, status), {
+        ticks: 200, memory: 20
+      });
+      assert.equal(module_util.proc_stats(stat, 'Name:\tnode\n').memory, 
+                   null);
+    });
+  });
+
+  describe('updates', function() {
+    var dir = path.join(os.tmpdir(), 'breach_test_update_' + process.pid);
+    var dst = path.join(dir, 'mod');
+
+    /* Stages a module version. */
+    var stage = function(version) {
+      fs.mkdirsSync(path.join(dir, 'staging'));
+      fs.writeFileSync(path.join(dir, 'staging', 'version'), version);
+      return path.join(dir, 'staging');
+    };
+    var version = function(d) {
+      return fs.existsSync(d) ? 
+        fs.readFileSync(path.join(d, 'version'), 'utf8') : null;
+    };
+
+    beforeEach(function() {
+      fs.mkdirsSync(dir);
+    });
+    afterEach(function(done) {
+      fs.remove(dir, done);
+    });
+
+    it('swaps staged modules and keeps the previous version', function(done) {
+      module_util.swap_staged(stage('1'), dst, function(err) {
+        assert.equal(err, null);
+        assert.equal(version(dst), '1');
+        assert.equal(version(dst + '.previous'), null);
+        module_util.swap_staged(stage('2'), dst, function(err) {
+          assert.equal(err, null);
+          assert.equal(version(dst), '2');
+          assert.equal(version(dst + '.previous'), '1');
+          module_util.swap_staged(stage('3'), dst, function(err) {
+            assert.equal(err, null);
+            assert.equal(version(dst), '3');
+            assert.equal(version(dst + '.previous'), '2');
+            assert.ok(!fs.existsSync(path.join(dir, 'staging')));
+            return done();
+          });
+        });
+      });
+    });
+
+    it('restores the previous version', function(done) {
+      module_util.swap_staged(stage('1'), dst, function(err) {
+        module_util.swap_staged(stage('2'), dst, function(err) {
+          module_util.restore_previous(dst, function(err) {
+            assert.equal(err, null);
+            assert.equal(version(dst), '1');
+            assert.ok(!fs.existsSync(dst + '.previous'));
+            /* Nothing to restore anymore. */
+            module_util.restore_previous(dst, function(err) {
+              assert.equal(err, null);
+              assert.equal(version(dst), '1');
+              return done();
+            });
+          });
+        });
+      });
+    });
+
+    it('records failed paths when rolling back', function() {
+      var previous = { path: 'github:breach/mod#v1', version: '1' };
+      var record = module_util.rollback_record({
+        path: 'github:breach/mod#v2', version: '2',
+        previous: previous, confirmed: false, failed: ['github:breach/mod#v3']
+      });
+      assert.deepEqual(record, {
+        path: 'github:breach/mod#v1', version: '1', confirmed: true,
+        failed: ['github:breach/mod#v3', 'github:breach/mod#v2']
+      });
+      assert.deepEqual(previous, { path: 'github:breach/mod#v1', 
+                                   version: '1' });
+      /* Modules updated in place are not recorded as failed. */
+      assert.deepEqual(module_util.rollback_record({
+        path: 'github:breach/mod#master', previous: {
+          path: 'github:breach/mod#master'
+        }
+      }).failed, []);
+    });
+  });
+
+  describe('lockfiles', function() {
+    var dir = path.join(os.tmpdir(), 'breach_test_lock_' + process.pid);
+    var hash = function(cb_) {
+      module_util.tree_hash(dir, cb_);
+    };
+
+    beforeEach(function() {
+      fs.mkdirsSync(path.join(dir, 'lib'));
+      fs.writeFileSync(path.join(dir, 'index.js'), 'a');
+      fs.writeFileSync(path.join(dir, 'lib', 'b.js'), 'b');
+    });
+    afterEach(function(done) {
+      fs.remove(dir, done);
+    });
+
+    it('hashes module trees without installed files', function(done) {
+      hash(function(err, h1) {
+        assert.equal(err, null);
+        assert.ok(/^sha256-[0-9a-f]{64}$/.test(h1));
+        fs.mkdirsSync(path.join(dir, 'node_modules', 'dep'));
+        fs.writeFileSync(path.join(dir, 'node_modules', 'dep', 'x.js'), 'x');
+        fs.mkdirsSync(path.join(dir, '.git'));
+        fs.writeFileSync(path.join(dir, '.git', 'HEAD'), 'ref');
+        hash(function(err, h2) {
+          assert.equal(h2, h1);
+          return done();
+        });
+      });
+    });
+
+    it('hashes file names and contents', function(done) {
+      hash(function(err, h1) {
+        fs.writeFileSync(path.join(dir, 'lib', 'b.js'), 'c');
+        hash(function(err, h2) {
+          assert.notEqual(h2, h1);
+          fs.writeFileSync(path.join(dir, 'lib', 'b.js'), 'b');
+          fs.renameSync(path.join(dir, 'lib', 'b.js'), 
+                        path.join(dir, 'lib', 'c.js'));
+          hash(function(err, h3) {
+            assert.notEqual(h3, h1);
+            assert.notEqual(h3, h2);
+            return done();
+          });
+        });
+      });
+    });
+
+    it('locks modules by name with their tag', function() {
+      var lock = module_util.lock_modules({
+        'github:breach/mod_b#v0.2.0': {
+          name: 'mod_b', path: 'github:breach/mod_b#v0.2.0', 
+          range: '^0.2.0', version: '0.2.0'
+        },
+        'local:/tmp/mod_a': {
+          name: 'mod_a', path: 'local:/tmp/mod_a', version: '0.1.0'
+        }
+      });
+      assert.deepEqual(lock, [{
+        name: 'mod_a', path: 'local:/tmp/mod_a', range: null, tag: null,
+        version: '0.1.0', hash: null
+      }, {
+        name: 'mod_b', path: 'github:breach/mod_b#v0.2.0', range: '^0.2.0',
+        tag: 'v0.2.0', version: '0.2.0', hash: null
+      }]);
+    });
+
+    it('validates lockfiles', function() {
+      var m = {
+        name: 'mod_a', path: 'github:breach/mod_a#v1', version: '1.0.0',
+        hash: 'sha256-00'
+      };
+      assert.ok(module_util.valid_lock({ modules: [] }));
+      assert.ok(module_util.valid_lock({ modules: [m] }));
+      assert.ok(!module_util.valid_lock(null));
+      assert.ok(!module_util.valid_lock({ modules: {} }));
+      assert.ok(!module_util.valid_lock({ modules: [null] }));
+      ['name', 'path', 'version', 'hash'].forEach(function(k) {
+        var invalid = JSON.parse(JSON.stringify(m));
+        delete invalid[k];
+        assert.ok(!module_util.valid_lock({ modules: [invalid] }));
+      });
+      assert.ok(!module_util.valid_lock({ modules: [{
+        name: 'mod_a', path: 'ftp:mod_a', version: '1.0.0', hash: 'sha256-00'
+      }] }));
+    });
+  });
+
+  describe('hot reload', function() {
+    it('watches module files relative to the module directory', function() {
+      var root = path.join('/tmp', 'mod_a');
+      assert.equal(module_util.watched_file(root, root, 'index.js'),
+                   'index.js');
+      assert.equal(module_util.watched_file(root, path.join(root, 'lib'),
+                                            'a.js'),
+                   path.join('lib', 'a.js'));
+      assert.equal(module_util.watched_file(root, root, null), '.');
+      assert.equal(module_util.watched_file(root, root, 'node_modules_a'),
+                   'node_modules_a');
+    });
+
+    it('ignores dependencies and repository files', function() {
+      var root = path.join('/tmp', 'mod_a');
+      assert.equal(module_util.watched_file(root, root, 'node_modules'), null);
+      assert.equal(module_util.watched_file(root, path.join(root, '.git'),
+                                            'HEAD'), null);
+      assert.equal(module_util.watched_file(root,
+                                            path.join(root, 'node_modules',
+                                                      'async'),
+                                            'index.js'), null);
+    });
+  });
+});
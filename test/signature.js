@@ -0,0 +1,136 @@
+/*
+ * Breach: test/signature.js
+ *
+ * Copyright (c) 2014, Stanislas Polu. All rights reserved.
+ *
+ * @author: spolu
+ *
+ * @log:
+ * - 2026-10-19 spolu   Creation
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs-extra');
+var path = require('path');
+var os = require('os');
+var crypto = require('crypto');
+var pgp = require('openpgp');
+var signature = require('../lib/signature.js');
+
+describe('signature', function() {
+  var store = path.join(os.tmpdir(), 'breach_test_keyring_' + process.pid);
+  var trusted = null;
+  var other = null;
+
+  /* Generates a key pair, decrypted for signing. */
+  var generate = function(user) {
+    var pair = pgp.generateKeyPair({
+      numBits: 1024,
+      userId: user,
+      passphrase: 'test'
+    });
+    pair.key.decrypt('test');
+    return pair;
+  };
+  var sign = function(pair, text) {
+    return pgp.signClearMessage([pair.key], text);
+  };
+
+  before(function() {
+    this.timeout(30000);
+    trusted = generate('Breach Test <test@breach.cc>');
+    other = generate('Other <other@breach.cc>');
+  });
+
+  after(function(done) {
+    fs.remove(store, done);
+  });
+
+  describe('keys', function() {
+    afterEach(function(done) {
+      fs.remove(store, done);
+    });
+
+    it('reads and describes armored keys', function() {
+      var keys = signature.read_key(trusted.publicKeyArmored);
+      assert.equal(keys.length, 1);
+      assert.equal(keys[0].user, 'Breach Test <test@breach.cc>');
+      assert.equal(keys[0].fingerprint,
+                   trusted.key.primaryKey.fingerprint);
+      assert.throws(function() {
+        signature.read_key('not a key');
+      }, /Invalid armored key/);
+    });
+
+    it('imports and removes keys from a keyring', function() {
+      var fingerprint = trusted.key.primaryKey.fingerprint;
+      signature.import_key(store, trusted.publicKeyArmored);
+      signature.import_key(store, other.publicKeyArmored);
+      var keys = signature.valid_keys(signature.keyring(store));
+      assert.equal(keys.length, 2);
+      signature.remove_key(store, fingerprint.toUpperCase());
+      keys = signature.valid_keys(signature.keyring(store));
+      assert.deepEqual(keys.map(signature.describe_key),
+                       [signature.describe_key(other.key)]);
+      assert.throws(function() {
+        signature.remove_key(store, fingerprint);
+      }, /Unknown key/);
+    });
+
+    it('starts from an empty keyring', function() {
+      assert.deepEqual(signature.valid_keys(signature.keyring(store)), []);
+    });
+  });
+
+  describe('verify_cleartext', function() {
+    var keys = null;
+    before(function() {
+      signature.import_key(store, trusted.publicKeyArmored);
+      keys = signature.valid_keys(signature.keyring(store));
+    });
+
+    it('verifies messages signed by a trusted key', function() {
+      var res = signature.verify_cleartext(sign(trusted, 'sha256-00 mod'),
+                                           keys);
+      assert.equal(res.text, 'sha256-00 mod');
+      assert.equal(res.signer.primaryKey.fingerprint,
+                   trusted.key.primaryKey.fingerprint);
+    });
+
+    it('rejects messages signed by other keys', function() {
+      assert.throws(function() {
+        signature.verify_cleartext(sign(other, 'sha256-00 mod'), keys);
+      }, /Invalid signature/);
+    });
+
+    it('rejects altered messages', function() {
+      var data = sign(trusted, 'sha256-00 mod').replace('sha256-00',
+                                                         'sha256-01');
+      assert.throws(function() {
+        signature.verify_cleartext(data, keys);
+      }, /Invalid signature/);
+    });
+  });
+
+  describe('sha1sum', function() {
+    it('computes the sha1 of a file', function(done) {
+      fs.mkdirsSync(store);
+      var file = path.join(store, 'update.tgz');
+      fs.writeFileSync(file, 'breach');
+      signature.sha1sum(file, function(err, sum) {
+        assert.equal(err, null);
+        assert.equal(sum, crypto.createHash('sha1').update('breach')
+                                .digest('hex'));
+        return done();
+      });
+    });
+
+    it('fails on missing files', function(done) {
+      signature.sha1sum(path.join(store, 'missing'), function(err, sum) {
+        assert.equal(err.code, 'ENOENT');
+        return done();
+      });
+    });
+  });
+});